@@ -6,6 +6,10 @@ import { LayerManager } from './src/layer-manager.js';
 import { UIManager } from './src/ui-manager.js';
 import { LegendToggleManager } from './src/legend-toggle-manager.js';
 import { NavigationController } from './src/navigation/NavigationController.js';
+import { RouteLink } from './src/navigation/RouteLink.js';
+import { KioskMode } from './src/navigation/KioskMode.js';
+import { LocationDetailPanel } from './src/ui/LocationDetailPanel.js';
+import { DEFAULT_ROUTING_PROFILE } from './src/pathfinding/features/RoutingProfiles.js';
 import { runVerification } from './src/pathfinding/verification_script.js';
 
 const idle = () => new Promise(resolve => {
@@ -27,6 +31,7 @@ const fetchJson = async (url) => {
 const urlParams = new URLSearchParams(window.location.search);
 const autoLoadDebugLayers = urlParams.has('debug');
 const enableVerification = urlParams.has('verify');
+const kioskRequested = urlParams.has('kiosk');
 
 async function initApp() {
   // 1. Load Data
@@ -124,7 +129,15 @@ async function initApp() {
 
     // 6b. Setup Search Bar
     import('./src/ui/SearchBox.js').then(({ SearchBox }) => {
-      const searchBox = new SearchBox(map, layerManager, locations, floors);
+      const searchBox = new SearchBox(map, layerManager, locations, floors, {
+        categories: mvfData.locationCategories,
+        getCurrentFloorId: () => uiManager.getCurrentFloorId(),
+        getDepartureTime: () => navigationController.getDepartureTime(),
+        // Distances follow the profile the visitor routes with
+        getDistances: () => navigationController.getUserLocationDistances({
+          profile: kioskMode?.profile || directionsUI?.routingProfile || DEFAULT_ROUTING_PROFILE
+        })
+      });
       searchBox.init();
     });
 
@@ -147,6 +160,8 @@ async function initApp() {
     // Directions UI (existing component; only needs a panel + toggle in HTML)
     const directionsToggle = document.getElementById('directions-toggle');
     const directionsPanel = document.getElementById('directions-panel');
+    const routeLink = new RouteLink();
+    let kioskMode = null;
     let directionsUI = null;
     let directionsInitPromise = null;
     let directionsLoadingStatusEl = null;
@@ -203,11 +218,13 @@ async function initApp() {
           navigationController.getEngine(),
           navigationController.getRenderer(),
           floors,
-          navigationController.getSmoother()
+          navigationController.getSmoother(),
+          { routeLink, availability: navigationController }
         );
         directionsLoadingStatusEl = null;
         ui.initialize(uiManager.getCurrentFloorId() || defaultFloorId);
         ui.setEnabled(false);
+        navigationController.setDirectionsUI(ui);
 
         window.addEventListener('floor-changed', (e) => {
           ui.updateCurrentFloor(e.detail.floorId);
@@ -252,11 +269,6 @@ async function initApp() {
         }
       });
 
-      // Auto-open directions when a destination is selected.
-      window.addEventListener('location-clicked', () => {
-        setDirectionsOpen(true);
-      });
-
       document.addEventListener('keydown', (event) => {
         if (event.key === 'Escape') {
           setDirectionsOpen(false);
@@ -264,7 +276,175 @@ async function initApp() {
       });
     }
 
-    // 7c. Run verification in background
+    // Location detail card for the selected place, with "Directions from/to here"
+    // (kiosks route straight away and show their own panel)
+    const locationPanel = new LocationDetailPanel(locations, floors, {
+      categories: mvfData.locationCategories
+    });
+    locationPanel.init();
+
+    window.addEventListener('location-clicked', (e) => {
+      if (kioskMode?.isActive()) return;
+      locationPanel.show(e.detail);
+    });
+
+    window.addEventListener('location-directions-requested', async (e) => {
+      const { direction, ...place } = e.detail || {};
+      await setDirectionsOpen(true);
+      if (!directionsUI) return;
+
+      window.dispatchEvent(new CustomEvent('floor-changed', { detail: { floorId: place.floorId } }));
+      if (direction === 'from') {
+        directionsUI.setStartLocation(place);
+        if (directionsUI.selectedDestination) directionsUI.tryRoute();
+      } else {
+        directionsUI.setDestination(place);
+        directionsUI.tryRoute();
+      }
+    });
+
+    // 7a. "Nearest restroom / elevator / exit" quick actions from the search box
+    window.addEventListener('nearest-requested', async (e) => {
+      const { category, label } = e.detail || {};
+      const ready = await navigationReady;
+      if (!ready) return;
+
+      const kiosk = kioskMode?.isActive() ? kioskMode : null;
+      if (!kiosk) {
+        await setDirectionsOpen(true);
+      }
+      const floorId = uiManager.getCurrentFloorId() || defaultFloorId;
+      const from = kiosk
+        ? { coords: kiosk.origin, floorId: kiosk.floorId }
+        : directionsUI?.startPoint || navigationController.getDefaultStart(floorId);
+      // "Nearest" has to be nearest for the profile the route will use
+      const profile = kiosk ? kiosk.profile : directionsUI?.routingProfile;
+      const nearest = from ? navigationController.findNearest(category, { from, profile }) : null;
+      if (!nearest) {
+        directionsUI?.updateStatus(`No ${category} reachable from here.`, true);
+        return;
+      }
+
+      const { target } = nearest;
+      console.log(`📍 ${label || category}: ${target.name || target.id} (${Math.round(nearest.walkingDistance)} m)`);
+      const destination = {
+        name: target.name || label,
+        coords: target.coords,
+        floorId: target.floorId,
+        locationId: target.geometryId || null
+      };
+      if (kiosk) {
+        kiosk.routeTo(destination);
+        return;
+      }
+
+      window.dispatchEvent(new CustomEvent('floor-changed', { detail: { floorId: target.floorId } }));
+      directionsUI?.setDestination(destination);
+      directionsUI?.tryRoute();
+    });
+
+    // 7b. Keyboard walk mode (WASD / arrow keys)
+    const walkToggle = document.getElementById('walk-toggle');
+    if (walkToggle) {
+      walkToggle.addEventListener('click', async () => {
+        if (navigationController.isWalkModeActive()) {
+          navigationController.stopWalkMode();
+          return;
+        }
+
+        walkToggle.disabled = true;
+        const ready = await navigationReady;
+        walkToggle.disabled = false;
+        if (!ready) return;
+
+        // Keyboard focus stays on the button otherwise, and Space/Enter would re-toggle it
+        walkToggle.blur();
+        navigationController.startWalkMode({ floorId: uiManager.getCurrentFloorId() || defaultFloorId });
+      });
+
+      window.addEventListener('walk-mode-changed', (e) => {
+        walkToggle.classList.toggle('is-active', Boolean(e.detail?.active));
+      });
+    }
+
+    // 7c. Stacked 3D view of all floors
+    const stackToggle = document.getElementById('stack-toggle');
+    if (stackToggle) {
+      stackToggle.addEventListener('click', async () => {
+        stackToggle.disabled = true;
+        const ready = await navigationReady;
+        stackToggle.disabled = false;
+        if (!ready) return;
+
+        navigationController.setStackedView(!navigationController.isStackedView());
+      });
+
+      window.addEventListener('stacked-view-changed', (e) => {
+        stackToggle.classList.toggle('is-active', Boolean(e.detail?.active));
+      });
+    }
+
+    // 7d. Walking-time isochrones from the directions start point (or the user location)
+    const isochroneToggle = document.getElementById('isochrone-toggle');
+    if (isochroneToggle) {
+      isochroneToggle.addEventListener('click', async () => {
+        if (navigationController.hasIsochrones()) {
+          navigationController.clearIsochrones();
+          return;
+        }
+
+        isochroneToggle.disabled = true;
+        const ready = await navigationReady;
+        if (!ready) {
+          isochroneToggle.disabled = false;
+          return;
+        }
+
+        const start = directionsUI?.startPoint;
+        navigationController.showIsochrones({
+          coords: start?.coords,
+          floorId: start?.floorId || uiManager.getCurrentFloorId() || defaultFloorId
+        });
+        isochroneToggle.disabled = false;
+      });
+
+      window.addEventListener('isochrones-changed', (e) => {
+        isochroneToggle.classList.toggle('is-active', Boolean(e.detail?.active));
+      });
+    }
+
+    // 7e. Evacuation route from the start point to the nearest exit (never by elevator)
+    const evacuateToggle = document.getElementById('evacuate-toggle');
+    if (evacuateToggle) {
+      evacuateToggle.addEventListener('click', async () => {
+        if (evacuateToggle.classList.contains('is-active')) {
+          navigationController.clearRoute();
+          evacuateToggle.classList.remove('is-active');
+          return;
+        }
+
+        evacuateToggle.disabled = true;
+        const ready = await navigationReady;
+        evacuateToggle.disabled = false;
+        if (!ready) return;
+
+        const floorId = uiManager.getCurrentFloorId() || defaultFloorId;
+        const from = directionsUI?.startPoint || navigationController.getDefaultStart(floorId);
+        const route = from ? navigationController.navigateToExit({ from }) : null;
+        if (!route) {
+          console.warn('No evacuation route from here:', navigationController.getEngine().getLastRouteError()?.message);
+          return;
+        }
+
+        const { exit, walkingDistance } = route.meta.evacuation;
+        console.log(`🚨 Evacuate via ${exit.name} (${Math.round(walkingDistance)} m)`);
+        window.dispatchEvent(new CustomEvent('floor-changed', { detail: { floorId: from.floorId } }));
+        navigationController.renderRoute();
+        evacuateToggle.classList.add('is-active');
+      });
+    }
+
+    // 7f. Run verification in background
     if (enableVerification) {
       navigationReady.then((ready) => {
         if (!ready) return;
@@ -274,6 +454,105 @@ async function initApp() {
       });
     }
 
+    // 7g. Deep links: route, profile, floor and camera in the URL; back/forward step through routes
+    const restoreRouteLink = async (link) => {
+      if (link?.camera) {
+        map.jumpTo(link.camera);
+      }
+      if (link?.floorId) {
+        window.dispatchEvent(new CustomEvent('floor-changed', { detail: { floorId: link.floorId } }));
+      }
+
+      if (!link?.from || !link?.to) {
+        directionsUI?.clearRoute();
+        return;
+      }
+
+      const ready = await navigationReady;
+      if (!ready) return;
+
+      await setDirectionsOpen(true);
+      const result = navigationController.routeFromLink(link);
+      if (!result?.route) {
+        const message = result
+          ? navigationController.getEngine().getLastRouteError()?.message || 'No route available for this link.'
+          : 'This link points to a place that no longer exists.';
+        directionsUI?.updateStatus(message, true);
+        return;
+      }
+
+      directionsUI?.showRoute(result.route, { ...result, profile: link.profile });
+    };
+
+    window.addEventListener('directions-route-changed', (e) => {
+      routeLink.push(e.detail.state);
+    });
+
+    // Keep the camera and floor of a route's entry up to date without adding entries; plain
+    // browsing leaves the URL alone
+    const replaceRouteLinkView = () => {
+      const current = routeLink.parse();
+      if (!current?.from || !current?.to) return;
+
+      const center = map.getCenter();
+      routeLink.replace({
+        ...current,
+        floorId: uiManager.getCurrentFloorId() || current.floorId,
+        camera: {
+          center: [center.lng, center.lat],
+          zoom: map.getZoom(),
+          bearing: map.getBearing(),
+          pitch: map.getPitch()
+        }
+      });
+    };
+    map.on('moveend', replaceRouteLinkView);
+    window.addEventListener('floor-changed', replaceRouteLinkView);
+
+    routeLink.onNavigate(restoreRouteLink);
+    const initialRouteLink = kioskRequested ? null : routeLink.parse();
+    if (initialRouteLink) {
+      restoreRouteLink(initialRouteLink);
+    }
+
+    // 7h. Kiosk mode: ?kiosk=lng,lat@floorId (or ?kiosk=loc:<geometryId>) with &heading=<degrees>,
+    // or assets/kiosk.json ({ enabled, origin, floorId, heading, name, zoom, pitch, profile, idleResetSeconds })
+    const loadKioskConfig = async () => {
+      let config = null;
+      try {
+        config = await fetchJson(`${mvfAssetRoot}/kiosk.json`);
+      } catch (e) {
+        config = null; // Not JSON (e.g. the dev server's HTML fallback)
+      }
+      return kioskRequested || config?.enabled ? config || {} : null;
+    };
+
+    loadKioskConfig().then(async (config) => {
+      if (!config) return;
+      const ready = await navigationReady;
+      if (!ready) return;
+
+      const position = navigationController.resolveEndpoint(
+        routeLink.decodeEndpoint(urlParams.get('kiosk')) ||
+        (config.origin ? { coords: config.origin, floorId: config.floorId } : null)
+      );
+      if (!position) {
+        console.error('Kiosk mode needs a position: ?kiosk=lng,lat@floorId or "origin" in kiosk.json');
+        return;
+      }
+
+      const heading = Number(urlParams.get('heading'));
+      kioskMode = new KioskMode(map, navigationController, {
+        ...config,
+        origin: position.coords,
+        floorId: position.floorId,
+        name: config.name || position.name,
+        heading: urlParams.has('heading') && Number.isFinite(heading) ? heading : config.heading,
+        routeLink
+      });
+      kioskMode.start();
+    });
+
     // Debug/Developer legend (loads heavy layers only when opened)
     const layersToggle = document.getElementById('layers-toggle');
     const legendPanel = document.getElementById('developer-legend');
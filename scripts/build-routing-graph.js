@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { ASSET_DIR, loadSrc, closeSrc, buildHeadlessEngine } = require('./lib/headless-engine');
+
+const main = async () => {
+  try {
+    const startedAt = Date.now();
+    const { engine, manifestProps, edgeMaxDistanceMeters, edgeMaxNeighbors } = await buildHeadlessEngine();
+    const { encodeBinaryGraph, BINARY_GRAPH_FILE } = await loadSrc('/src/pathfinding/cache/BinaryGraphFile.js');
+
+    const buffer = encodeBinaryGraph(engine.getGraph().toPacked(), {
+      mapId: manifestProps.mapId,
+      mapTime: manifestProps.time,
+      edgeMaxDistanceMeters,
+      edgeMaxNeighbors
+    });
+
+    const outputPath = path.join(ASSET_DIR, BINARY_GRAPH_FILE);
+    fs.writeFileSync(outputPath, Buffer.from(buffer));
+
+    const stats = engine.getGraph().getStats();
+    const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+    console.log(`Created routing graph (${stats.nodeCount} nodes, ${stats.edgeCount} edges, ${(buffer.byteLength / 1024).toFixed(0)} KB) in ${seconds}s -> ${outputPath}`);
+  } finally {
+    await closeSrc();
+  }
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
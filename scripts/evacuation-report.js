@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+// Usage: npm run report:evacuation -- --max-distance=60 [--all] [--routes] [--out=evacuation-report.geojson]
+
+const fs = require('fs');
+const path = require('path');
+const { loadSrc, closeSrc, buildHeadlessEngine } = require('./lib/headless-engine');
+
+const args = new Set(process.argv.slice(2));
+const getArg = (name) => {
+  const arg = process.argv.find(item => item.startsWith(`${name}=`));
+  return arg ? arg.slice(name.length + 1) : null;
+};
+const getNumberArg = (name, fallback) => {
+  const value = Number(getArg(name));
+  return getArg(name) !== null && Number.isFinite(value) ? value : fallback;
+};
+
+const MAX_DISTANCE_METERS = getNumberArg('--max-distance', 60);
+const OUTPUT_PATH = path.resolve(getArg('--out') || 'evacuation-report.geojson');
+
+const main = async () => {
+  try {
+    // Reuse the graph from npm run build:graph when it matches this map version
+    const { engine, mvfData } = await buildHeadlessEngine({ usePrebuiltGraph: true });
+    const { AmenityIndex } = await loadSrc('/src/navigation/AmenityIndex.js');
+    const { EvacuationPlanner } = await loadSrc('/src/navigation/EvacuationPlanner.js');
+
+    const amenities = new AmenityIndex(engine, {
+      locations: mvfData.locations,
+      categories: mvfData.locationCategories,
+      styles: mvfData.styles,
+      annotations: mvfData.annotations
+    });
+    const planner = new EvacuationPlanner(engine, { annotations: mvfData.annotations, amenities });
+
+    const report = planner.buildReport({
+      maxDistanceMeters: MAX_DISTANCE_METERS,
+      includeAll: args.has('--all'),
+      includeRoutes: args.has('--routes')
+    });
+    fs.writeFileSync(OUTPUT_PATH, JSON.stringify(report, null, 2));
+
+    const { roomsChecked, roomsExceeding, roomsUnreachable, exits } = report.properties;
+    console.log(`Checked ${roomsChecked} rooms against ${exits} exits: ${roomsExceeding} over ${MAX_DISTANCE_METERS} m, ${roomsUnreachable} unreachable -> ${OUTPUT_PATH}`);
+  } finally {
+    await closeSrc();
+  }
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
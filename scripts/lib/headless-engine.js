@@ -0,0 +1,135 @@
+// Node side of the app: load src/ through Vite's SSR loader and build a PathfindingEngine from the
+// MVF bundle the same way the browser does. Shared by the scripts (and the tests' src/ loader).
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+const resolveDir = (input) => (input ? path.resolve(input) : null);
+
+const ASSET_DIR = resolveDir(process.env.MVF_DST_DIR) || path.join(PROJECT_ROOT, 'assets');
+const BUNDLE_PATH = path.join(ASSET_DIR, 'my_data.zip');
+
+let server = null;
+
+// src/ is browser ESM; let Vite's SSR loader resolve it (and @turf/turf) for Node.
+const loadSrc = async (modulePath) => {
+  if (!server) {
+    const { createServer } = await import('vite');
+    server = await createServer({
+      root: PROJECT_ROOT,
+      configFile: false,
+      logLevel: 'error',
+      appType: 'custom',
+      server: { middlewareMode: true, hmr: false, watch: null }
+    });
+  }
+  return server.ssrLoadModule(modulePath);
+};
+
+const closeSrc = async () => {
+  if (server) {
+    await server.close();
+    server = null;
+  }
+};
+
+/**
+ * Exit unless the MVF bundle and walkable nodes are in ASSET_DIR
+ */
+const requireAssets = () => {
+  if (!fs.existsSync(BUNDLE_PATH)) {
+    console.error(`Missing MVF bundle: ${BUNDLE_PATH}`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(path.join(ASSET_DIR, 'walkable_nodes.geojson'))) {
+    console.error(`Missing walkable_nodes.geojson in ${ASSET_DIR}. Run scripts/build-walkable-nodes.js first.`);
+    process.exit(1);
+  }
+};
+
+// The browser loaders fetch assets by URL; serve file:// URLs straight from disk.
+const serveFileUrls = () => {
+  const nativeFetch = globalThis.fetch;
+  globalThis.fetch = async (input, init) => {
+    const url = String(input);
+    if (!url.startsWith('file:')) {
+      return nativeFetch(input, init);
+    }
+
+    try {
+      const body = await fs.promises.readFile(new URL(url));
+      return new Response(body, { status: 200 });
+    } catch {
+      return new Response(null, { status: 404, statusText: 'Not Found' });
+    }
+  };
+};
+
+/**
+ * Load the MVF bundle and navigation data from ASSET_DIR and initialize a PathfindingEngine
+ * @param {Object} options - usePrebuiltGraph: start from the npm run build:graph output when it
+ *   matches this map version
+ * @returns {Object} { engine, mvfData, manifestProps, edgeMaxDistanceMeters, edgeMaxNeighbors }
+ */
+const buildHeadlessEngine = async ({ usePrebuiltGraph = false } = {}) => {
+  requireAssets();
+  serveFileUrls();
+
+  const { loadMVFBundle } = await loadSrc('/src/mvf-loader.js');
+  const {
+    loadNavigationData,
+    extractFloorIds,
+    getGraphBuildSettings
+  } = await loadSrc('/src/navigation/NavigationDataLoader.js');
+  const { PathfindingEngine } = await loadSrc('/src/pathfinding/PathfindingEngine.js');
+  const { loadBinaryGraph, BINARY_GRAPH_FILE } = await loadSrc('/src/pathfinding/cache/BinaryGraphFile.js');
+
+  const assetRoot = pathToFileURL(ASSET_DIR).href;
+  const mvfData = await loadMVFBundle(pathToFileURL(BUNDLE_PATH).href);
+  const { geometry, floors, manifest } = mvfData;
+  const manifestProps = manifest?.features?.[0]?.properties || {};
+  const floorIds = extractFloorIds(floors);
+
+  if (floorIds.length === 0) {
+    throw new Error('No floors found in MVF bundle');
+  }
+
+  const navData = await loadNavigationData(assetRoot, floorIds);
+  const nodeCount = navData.walkableNodes?.features?.length || 0;
+  const { edgeMaxDistanceMeters, edgeMaxNeighbors } = getGraphBuildSettings(nodeCount);
+
+  const prebuilt = usePrebuiltGraph
+    ? await loadBinaryGraph(`${assetRoot}/${BINARY_GRAPH_FILE}`, {
+      mapId: manifestProps.mapId,
+      mapTime: manifestProps.time
+    })
+    : null;
+
+  const engine = new PathfindingEngine();
+  await engine.initialize(
+    navData.walkableNodes.features,
+    geometry,
+    navData.connections,
+    navData.walkableSet,
+    navData.nonwalkableSet,
+    navData.kindsData,
+    navData.entranceNodes,
+    navData.navigationFlags,
+    {
+      floors,
+      edgeMaxDistanceMeters,
+      edgeMaxNeighbors,
+      edgeBuildYieldEvery: null,
+      edgeBuildYieldAfterMs: null,
+      packedGraph: prebuilt?.packed
+    }
+  );
+
+  return { engine, mvfData, manifestProps, edgeMaxDistanceMeters, edgeMaxNeighbors };
+};
+
+module.exports = { PROJECT_ROOT, ASSET_DIR, loadSrc, closeSrc, buildHeadlessEngine };
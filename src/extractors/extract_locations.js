@@ -18,13 +18,10 @@ console.log(`${locationsWithGeometry.length} locations have geometry anchors`);
 const geometryDir = path.join(__dirname, '../../temp_mvf/geometry');
 const geometryFiles = fs.readdirSync(geometryDir).filter(f => f.endsWith('.geojson'));
 
-const locationFeatures = [];
-
-locationsWithGeometry.forEach(location => {
-    const anchor = location.geometryAnchors[0]; // Use first anchor
-    const { geometryId, floorId } = anchor;
-
-    // Find the geometry file for this floor
+// Parse each anchored floor's geometry file once: floorId -> Map(geometryId -> feature)
+const featuresByFloor = new Map();
+const anchoredFloorIds = new Set(locationsWithGeometry.flatMap(loc => loc.geometryAnchors.map(anchor => anchor.floorId)));
+anchoredFloorIds.forEach(floorId => {
     const geometryFile = geometryFiles.find(f => f.startsWith(floorId));
     if (!geometryFile) {
         console.warn(`No geometry file found for floor ${floorId}`);
@@ -32,46 +29,58 @@ locationsWithGeometry.forEach(location => {
     }
 
     const geometryData = JSON.parse(fs.readFileSync(path.join(geometryDir, geometryFile), 'utf8'));
-    const feature = geometryData.features.find(f => f.properties.id === geometryId);
-
-    if (feature) {
-        // Calculate centroid
-        let centroid;
-        if (feature.geometry.type === 'Point') {
-            centroid = feature.geometry.coordinates;
-        } else if (feature.geometry.type === 'Polygon') {
-            const coords = feature.geometry.coordinates[0];
-            let x = 0, y = 0, n = coords.length;
-            coords.forEach(coord => {
-                x += coord[0];
-                y += coord[1];
-            });
-            centroid = [x / n, y / n];
-        } else if (feature.geometry.type === 'LineString') {
-            const mid = Math.floor(feature.geometry.coordinates.length / 2);
-            centroid = feature.geometry.coordinates[mid];
-        }
+    featuresByFloor.set(floorId, new Map(geometryData.features.map(f => [f.properties.id, f])));
+});
 
-        if (centroid) {
-            locationFeatures.push({
-                type: 'Feature',
-                geometry: {
-                    type: 'Point',
-                    coordinates: centroid
-                },
-                properties: {
-                    locationId: location.id,
-                    name: location.details?.name || 'Unknown',
-                    geometryId: geometryId,
-                    floorId: floorId,
-                    categories: location.categories || [],
-                    hasImage: location.images && location.images.length > 0
-                }
-            });
+const locationFeatures = [];
+
+locationsWithGeometry.forEach(location => {
+    // One marker per anchor: a location can span several rooms and floors
+    location.geometryAnchors.forEach(({ geometryId, floorId }) => {
+        const floorFeatures = featuresByFloor.get(floorId);
+        if (!floorFeatures) return;
+
+        const feature = floorFeatures.get(geometryId);
+
+        if (feature) {
+            // Calculate centroid
+            let centroid;
+            if (feature.geometry.type === 'Point') {
+                centroid = feature.geometry.coordinates;
+            } else if (feature.geometry.type === 'Polygon') {
+                const coords = feature.geometry.coordinates[0];
+                let x = 0, y = 0, n = coords.length;
+                coords.forEach(coord => {
+                    x += coord[0];
+                    y += coord[1];
+                });
+                centroid = [x / n, y / n];
+            } else if (feature.geometry.type === 'LineString') {
+                const mid = Math.floor(feature.geometry.coordinates.length / 2);
+                centroid = feature.geometry.coordinates[mid];
+            }
+
+            if (centroid) {
+                locationFeatures.push({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'Point',
+                        coordinates: centroid
+                    },
+                    properties: {
+                        locationId: location.id,
+                        name: location.details?.name || 'Unknown',
+                        geometryId: geometryId,
+                        floorId: floorId,
+                        categories: location.categories || [],
+                        hasImage: location.images && location.images.length > 0
+                    }
+                });
+            }
+        } else {
+            console.warn(`Geometry ${geometryId} not found for location ${location.id}`);
         }
-    } else {
-        console.warn(`Geometry ${geometryId} not found for location ${location.id}`);
-    }
+    });
 });
 
 console.log(`Created ${locationFeatures.length} location marker features`);
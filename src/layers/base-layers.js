@@ -296,7 +296,8 @@ export const baseLayers = {
                                 name: locationFn.name,
                                 coords: locationFn.coords,
                                 floorId: locationFn.floorId,
-                                locationId: propsId
+                                locationId: propsId,
+                                anchors: locationFn.anchors || null
                             }
                         }));
                     }
@@ -417,34 +418,39 @@ export const baseLayers = {
         }
 
         locations.forEach(loc => {
-            if (loc.details && loc.details.name && loc.geometryAnchors && loc.geometryAnchors.length > 0) {
-                const geoId = loc.geometryAnchors[0].geometryId;
-                const floorId = loc.geometryAnchors[0].floorId;
+            if (!loc.details || !loc.details.name || !loc.geometryAnchors || loc.geometryAnchors.length === 0) return;
 
+            // A location can span several rooms and floors: label every anchor, and let each
+            // one know the others so routing can pick the closest
+            const anchors = [];
+            loc.geometryAnchors.forEach(anchor => {
+                const geoId = anchor.geometryId;
                 const feature = this.geometryIndex.get(geoId);
-                if (feature) {
-                    const centroid = getCentroid(feature.geometry);
-                    if (centroid) {
-                        // Add to label features
-                        labelFeatures.push({
-                            type: 'Feature',
-                            geometry: { type: 'Point', coordinates: centroid },
-                            properties: {
-                                name: loc.details.name,
-                                floorId: floorId,
-                                id: geoId // Store UUID for lookup
-                            }
-                        });
+                const centroid = feature ? getCentroid(feature.geometry) : null;
+                if (!centroid) return;
 
-                        // Populate location map
-                        this.locationMap.set(geoId, {
-                            name: loc.details.name,
-                            coords: centroid,
-                            floorId: floorId
-                        });
+                const floorId = anchor.floorId || feature.properties?.floorId;
+                anchors.push({ geometryId: geoId, floorId, coords: centroid });
+
+                // Add to label features
+                labelFeatures.push({
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: centroid },
+                    properties: {
+                        name: loc.details.name,
+                        floorId: floorId,
+                        id: geoId // Store UUID for lookup
                     }
-                }
-            }
+                });
+
+                // Populate location map
+                this.locationMap.set(geoId, {
+                    name: loc.details.name,
+                    coords: centroid,
+                    floorId: floorId,
+                    anchors
+                });
+            });
         });
 
         if (labelFeatures.length > 0) {
@@ -520,7 +526,8 @@ export const baseLayers = {
                         name: name,
                         coords: coords,
                         floorId: floorId,
-                        locationId: propsId
+                        locationId: propsId,
+                        anchors: this.locationMap.get(propsId)?.anchors || null
                     }
                 }));
             });
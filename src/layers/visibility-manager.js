@@ -3,6 +3,9 @@ export const visibilityManager = {
     updateFloorVisibility(currentFloorId) {
         this.currentFloorId = currentFloorId;
 
+        // The stacked view shows every floor; the selection applies again once it is turned off
+        if (this.stackedView) return;
+
         // Handle regular layers
         this.mvfLayerIds.forEach(layerId => {
             if (this.map.getLayer(layerId)) {
@@ -34,6 +37,83 @@ export const visibilityManager = {
         });
     },
 
+    /**
+     * Stacked 3D view: every floor drawn at once, lifted by its floors.geojson elevation
+     * Extrusion bases/heights get a per-floor offset; flat layers are hidden since they can't be raised.
+     * @returns {Map<string, number>} floorId -> vertical offset in meters
+     */
+    enableStackedFloors(floors, { spacingMeters = 12 } = {}) {
+        if (this.stackedView) return this.stackedView.offsets;
+
+        const offsets = this.getFloorOffsets(floors, spacingMeters);
+        const offsetExpression = ['match', ['get', 'floorId']];
+        offsets.forEach((offset, floorId) => offsetExpression.push(floorId, offset));
+        offsetExpression.push(0);
+
+        const previousFloorId = this.currentFloorId;
+        const restore = [];
+
+        this.mvfLayerIds.forEach(layerId => {
+            const layer = this.map.getLayer(layerId);
+            if (!layer || layerId === 'building-shell') return;
+
+            if (layer.type === 'fill-extrusion' && offsets.size > 0) {
+                const base = this.map.getPaintProperty(layerId, 'fill-extrusion-base') ?? 0;
+                const height = this.map.getPaintProperty(layerId, 'fill-extrusion-height') ?? 0;
+                restore.push({ layerId, base, height });
+                this.map.setPaintProperty(layerId, 'fill-extrusion-base', ['+', base, offsetExpression]);
+                this.map.setPaintProperty(layerId, 'fill-extrusion-height', ['+', height, offsetExpression]);
+            } else {
+                restore.push({ layerId, visibility: this.map.getLayoutProperty(layerId, 'visibility') ?? 'visible' });
+                this.map.setLayoutProperty(layerId, 'visibility', 'none');
+            }
+        });
+
+        if (this.annotationMarkers) {
+            this.annotationMarkers.forEach(({ marker }) => {
+                marker.getElement().style.display = 'none';
+            });
+        }
+
+        this.updateMultiFloorVisibility(offsets.keys());
+        this.currentFloorId = previousFloorId;
+        this.stackedView = { offsets, restore };
+        return offsets;
+    },
+
+    disableStackedFloors() {
+        if (!this.stackedView) return;
+
+        const { restore } = this.stackedView;
+        this.stackedView = null;
+
+        restore.forEach(({ layerId, base, height, visibility }) => {
+            if (!this.map.getLayer(layerId)) return;
+            if (visibility !== undefined) {
+                this.map.setLayoutProperty(layerId, 'visibility', visibility);
+            } else {
+                this.map.setPaintProperty(layerId, 'fill-extrusion-base', base);
+                this.map.setPaintProperty(layerId, 'fill-extrusion-height', height);
+            }
+        });
+
+        this.updateFloorVisibility(this.currentFloorId);
+    },
+
+    isStackedView() {
+        return Boolean(this.stackedView);
+    },
+
+    getFloorOffsets(floors, spacingMeters) {
+        const offsets = new Map();
+        const elevations = floors.map(floor => floor.properties?.elevation ?? 0);
+        const lowest = elevations.length > 0 ? Math.min(...elevations) : 0;
+        floors.forEach((floor, index) => {
+            offsets.set(floor.properties.id, (elevations[index] - lowest) * spacingMeters);
+        });
+        return offsets;
+    },
+
     toggleLayerVisibility(layerId) {
         const linkedLayers = {
             'walkable-areas-layer': ['walkable-areas-outline-layer']
@@ -32,6 +32,10 @@ export async function loadMVFBundle(url) {
     const locationsFile = zip.file('locations.json');
     const locations = locationsFile ? JSON.parse(await locationsFile.async('string')) : [];
 
+    // 3b. Parse Location Categories (restrooms, food, ...)
+    const categoriesFile = zip.file('location-categories.json');
+    const locationCategories = categoriesFile ? JSON.parse(await categoriesFile.async('string')) : [];
+
     // 4. Parse Floors
     const floorsFile = zip.file('floors.geojson');
     const floorsData = floorsFile ? JSON.parse(await floorsFile.async('string')) : { features: [] };
@@ -50,6 +54,23 @@ export async function loadMVFBundle(url) {
         });
     }
 
+    // 5b. Parse Annotations (primary/secondary entrance symbols, ...)
+    const symbolsFile = zip.file('annotation-symbols.json');
+    const annotationSymbols = symbolsFile ? JSON.parse(await symbolsFile.async('string')) : {};
+    const annotationFiles = zip.folder('annotations').filter((path) => path.endsWith('.json'));
+    const annotations = [];
+    for (const file of annotationFiles) {
+        const content = JSON.parse(await file.async('string'));
+        const floorId = file.name.split('/').pop().replace('.json', '');
+        content.forEach(annotation => {
+            annotations.push({
+                ...annotation,
+                floorId,
+                name: annotationSymbols[annotation.symbolKey]?.name || annotation.symbolKey
+            });
+        });
+    }
+
     // 6. Load Geometry
     const geometryFolder = zip.folder('geometry');
     const geometryFiles = [];
@@ -145,9 +166,12 @@ export async function loadMVFBundle(url) {
         manifest,
         styles,
         locations,
+        locationCategories,
         floors,
         entranceIds,
         entranceGeometryToFloorMap,
+        annotations,
+        annotationSymbols,
         geometry,
         connections,
         navigationFlags,
@@ -0,0 +1,261 @@
+/**
+ * AmenityIndex - Classifies destinations so routing can target "the closest X"
+ * Sources, merged into one target list:
+ *   - locations.json entries (their location-categories.json categories and names)
+ *   - default-style.json layers named after amenities (Bathrooms, Elevators, Stairs, ...)
+ *   - the routing graph: elevator/stairs nodes that change floor
+ *   - exits: the entrance annotations (primary/secondary entrance symbols) that evacuation uses;
+ *     only a venue without them falls back to graph entrances in the exterior walls
+ */
+import * as turf from '@turf/turf';
+
+// Entrances this close to an exterior wall lead outside
+const EXIT_WALL_DISTANCE_METERS = 0.5;
+
+const AMENITY_ALIASES = {
+    restroom: ['restroom', 'restrooms', 'bathroom', 'bathrooms', 'toilet', 'toilets', 'washroom', 'washrooms', 'wc'],
+    elevator: ['elevator', 'elevators', 'lift', 'lifts'],
+    stairs: ['stairs', 'stair', 'stairway', 'stairwell', 'staircase'],
+    escalator: ['escalator', 'escalators'],
+    exit: ['exit', 'exits', 'entrance', 'entrances']
+};
+
+const GRAPH_NODE_AMENITIES = {
+    elevator: 'elevator',
+    stairs: 'stairs',
+    escalator: 'escalator',
+    entrance: 'exit'
+};
+
+/**
+ * Exits marked by entrance annotations (mvf-loader annotations with an entrance/exit symbol)
+ * @returns {Array<Object>} { id, name, kind ('primary' | 'secondary' | null), coords, floorId, geometryId, source }
+ */
+export const getAnnotationExits = (engine, annotations = []) => {
+    const exits = [];
+    (annotations || []).forEach(annotation => {
+        if (!/entrance|exit/.test(annotation.symbolKey || '')) return;
+
+        const feature = engine.geometryIndex?.get(annotation.geometryId);
+        const coords = feature ? engine.getFeatureCenter(feature) : null;
+        if (!coords) return;
+
+        exits.push({
+            id: annotation.id || annotation.geometryId,
+            name: annotation.name || 'Exit',
+            kind: /primary/.test(annotation.symbolKey) ? 'primary' : /secondary/.test(annotation.symbolKey) ? 'secondary' : null,
+            coords,
+            floorId: annotation.floorId || feature.properties?.floorId,
+            geometryId: annotation.geometryId,
+            source: 'annotation'
+        });
+    });
+    return exits;
+};
+
+export class AmenityIndex {
+    /**
+     * @param {PathfindingEngine} engine - Initialized engine (graph + geometry index)
+     * @param {Object} data - { locations, categories (location-categories.json), styles (default-style.json),
+     *   annotations (mvf-loader, for exits) }
+     */
+    constructor(engine, { locations = [], categories = [], styles = {}, annotations = [] } = {}) {
+        this.engine = engine;
+        this.annotations = annotations || [];
+        this.locations = locations || [];
+        this.categoryNames = new Map();
+        (categories || []).forEach(category => {
+            const name = category?.details?.name || category?.name;
+            if (category?.id && name) this.categoryNames.set(category.id, name);
+        });
+        this.styles = styles || {};
+        this.targets = null;
+    }
+
+    /**
+     * Amenity key ("restroom", "elevator", ...) for a free-form name, or the lower-cased name itself
+     */
+    static normalizeCategory(name) {
+        const key = String(name || '')
+            .replace(/WithImage$/, '')
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .trim()
+            .toLowerCase();
+        const amenity = Object.keys(AMENITY_ALIASES).find(candidate =>
+            AMENITY_ALIASES[candidate].includes(key) ||
+            key.split(/[^a-z]+/).some(word => AMENITY_ALIASES[candidate].includes(word))
+        );
+        return amenity || key;
+    }
+
+    /**
+     * Targets for a category name, or every target accepted by a predicate
+     * @param {string|Function} categoryOrPredicate
+     * @returns {Array<Object>} { id, name, categories, coords, floorId, geometryId?, nodeId?, location?, source }
+     */
+    getTargets(categoryOrPredicate) {
+        const targets = this.getAllTargets();
+        if (typeof categoryOrPredicate === 'function') {
+            return targets.filter(target => categoryOrPredicate(target));
+        }
+
+        const category = AmenityIndex.normalizeCategory(categoryOrPredicate);
+        return targets.filter(target => target.categories.includes(category));
+    }
+
+    getAllTargets() {
+        if (!this.targets) {
+            const exits = getAnnotationExits(this.engine, this.annotations)
+                .map(exit => ({ ...exit, categories: ['exit'] }));
+            this.targets = [
+                ...this.collectLocationTargets(),
+                ...this.collectStyleTargets(),
+                ...exits,
+                ...this.collectGraphTargets({ includeExits: exits.length === 0 })
+            ];
+        }
+        return this.targets;
+    }
+
+    /**
+     * Forget cached targets (e.g. after the graph is rebuilt)
+     */
+    invalidate() {
+        this.targets = null;
+    }
+
+    collectLocationTargets() {
+        const targets = [];
+        this.locations.forEach(location => {
+            const name = location?.details?.name || null;
+            const categories = new Set();
+            (location.categories || []).forEach(category => {
+                const id = typeof category === 'string' ? category : category?.id;
+                const categoryName = this.categoryNames.get(id) || category?.name || id;
+                if (categoryName) categories.add(AmenityIndex.normalizeCategory(categoryName));
+            });
+            // "Men's Restroom" without a category still counts as a restroom
+            const fromName = name ? AmenityIndex.normalizeCategory(name) : null;
+            if (fromName && AMENITY_ALIASES[fromName]) categories.add(fromName);
+
+            (location.geometryAnchors || []).forEach(anchor => {
+                const coords = this.getGeometryCenter(anchor.geometryId);
+                if (!coords) return;
+                targets.push({
+                    id: `${location.id || name}:${anchor.geometryId}`,
+                    name,
+                    categories: Array.from(categories),
+                    coords,
+                    floorId: anchor.floorId,
+                    geometryId: anchor.geometryId,
+                    location,
+                    source: 'location'
+                });
+            });
+        });
+        return targets;
+    }
+
+    collectStyleTargets() {
+        const targets = [];
+        Object.entries(this.styles).forEach(([styleName, style]) => {
+            const category = AmenityIndex.normalizeCategory(styleName);
+            if (!AMENITY_ALIASES[category]) return;
+
+            (style.geometryAnchors || []).forEach(anchor => {
+                const coords = this.getGeometryCenter(anchor.geometryId);
+                if (!coords) return;
+                targets.push({
+                    id: `${styleName}:${anchor.geometryId}`,
+                    name: this.getLocationName(anchor.geometryId) || styleName,
+                    categories: [category],
+                    coords,
+                    floorId: anchor.floorId,
+                    geometryId: anchor.geometryId,
+                    source: 'style'
+                });
+            });
+        });
+        return targets;
+    }
+
+    /**
+     * @param {Object} options - includeExits: also entrances in the exterior walls (for venues
+     *   without entrance annotations)
+     */
+    collectGraphTargets({ includeExits = true } = {}) {
+        const graph = this.engine.getGraph();
+        const exteriorWalls = includeExits ? this.getExteriorWalls() : new Map();
+        const targets = [];
+        graph.nodes.forEach(node => {
+            const category = GRAPH_NODE_AMENITIES[node.type];
+            if (!category) return;
+
+            if (category === 'exit') {
+                if (!includeExits) return;
+                // Most entrances are room doorways; only ones in the outer wall are exits
+                if (exteriorWalls.size > 0 && !this.isOnWall(node, exteriorWalls.get(node.floorId))) return;
+            } else {
+                // A connector end that doesn't lead to another floor isn't much use as an elevator
+                const changesFloor = graph.getEdges(node.id).some(edge => graph.getNode(edge.target)?.floorId !== node.floorId);
+                if (!changesFloor) return;
+            }
+
+            targets.push({
+                id: node.id,
+                name: node.metadata?.name || null,
+                categories: [category],
+                coords: node.coords,
+                floorId: node.floorId,
+                nodeId: node.id,
+                source: 'graph'
+            });
+        });
+        return targets;
+    }
+
+    /**
+     * Exterior wall lines per floor (from the ExteriorWalls style layer)
+     */
+    getExteriorWalls() {
+        const walls = new Map();
+        Object.entries(this.styles).forEach(([styleName, style]) => {
+            if (!/^ExteriorWalls/.test(styleName)) return;
+
+            (style.geometryAnchors || []).forEach(anchor => {
+                const feature = this.engine.geometryIndex?.get(anchor.geometryId);
+                if (!feature?.geometry) return;
+
+                const lines = feature.geometry.type.includes('Polygon') ? turf.polygonToLine(feature) : feature;
+                turf.flatten(lines).features.forEach(line => {
+                    if (line.geometry.type !== 'LineString') return;
+                    if (!walls.has(anchor.floorId)) walls.set(anchor.floorId, []);
+                    walls.get(anchor.floorId).push({ line, bbox: turf.bbox(line) });
+                });
+            });
+        });
+        return walls;
+    }
+
+    isOnWall(node, walls = []) {
+        const [lng, lat] = node.coords;
+        const pad = EXIT_WALL_DISTANCE_METERS / 111320 * 2;
+        const point = turf.point(node.coords);
+        return walls.some(({ line, bbox }) =>
+            lng >= bbox[0] - pad && lng <= bbox[2] + pad && lat >= bbox[1] - pad && lat <= bbox[3] + pad &&
+            turf.pointToLineDistance(point, line, { units: 'meters' }) <= EXIT_WALL_DISTANCE_METERS
+        );
+    }
+
+    getGeometryCenter(geometryId) {
+        const feature = this.engine.geometryIndex?.get(geometryId);
+        return feature ? this.engine.getFeatureCenter(feature) : null;
+    }
+
+    getLocationName(geometryId) {
+        const location = this.locations.find(item =>
+            (item.geometryAnchors || []).some(anchor => anchor.geometryId === geometryId)
+        );
+        return location?.details?.name || null;
+    }
+}
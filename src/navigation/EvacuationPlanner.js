@@ -0,0 +1,174 @@
+/**
+ * EvacuationPlanner - Routes to the nearest building exit under emergency rules
+ * Exits are the entrance annotations (primary/secondary entrance symbols, read the same way as
+ * AmenityIndex's "exit" targets), or those targets when a venue has no annotations. Routes use the "evacuation" routing profile: never
+ * elevators, stairs favoured over escalators, closed areas skipped like any other route.
+ */
+import * as turf from '@turf/turf';
+import { getAnnotationExits } from './AmenityIndex.js';
+
+const DEFAULT_MAX_TRAVEL_DISTANCE_METERS = 60;
+
+export class EvacuationPlanner {
+    /**
+     * @param {PathfindingEngine} engine - Initialized engine
+     * @param {Object} data - { annotations (mvf-loader), amenities (AmenityIndex, for fallback exits and room names) }
+     */
+    constructor(engine, { annotations = [], amenities = null } = {}) {
+        this.engine = engine;
+        this.annotations = annotations || [];
+        this.amenities = amenities;
+        this.exits = null;
+    }
+
+    /**
+     * Exit targets for findNearestTarget
+     * @returns {Array<Object>} { id, name, kind ('primary' | 'secondary' | null), coords, floorId, geometryId?, nodeId?, source }
+     */
+    getExits() {
+        if (this.exits) return this.exits;
+
+        this.exits = getAnnotationExits(this.engine, this.annotations);
+
+        if (this.exits.length === 0 && this.amenities) {
+            this.exits = this.amenities.getTargets('exit').map(target => ({ ...target, kind: null }));
+        }
+
+        console.log(`🚪 Evacuation exits: ${this.exits.length}`);
+        return this.exits;
+    }
+
+    /**
+     * Forget cached exits (e.g. after the graph is rebuilt)
+     */
+    invalidate() {
+        this.exits = null;
+    }
+
+    /**
+     * findRoute/findNearestTarget options: the evacuation profile, with the caller's options on top
+     */
+    getRouteOptions(options = {}) {
+        return { ...options, profile: 'evacuation' };
+    }
+
+    /**
+     * Closest exit from a point
+     * @returns {Object|null} findNearestTarget result; target is the exit
+     */
+    findNearestExit(startCoords, floorId, options = {}) {
+        const exits = this.getExits();
+        if (exits.length === 0) {
+            this.engine.setRouteError('no-path', 'This venue has no exits to evacuate to.');
+            return null;
+        }
+        return this.engine.findNearestTarget(startCoords, floorId, exits, this.getRouteOptions(options));
+    }
+
+    /**
+     * Route from a point to its nearest exit
+     * @returns {Object|null} Route with meta.evacuation { exit, walkingDistance, floorsTravelled }
+     */
+    findEvacuationRoute(startCoords, floorId, options = {}) {
+        const nearest = this.findNearestExit(startCoords, floorId, options);
+        if (!nearest) return null;
+
+        const { target } = nearest;
+        const route = this.engine.findRoute(startCoords, target.coords, floorId, target.floorId, this.getRouteOptions(options));
+        if (route) {
+            route.meta = {
+                ...route.meta,
+                evacuation: {
+                    exit: target,
+                    walkingDistance: nearest.walkingDistance,
+                    floorsTravelled: nearest.floorsTravelled
+                }
+            };
+        }
+        return route;
+    }
+
+    /**
+     * Evacuation distance from every room, as GeoJSON for facilities staff
+     * @param {Object} options - maxDistanceMeters (default 60), includeAll (also list compliant rooms),
+     *   includeRoutes (add the route line for each listed room), plus route options
+     * @returns {Object} FeatureCollection of room polygons (and route lines) with a summary in `properties`
+     */
+    buildReport(options = {}) {
+        const {
+            maxDistanceMeters = DEFAULT_MAX_TRAVEL_DISTANCE_METERS,
+            includeAll = false,
+            includeRoutes = false,
+            ...routeOptions
+        } = options;
+
+        const features = [];
+        let roomsChecked = 0;
+        let roomsExceeding = 0;
+        let roomsUnreachable = 0;
+
+        this.engine.roomIndex.forEach((rooms, floorId) => {
+            rooms.forEach(room => {
+                const coords = this.engine.getFeatureCenter(room.feature);
+                if (!coords) return;
+                roomsChecked++;
+
+                const nearest = this.findNearestExit(coords, floorId, routeOptions);
+                const exceedsLimit = Boolean(nearest) && nearest.walkingDistance > maxDistanceMeters;
+                if (!nearest) roomsUnreachable++;
+                if (exceedsLimit) roomsExceeding++;
+                if (nearest && !exceedsLimit && !includeAll) return;
+
+                features.push({
+                    type: 'Feature',
+                    geometry: room.feature.geometry,
+                    properties: {
+                        featureType: 'room',
+                        geometryId: room.geometryId,
+                        name: this.amenities?.getLocationName(room.geometryId) || room.feature.properties?.name || null,
+                        floorId,
+                        reachable: Boolean(nearest),
+                        exceedsLimit,
+                        walkingDistance: nearest ? Math.round(nearest.walkingDistance * 10) / 10 : null,
+                        floorsTravelled: nearest ? nearest.floorsTravelled : null,
+                        exitId: nearest?.target.id || null,
+                        exitName: nearest?.target.name || null,
+                        exitFloorId: nearest?.target.floorId || null
+                    }
+                });
+
+                if (includeRoutes && nearest) {
+                    const route = this.findEvacuationRoute(coords, floorId, routeOptions);
+                    if (route?.path?.length > 1) {
+                        features.push({
+                            type: 'Feature',
+                            geometry: turf.lineString(route.path).geometry,
+                            properties: {
+                                featureType: 'evacuation-route',
+                                geometryId: room.geometryId,
+                                floorId,
+                                floors: route.floors,
+                                exitId: nearest.target.id
+                            }
+                        });
+                    }
+                }
+            });
+        });
+
+        console.log(`🚨 Evacuation report: ${roomsExceeding} of ${roomsChecked} rooms over ${maxDistanceMeters} m, ${roomsUnreachable} without a route out`);
+
+        return {
+            type: 'FeatureCollection',
+            properties: {
+                maxDistanceMeters,
+                exits: this.getExits().length,
+                roomsChecked,
+                roomsExceeding,
+                roomsUnreachable,
+                generatedAt: new Date().toISOString()
+            },
+            features
+        };
+    }
+}
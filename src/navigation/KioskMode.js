@@ -0,0 +1,230 @@
+/**
+ * KioskMode - Wall-mounted screen with a fixed "You are here" origin
+ * Routes always start at the configured position, and the map is rotated so "up" is the
+ * direction the viewer faces. Picking a destination draws the route and a QR code of its deep
+ * link (RouteLink) so the visitor can continue on their phone. After a spell without input the
+ * screen returns to its home view.
+ */
+
+import maplibregl from 'maplibre-gl';
+import { QRCode } from '../ui/QRCode.js';
+import { formatRouteSummary } from '../pathfinding/features/TravelTimeEstimator.js';
+
+const DEFAULT_IDLE_RESET_SECONDS = 60;
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+// Query parameters that configure the kiosk itself; left out of the links handed to phones
+export const KIOSK_URL_PARAMS = ['kiosk', 'heading'];
+
+export class KioskMode {
+    /**
+     * @param {maplibregl.Map} map
+     * @param {NavigationController} navigationController - Initialized controller
+     * @param {Object} options - origin ([lng, lat]), floorId, heading (degrees the viewer faces),
+     *   name, zoom, pitch, profile (routing profile), idleResetSeconds, routeLink
+     */
+    constructor(map, navigationController, options = {}) {
+        this.map = map;
+        this.navigation = navigationController;
+        this.origin = options.origin;
+        this.floorId = options.floorId;
+        this.heading = options.heading ?? 0;
+        this.name = options.name || 'You are here';
+        this.zoom = options.zoom ?? 19.5;
+        this.pitch = options.pitch ?? 45;
+        this.profile = options.profile || null;
+        this.idleResetSeconds = options.idleResetSeconds ?? DEFAULT_IDLE_RESET_SECONDS;
+        this.routeLink = options.routeLink || null;
+
+        this.active = false;
+        this.marker = null;
+        this.panel = null;
+        this.idleTimer = null;
+
+        this.handleActivity = this.handleActivity.bind(this);
+        this.handleLocationClicked = this.handleLocationClicked.bind(this);
+    }
+
+    start() {
+        if (this.active) return;
+        if (!this.origin || !this.floorId) {
+            console.error('Kiosk mode needs an origin and a floor');
+            return;
+        }
+        this.active = true;
+
+        document.body.classList.add('is-kiosk');
+        this.createMarker();
+        this.createPanel();
+
+        ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, this.handleActivity, { capture: true, passive: true }));
+        window.addEventListener('location-clicked', this.handleLocationClicked);
+
+        this.goHome();
+        console.log(`🖥️ Kiosk mode at ${this.name} (heading ${this.heading}°)`);
+    }
+
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+
+        ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, this.handleActivity, { capture: true }));
+        window.removeEventListener('location-clicked', this.handleLocationClicked);
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+
+        this.marker?.remove();
+        this.marker = null;
+        this.panel?.remove();
+        this.panel = null;
+        document.body.classList.remove('is-kiosk');
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * Clear the route and point the camera the way the viewer faces
+     */
+    goHome() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+
+        this.navigation.clearRoute();
+        this.navigation.setUserLocation(this.origin, this.floorId);
+        this.hidePanel();
+
+        window.dispatchEvent(new CustomEvent('location-deselected'));
+        window.dispatchEvent(new CustomEvent('floor-changed', { detail: { floorId: this.floorId } }));
+        this.map.easeTo({
+            center: this.origin,
+            bearing: this.heading,
+            zoom: this.zoom,
+            pitch: this.pitch,
+            duration: 800
+        });
+    }
+
+    /**
+     * Route from the kiosk and show the QR code for it
+     * @param {Object} destination - { coords, floorId, name?, locationId? }
+     * @returns {Object|null} Route
+     */
+    routeTo(destination) {
+        this.navigation.setUserLocation(this.origin, this.floorId);
+        this.navigation.setDestination({
+            coords: destination.coords,
+            floorId: destination.floorId,
+            geometryId: destination.locationId || null,
+            name: destination.name,
+            anchors: destination.anchors || null
+        });
+
+        const route = this.navigation.computeRoute(this.profile ? { profile: this.profile } : {});
+        if (!route) {
+            const message = this.navigation.getEngine().getLastRouteError()?.message || 'No route from here.';
+            this.showPanel(destination.name, message);
+            return null;
+        }
+
+        this.navigation.renderRoute();
+        window.dispatchEvent(new CustomEvent('floor-changed', { detail: { floorId: this.floorId } }));
+        this.fitRoute(route);
+        const summary = route.meta?.destinationClosed
+            ? `${formatRouteSummary(route)} · Closed when you arrive`
+            : formatRouteSummary(route);
+        this.showPanel(destination.name, summary, this.getRouteUrl(destination));
+        return route;
+    }
+
+    /**
+     * Deep link for the phone: same route and orientation, without the kiosk settings
+     */
+    getRouteUrl(destination) {
+        if (!this.routeLink) return null;
+
+        return this.routeLink.toUrl({
+            from: { coords: this.origin, floorId: this.floorId },
+            to: destination,
+            profile: this.profile,
+            floorId: this.floorId,
+            camera: { center: this.origin, zoom: this.zoom, bearing: this.heading, pitch: this.pitch }
+        }, { omit: KIOSK_URL_PARAMS });
+    }
+
+    fitRoute(route) {
+        if (!route.path?.length) return;
+
+        const bounds = new maplibregl.LngLatBounds(this.origin, this.origin);
+        route.path.forEach(coords => bounds.extend(coords));
+        this.map.fitBounds(bounds, {
+            bearing: this.heading,
+            pitch: this.pitch,
+            padding: 80,
+            maxZoom: this.zoom + 1,
+            duration: 800
+        });
+    }
+
+    handleLocationClicked(event) {
+        const { coords, floorId } = event.detail || {};
+        if (!coords || !floorId) return;
+        this.routeTo(event.detail);
+    }
+
+    handleActivity() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.goHome(), this.idleResetSeconds * 1000);
+    }
+
+    createMarker() {
+        const element = document.createElement('div');
+        element.className = 'kiosk-here';
+        element.innerHTML = '<span class="kiosk-here-cone"></span><span class="kiosk-here-dot"></span>';
+        element.title = this.name;
+
+        // Rotated with the map, so the cone points up on screen when the map bearing is the heading
+        this.marker = new maplibregl.Marker({
+            element,
+            rotation: this.heading,
+            rotationAlignment: 'map',
+            pitchAlignment: 'map'
+        })
+            .setLngLat(this.origin)
+            .addTo(this.map);
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'kiosk-panel is-hidden';
+        this.panel.innerHTML = `
+            <div class="kiosk-panel-title"></div>
+            <div class="kiosk-panel-summary"></div>
+            <canvas class="kiosk-panel-qr" aria-label="QR code for this route"></canvas>
+            <div class="kiosk-panel-hint">Scan to take this route with you</div>
+        `;
+        document.body.appendChild(this.panel);
+    }
+
+    showPanel(title, summary, url = null) {
+        if (!this.panel) return;
+
+        this.panel.querySelector('.kiosk-panel-title').textContent = title || 'Destination';
+        this.panel.querySelector('.kiosk-panel-summary').textContent = summary;
+
+        const canvas = this.panel.querySelector('.kiosk-panel-qr');
+        const hint = this.panel.querySelector('.kiosk-panel-hint');
+        canvas.hidden = !url;
+        hint.hidden = !url;
+        if (url) {
+            new QRCode(url).drawToCanvas(canvas, { scale: 4, margin: 4 });
+        }
+
+        this.panel.classList.remove('is-hidden');
+    }
+
+    hidePanel() {
+        this.panel?.classList.add('is-hidden');
+    }
+}
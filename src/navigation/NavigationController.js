@@ -5,39 +5,79 @@
 
 import { PathfindingEngine } from '../pathfinding/PathfindingEngine.js';
 import { PathRenderer } from '../pathfinding/visualization/PathRenderer.js';
+import { IsochroneRenderer } from '../pathfinding/visualization/IsochroneRenderer.js';
 import { PathSmoother } from '../pathfinding/features/PathSmoother.js';
 import {
     buildVisibilityEdgeCacheKey,
     getCachedVisibilityEdges,
     setCachedVisibilityEdges
 } from '../pathfinding/cache/VisibilityEdgeCache.js';
-import { loadNavigationData, extractFloorIds } from './NavigationDataLoader.js';
+import { BINARY_GRAPH_FILE, loadBinaryGraph } from '../pathfinding/cache/BinaryGraphFile.js';
+import { RouteTracker } from './RouteTracker.js';
+import { WalkMode } from './WalkMode.js';
+import { AmenityIndex } from './AmenityIndex.js';
+import { EvacuationPlanner } from './EvacuationPlanner.js';
+import { OpeningHours } from './OpeningHours.js';
+import { loadNavigationData, extractFloorIds, getGraphBuildSettings } from './NavigationDataLoader.js';
 import * as turf from '@turf/turf';
 
 export class NavigationController {
-    constructor(map, layerManager) {
+    constructor(map, layerManager, options = {}) {
         this.map = map;
         this.layerManager = layerManager;
+        this.options = options;
         this.engine = new PathfindingEngine();
         this.renderer = new PathRenderer(map, layerManager);
+        this.isochroneRenderer = new IsochroneRenderer(map, layerManager, this.engine.travelTime);
         this.smoother = new PathSmoother();
 
         this.initialized = false;
         this.currentRoute = null;
         this.userLocation = null;
         this.destination = null;
+        this.waypoints = [];
         this.walkableAreas = null;
+        this.floors = [];
+        this.locations = [];
+        // geometryId -> OpeningHours, for locations.json entries that have any
+        this.openingHours = new Map();
+        // Planned departure (Date); null means now
+        this.departureTime = null;
+        this.amenities = null;
+        this.evacuation = null;
         this.groundFloorId = null;
 
         // Marker for user position during simulation
         this.userMarker = null;
         this.animationFrameId = null;
+
+        // Last computeRoute/computeMultiStopRoute call, replayed when closures change
+        this.lastRouteRequest = null;
+
+        // Distances from the user location for search results (getUserLocationDistances)
+        this.userLocationDistances = null;
+
+        // Live position tracking (off-route detection / rerouting)
+        this.tracker = null;
+        this.tracking = false;
+
+        this.walkMode = null;
+
+        // Directions panel drawing on the same renderer (setDirectionsUI)
+        this.directionsUI = null;
+        if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+            window.addEventListener('routing-closures-changed', () => this.handleClosuresChanged());
+        }
     }
 
     emitStatus(message) {
+        this.emitEvent('navigation-status', { message });
+    }
+
+    emitEvent(type, detail) {
         if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function') {
             try {
-                window.dispatchEvent(new CustomEvent('navigation-status', { detail: { message } }));
+                window.dispatchEvent(new CustomEvent(type, { detail }));
             } catch (e) {
                 // Ignore event dispatch errors.
             }
@@ -53,9 +93,12 @@ export class NavigationController {
         console.group('🧭 Initializing Navigation Controller');
         this.emitStatus('Loading navigation data…');
 
-        const { geometry, floors, manifest } = mvfData;
+        const { geometry, floors, manifest, locations, locationCategories, styles, annotations } = mvfData;
         const floorIds = extractFloorIds(floors);
         this.groundFloorId = floors?.[0]?.properties?.id || floorIds[0] || null;
+        this.floors = floors || [];
+        this.locations = locations || [];
+        this.openingHours = this.buildOpeningHoursIndex(this.locations);
 
         if (floorIds.length === 0) {
             console.error('No floors found in MVF data');
@@ -73,21 +116,12 @@ export class NavigationController {
         this.walkableAreas = navData.walkableAreas;
 
         const nodeCount = navData.walkableNodes?.features?.length || 0;
-        let edgeMaxDistanceMeters = 15;
-        let edgeMaxNeighbors = 8;
-
-        // Large graphs can freeze the UI while building visibility edges.
-        // Use slightly tighter edge limits + time-sliced yielding for smoother startup.
-        if (nodeCount > 8000) {
-            edgeMaxDistanceMeters = 8;
-            edgeMaxNeighbors = 6;
-        }
+        const buildSettings = getGraphBuildSettings(nodeCount);
+        const { edgeMaxDistanceMeters, edgeMaxNeighbors } = buildSettings;
 
         const engineOptions = {
-            edgeMaxDistanceMeters,
-            edgeMaxNeighbors,
-            edgeBuildYieldEvery: nodeCount > 8000 ? 10 : 25,
-            edgeBuildYieldAfterMs: 12
+            floors,
+            ...buildSettings
         };
         engineOptions.onStatus = (message) => this.emitStatus(message);
 
@@ -95,6 +129,9 @@ export class NavigationController {
         const forceRebuildGraph = urlParams ? urlParams.has('rebuildGraph') : false;
         const disableGraphCache = urlParams ? urlParams.has('noGraphCache') : false;
 
+        // Build the graph off the main thread (?graphWorker)
+        engineOptions.useWorker = this.options.useGraphWorker ?? (urlParams ? urlParams.has('graphWorker') : false);
+
         const manifestProps = manifest?.features?.[0]?.properties || {};
         const cacheKey = buildVisibilityEdgeCacheKey({
             mapId: manifestProps.mapId,
@@ -103,7 +140,19 @@ export class NavigationController {
             edgeMaxNeighbors
         });
 
+        // Prefer the offline-built graph (npm run build:graph) when it matches this map version
         if (!disableGraphCache && !forceRebuildGraph) {
+            const prebuilt = await loadBinaryGraph(`${assetRoot}/${BINARY_GRAPH_FILE}`, {
+                mapId: manifestProps.mapId,
+                mapTime: manifestProps.time
+            });
+            if (prebuilt) {
+                console.log(`🧠 Using precomputed routing graph (${prebuilt.meta.nodeCount} nodes, ${prebuilt.meta.edgeCount} edges)`);
+                engineOptions.packedGraph = prebuilt.packed;
+            }
+        }
+
+        if (!disableGraphCache && !forceRebuildGraph && !engineOptions.packedGraph) {
             const cachedEdges = await getCachedVisibilityEdges(cacheKey);
             if (cachedEdges) {
                 console.log(`🧠 Using cached visibility edges (${cachedEdges.length})`);
@@ -111,7 +160,7 @@ export class NavigationController {
             }
         }
 
-        if (!disableGraphCache && !engineOptions.visibilityEdges) {
+        if (!disableGraphCache && !engineOptions.visibilityEdges && !engineOptions.packedGraph) {
             engineOptions.onVisibilityEdgesBuilt = (edges) => {
                 void setCachedVisibilityEdges(cacheKey, edges, {
                     mapId: manifestProps.mapId,
@@ -128,7 +177,10 @@ export class NavigationController {
             edgeMaxNeighbors,
             edgeBuildYieldEvery: engineOptions.edgeBuildYieldEvery,
             edgeBuildYieldAfterMs: engineOptions.edgeBuildYieldAfterMs,
-            visibilityEdges: engineOptions.visibilityEdges ? `cached(${engineOptions.visibilityEdges.length})` : 'build'
+            useWorker: engineOptions.useWorker,
+            visibilityEdges: engineOptions.packedGraph
+                ? 'precomputed'
+                : engineOptions.visibilityEdges ? `cached(${engineOptions.visibilityEdges.length})` : 'build'
         }, `(${nodeCount} routing nodes)`);
 
         // Initialize the pathfinding engine
@@ -144,6 +196,23 @@ export class NavigationController {
             engineOptions
         );
 
+        this.amenities = new AmenityIndex(this.engine, {
+            locations: this.locations,
+            categories: locationCategories,
+            styles,
+            annotations
+        });
+        this.evacuation = new EvacuationPlanner(this.engine, {
+            annotations,
+            amenities: this.amenities
+        });
+
+        // Optional preprocessing for instant repeated queries (?contractionHierarchies)
+        if (this.options.useContractionHierarchies ?? (urlParams ? urlParams.has('contractionHierarchies') : false)) {
+            this.emitStatus('Preprocessing routes...');
+            this.engine.buildContractionHierarchies();
+        }
+
         this.initialized = true;
         this.emitStatus('Routing engine ready.');
         console.log('✅ Navigation Controller Ready!');
@@ -229,7 +298,9 @@ export class NavigationController {
 
     /**
      * Set navigation destination
-     * @param {Object} destination - { coords: [lng, lat], floorId, geometryId? }
+     * @param {Object} destination - { coords: [lng, lat], floorId, geometryId?, anchors? }
+     *   anchors ({ geometryId, floorId, coords }) are all the rooms of a multi-room location;
+     *   routes go to the closest one
      */
     setDestination(destination) {
         this.destination = destination;
@@ -262,8 +333,9 @@ export class NavigationController {
 
     /**
      * Compute route from user location to destination
-     * @param {Object} options - Routing options
-     * @returns {Object|null} Route object or null if no path found
+     * @param {Object} options - Routing options, plus departureTime (see setDepartureTime)
+     * @returns {Object|null} Route object or null if no path found; meta.destinationClosed
+     *   flags a destination whose opening hours say it's closed on arrival
      */
     computeRoute(options = {}) {
         if (!this.initialized) {
@@ -276,6 +348,8 @@ export class NavigationController {
             return null;
         }
 
+        this.pickNearestAnchor(this.userLocation, options);
+
         const rawStartCoords = this.userLocation.coords;
         const rawStartFloorId = this.userLocation.floorId;
         const rawEndCoords = this.destination.coords;
@@ -312,12 +386,15 @@ export class NavigationController {
 
         if (!startInside && !endInside) {
             console.warn('Both start and destination are outside; skipping indoor routing.');
-            this.currentRoute = null;
+            this.setCurrentRoute(null);
             return null;
         }
 
-        // Find route (indoor portion)
-        const route = this.engine.findRoute(startCoords, endCoords, startFloorId, endFloorId, options);
+        this.lastRouteRequest = { multiStop: false, options };
+
+        // Find route (indoor portion); rooms closed at departure aren't cut through
+        const departure = this.getDepartureTime(options);
+        const route = this.engine.findRoute(startCoords, endCoords, startFloorId, endFloorId, this.getOpeningHoursRouteOptions(options));
 
         if (route) {
             // Add start/end coords to path for complete route
@@ -337,8 +414,9 @@ export class NavigationController {
                 startInside,
                 endInside
             };
+            this.flagArrival(route, departure);
 
-            this.currentRoute = route;
+            this.setCurrentRoute(route);
         } else {
             const error = this.engine.getLastRouteError();
             console.error('Route not found:', error?.message || 'Unknown error');
@@ -347,6 +425,366 @@ export class NavigationController {
         return route;
     }
 
+    /**
+     * Set intermediate stops visited between the user location and the destination
+     * @param {Array} waypoints - [{ coords: [lng, lat], floorId, name? }]
+     */
+    setWaypoints(waypoints = []) {
+        this.waypoints = [...waypoints];
+        return this.waypoints;
+    }
+
+    addWaypoint(waypoint, index = this.waypoints.length) {
+        this.waypoints.splice(index, 0, waypoint);
+        return this.waypoints;
+    }
+
+    removeWaypoint(index) {
+        this.waypoints.splice(index, 1);
+        return this.waypoints;
+    }
+
+    clearWaypoints() {
+        this.waypoints = [];
+    }
+
+    /**
+     * Compute a route from the user location through all waypoints to the destination
+     * @param {Object} options - Routing options; optimizeOrder reorders the waypoints
+     * @returns {Object|null} Combined route (with legs) or null if any leg fails
+     */
+    computeMultiStopRoute(options = {}) {
+        if (!this.initialized) {
+            console.error('Navigation not initialized');
+            return null;
+        }
+
+        if (!this.userLocation || !this.destination?.coords) {
+            console.error('Both user location and destination must be set');
+            return null;
+        }
+
+        if (this.waypoints.length === 0) {
+            return this.computeRoute(options);
+        }
+
+        // Start outdoors: enter through the nearest entrance, like computeRoute
+        const rawStartCoords = this.userLocation.coords;
+        let startCoords = this.userLocation.snappedCoords || rawStartCoords;
+        let startFloorId = this.userLocation.floorId;
+        if (!this.isInsideWalkableArea(rawStartCoords)) {
+            const entrance = this.findNearestEntranceNode(rawStartCoords);
+            if (entrance) {
+                startCoords = entrance.coords;
+                startFloorId = entrance.floorId;
+            }
+        }
+
+        this.lastRouteRequest = { multiStop: true, options };
+
+        this.pickNearestAnchor(this.waypoints[this.waypoints.length - 1], options);
+        const departure = this.getDepartureTime(options);
+        const route = this.engine.findMultiStopRoute([
+            { name: 'Start', coords: startCoords, floorId: startFloorId },
+            ...this.waypoints,
+            this.destination
+        ], this.getOpeningHoursRouteOptions(options));
+
+        if (!route) {
+            const error = this.engine.getLastRouteError();
+            console.error('Route not found:', error?.message || 'Unknown error');
+            return null;
+        }
+
+        // Keep waypoints in visiting order once the engine has optimized them
+        this.waypoints = route.order.slice(1, -1).map(index => this.waypoints[index - 1]);
+
+        route.fullPath = [rawStartCoords, ...route.path];
+        route.startCoords = rawStartCoords;
+        route.endCoords = this.destination.coords;
+        route.anchorStartCoords = startCoords;
+        route.anchorEndCoords = this.destination.coords;
+        this.flagArrival(route, departure);
+
+        this.setCurrentRoute(route);
+        return route;
+    }
+
+    /**
+     * For a destination spanning several rooms, move it to the anchor that's cheapest to reach
+     * from `from` under the route options (any floor)
+     */
+    pickNearestAnchor(from, options = {}) {
+        const anchor = this.engine.findNearestAnchor(from, this.destination?.anchors, this.getOpeningHoursRouteOptions(options));
+        if (anchor) {
+            this.destination = {
+                ...this.destination,
+                coords: anchor.coords,
+                floorId: anchor.floorId,
+                geometryId: anchor.geometryId
+            };
+        }
+        return this.destination;
+    }
+
+    /**
+     * Every anchor of the location that includes geometryId, with coordinates
+     * @returns {Array<Object>|null} { geometryId, floorId, coords }
+     */
+    getLocationAnchors(geometryId) {
+        const matches = this.locations.filter(location =>
+            (location.geometryAnchors || []).some(anchor => anchor.geometryId === geometryId)
+        );
+        // Real locations.json entries over mvf-loader's synthetic ones (which have no id)
+        const location = matches.find(match => match.id) || matches[0];
+        if (!location) return null;
+
+        const anchors = location.geometryAnchors
+            .map(anchor => {
+                const feature = this.engine.geometryIndex.get(anchor.geometryId);
+                const coords = feature ? this.engine.getFeatureCenter(feature) : null;
+                return coords ? { geometryId: anchor.geometryId, floorId: anchor.floorId || feature.properties?.floorId, coords } : null;
+            })
+            .filter(Boolean);
+        return anchors.length ? anchors : null;
+    }
+
+    /**
+     * Plan for a later departure; routes and nearest-place searches then use the opening
+     * hours at that time
+     * @param {Date|number|string|null} time - null to leave now
+     */
+    setDepartureTime(time) {
+        this.departureTime = time == null ? null : new Date(time);
+        this.userLocationDistances = null;
+        return this.departureTime;
+    }
+
+    /**
+     * options.departureTime, else the planned departure, else now
+     * @returns {Date}
+     */
+    getDepartureTime(options = {}) {
+        if (options.departureTime != null) return new Date(options.departureTime);
+        return this.departureTime ? new Date(this.departureTime) : new Date();
+    }
+
+    buildOpeningHoursIndex(locations) {
+        const index = new Map();
+        locations.forEach(location => {
+            const hours = OpeningHours.forLocation(location);
+            if (hours.isEmpty()) return;
+            (location.geometryAnchors || []).forEach(anchor => index.set(anchor.geometryId, hours));
+        });
+        return index;
+    }
+
+    /**
+     * @returns {boolean|null} Whether the location at geometryId is open at time; null without opening hours
+     */
+    isOpenAt(geometryId, time = this.getDepartureTime()) {
+        const hours = geometryId ? this.openingHours.get(geometryId) : null;
+        return hours ? hours.isOpenAt(time) : null;
+    }
+
+    getClosedRoomIds(time = this.getDepartureTime()) {
+        return Array.from(this.openingHours.keys()).filter(geometryId => this.isOpenAt(geometryId, time) === false);
+    }
+
+    /**
+     * Engine options for a request: departureTime swapped for the rooms closed at that time
+     */
+    getOpeningHoursRouteOptions(options = {}) {
+        const { departureTime, ...routeOptions } = options;
+        const closedRoomIds = this.getClosedRoomIds(this.getDepartureTime(options));
+        return closedRoomIds.length ? { ...routeOptions, closedRoomIds } : routeOptions;
+    }
+
+    /**
+     * Whether the destination of a route will be open when it's reached
+     * @returns {Object|null} { open, departureTime, arrivalTime }; null when the place has no opening hours
+     */
+    getArrivalStatus(geometryId, route, departure = this.getDepartureTime()) {
+        const arrivalTime = new Date(departure.getTime() + (route?.duration || 0) * 1000);
+        const open = this.isOpenAt(geometryId, arrivalTime);
+        return open === null ? null : { open, departureTime: departure, arrivalTime };
+    }
+
+    /**
+     * Note departure/arrival on the route and flag a destination that's closed by then
+     */
+    flagArrival(route, departure) {
+        const arrival = this.getArrivalStatus(this.destination?.geometryId, route, departure);
+        route.meta = {
+            ...(route.meta || {}),
+            departureTime: departure,
+            arrivalTime: new Date(departure.getTime() + (route.duration || 0) * 1000),
+            destinationClosed: arrival?.open === false
+        };
+        if (arrival?.open === false) {
+            console.warn(`${this.destination.name || 'Destination'} is closed at ${arrival.arrivalTime.toLocaleTimeString()}`);
+        }
+    }
+
+    /**
+     * Recompute and redraw the active route after closures change
+     * The only routing-closures-changed listener: a route shown by the directions panel is
+     * refreshed there, otherwise (or while tracking) our own.
+     */
+    handleClosuresChanged() {
+        this.userLocationDistances = null;
+        if (!this.initialized) return;
+        // While tracking, the route being followed is ours
+        if (!this.tracking && this.directionsUI?.refreshRoute()) return;
+        if (!this.currentRoute || !this.lastRouteRequest) return;
+
+        const route = this.recomputeLastRoute();
+
+        if (route) {
+            this.renderRoute();
+            this.emitStatus('Route updated for closures.');
+        } else {
+            this.renderer.clearRoute();
+            this.setCurrentRoute(null);
+            const error = this.engine.getLastRouteError();
+            this.emitStatus(error?.message || 'Route closed; no alternative available.');
+        }
+    }
+
+    /**
+     * Re-run the last route request from the current user location
+     * Evacuations pick their exit again, since the closest one may have changed.
+     */
+    recomputeLastRoute() {
+        const { multiStop = false, evacuation = null, options = {} } = this.lastRouteRequest || {};
+        if (evacuation) return this.navigateToExit(evacuation);
+        return multiStop ? this.computeMultiStopRoute(options) : this.computeRoute(options);
+    }
+
+    /**
+     * Replace the current route; a running tracker follows the new one, or stops when there is none
+     */
+    setCurrentRoute(route) {
+        this.currentRoute = route;
+        if (!this.tracking) return;
+        if (route) {
+            this.tracker.setRoute(route);
+        } else {
+            this.stopTracking();
+        }
+    }
+
+    /**
+     * Start following position updates along the current route
+     * @param {Object} options - RouteTracker options (offRouteThresholdMeters, offRouteDurationMs, ...)
+     *   plus autoReroute (default true)
+     */
+    startTracking(options = {}) {
+        if (!this.currentRoute) {
+            console.warn('No route to track');
+            return false;
+        }
+
+        const { autoReroute = true, ...trackerOptions } = options;
+        this.tracker = new RouteTracker(trackerOptions);
+        this.tracker.setRoute(this.currentRoute);
+        this.autoReroute = autoReroute;
+        this.tracking = true;
+        return true;
+    }
+
+    stopTracking() {
+        this.tracking = false;
+        this.tracker = null;
+    }
+
+    /**
+     * Feed one position fix while tracking
+     * Emits navigation-progress for every fix, off-route on sustained deviation
+     * (then reroutes from here), and navigation-arrived at the destination.
+     * @returns {Object|null} Tracking state
+     */
+    updatePosition(coords, floorId, timestamp = Date.now()) {
+        this.setUserLocation(coords, floorId);
+        if (!this.tracking || !this.tracker) return null;
+
+        const state = this.tracker.update({ coords, floorId, timestamp });
+        if (!state) return null;
+
+        this.emitEvent('navigation-progress', state);
+
+        if (state.offRouteTriggered) {
+            console.warn(`🧭 Off route (${state.deviationMeters.toFixed(1)}m for ${Math.round(state.offRouteDurationMs / 1000)}s)`);
+            this.emitEvent('off-route', state);
+            if (this.autoReroute) {
+                state.rerouted = this.rerouteFromCurrentPosition(state);
+            }
+        } else if (state.arrived) {
+            this.emitEvent('navigation-arrived', state);
+            this.stopTracking();
+        }
+
+        return state;
+    }
+
+    /**
+     * Recompute the route from the user's current location and keep tracking it
+     */
+    rerouteFromCurrentPosition(state = null) {
+        const { multiStop = false } = this.lastRouteRequest || {};
+
+        // Waypoints already behind the user don't need visiting again
+        if (multiStop && state && this.tracker) {
+            this.waypoints = this.waypoints.filter(waypoint => {
+                const located = this.tracker.locate(waypoint.coords, waypoint.floorId);
+                return !located || located.distanceAlong > state.distanceAlong;
+            });
+        }
+
+        const route = this.recomputeLastRoute();
+        if (!route) {
+            const error = this.engine.getLastRouteError();
+            this.emitStatus(error?.message || 'Unable to reroute from here.');
+            return false;
+        }
+
+        this.renderRoute();
+        this.emitEvent('navigation-rerouted', { route });
+        this.emitStatus('Rerouted from your current position.');
+        return true;
+    }
+
+    /**
+     * Feed a recorded trace through the tracker (for testing/replays)
+     * @param {Array} trace - [{ coords: [lng, lat], floorId, timestamp }]
+     * @returns {Array} Tracking state after each fix
+     */
+    replayTrace(trace, options = {}) {
+        if (!this.tracking && !this.startTracking(options)) {
+            return [];
+        }
+
+        const states = [];
+        for (const fix of trace) {
+            if (!this.tracking) break;
+            const coords = fix.coords || [fix.lng, fix.lat];
+            states.push(this.updatePosition(coords, fix.floorId, fix.timestamp));
+        }
+        return states;
+    }
+
+    /**
+     * Convenience method: route through several stops; the last one becomes the destination
+     */
+    navigateThrough(stops, options = {}) {
+        if (!Array.isArray(stops) || stops.length === 0) {
+            return null;
+        }
+        this.setWaypoints(stops.slice(0, -1));
+        this.setDestination(stops[stops.length - 1]);
+        return this.computeMultiStopRoute(options);
+    }
+
     /**
      * Render the current route on the map
      * @param {Object} options - Rendering options
@@ -388,7 +826,7 @@ export class NavigationController {
         pushUnique(renderPath, endCoords);
 
         const renderDistance =
-            this.currentRoute.distance +
+            (this.currentRoute.walkingDistance ?? this.currentRoute.distance) +
             (startCoords && anchorStartCoords && !coordsEqual(startCoords, anchorStartCoords)
                 ? turf.distance(turf.point(startCoords), turf.point(anchorStartCoords), { units: 'meters' })
                 : 0) +
@@ -400,7 +838,8 @@ export class NavigationController {
         const routeToRender = {
             ...this.currentRoute,
             path: renderPath,
-            distance: renderDistance
+            distance: renderDistance,
+            walkingDistance: renderDistance
         };
 
         // Render the route
@@ -417,7 +856,7 @@ export class NavigationController {
      */
     clearRoute() {
         this.renderer.clearRoute();
-        this.currentRoute = null;
+        this.setCurrentRoute(null);
     }
 
     /**
@@ -436,6 +875,202 @@ export class NavigationController {
         return this.computeRoute(options);
     }
 
+    /**
+     * Coordinates for a RouteLink endpoint
+     * @param {Object} endpoint - { locationId } or { coords, floorId }
+     * @returns {Object|null} { coords, floorId, locationId?, name?, anchors? }
+     */
+    resolveEndpoint(endpoint) {
+        if (!endpoint) return null;
+        if (!endpoint.locationId) {
+            return endpoint.coords ? { ...endpoint, floorId: endpoint.floorId || this.groundFloorId } : null;
+        }
+
+        const feature = this.engine.geometryIndex.get(endpoint.locationId);
+        const coords = feature ? this.engine.getFeatureCenter(feature) : null;
+        if (!coords) {
+            console.warn(`Unknown location in link: ${endpoint.locationId}`);
+            return null;
+        }
+
+        return {
+            coords,
+            floorId: feature.properties?.floorId,
+            locationId: endpoint.locationId,
+            name: this.amenities.getLocationName(endpoint.locationId) || feature.properties?.name || 'Location',
+            anchors: this.getLocationAnchors(endpoint.locationId)
+        };
+    }
+
+    /**
+     * Recompute the route of a shared link (RouteLink.parse)
+     * @param {Object} link - { from, to, profile }
+     * @returns {Object|null} { route, from, to } with resolved endpoints; route is null when no path was found
+     */
+    routeFromLink(link) {
+        if (!this.initialized) {
+            console.error('Navigation not initialized');
+            return null;
+        }
+
+        const from = this.resolveEndpoint(link?.from);
+        const to = this.resolveEndpoint(link?.to);
+        if (!from || !to) return null;
+
+        this.setUserLocation(from.coords, from.floorId);
+        this.setDestination({
+            coords: to.coords,
+            floorId: to.floorId,
+            geometryId: to.locationId || null,
+            name: to.name,
+            anchors: to.anchors
+        });
+
+        const route = this.computeRoute(link.profile ? { profile: link.profile } : {});
+        // The route may have gone to another room of the same location
+        const { coords, floorId, geometryId } = this.destination;
+        return { route, from, to: { ...to, coords, floorId, locationId: geometryId || to.locationId } };
+    }
+
+    /**
+     * Closest location of a category ("restroom", "elevator", "stairs", "exit", or a
+     * location-categories.json name), or of any amenity target matching a predicate
+     * One multi-target search from the user location (or options.from) under the given
+     * routing options, so accessibleOnly picks the closest target reachable without stairs.
+     * @param {string|Function} categoryOrPredicate
+     * @param {Object} options - from ({ coords, floorId }), departureTime (skips places closed then)
+     *   plus findRoute options
+     * @returns {Object|null} { target, cost, walkingDistance, floorsTravelled, candidates }
+     */
+    findNearest(categoryOrPredicate, options = {}) {
+        if (!this.initialized) {
+            console.error('Navigation not initialized');
+            return null;
+        }
+
+        const { from = this.userLocation, ...routeOptions } = options;
+        if (!from?.coords) {
+            console.error('User location must be set');
+            return null;
+        }
+
+        // Places closed at departure don't count
+        const departure = this.getDepartureTime(routeOptions);
+        const targets = this.amenities.getTargets(categoryOrPredicate)
+            .filter(target => this.isOpenAt(target.geometryId, departure) !== false);
+        if (targets.length === 0) {
+            console.warn(`No open destinations found for ${typeof categoryOrPredicate === 'function' ? 'predicate' : `"${categoryOrPredicate}"`}`);
+            return null;
+        }
+
+        const startCoords = from.snappedCoords || from.coords;
+        const nearest = this.engine.findNearestTarget(startCoords, from.floorId, targets, this.getOpeningHoursRouteOptions(routeOptions));
+        if (!nearest) {
+            console.warn(this.engine.getLastRouteError()?.message || 'No destination reachable');
+            return null;
+        }
+
+        return { ...nearest, candidates: targets.length };
+    }
+
+    /**
+     * Route to the closest location of a category (see findNearest)
+     * @returns {Object|null} Route with meta.nearest describing the chosen target
+     */
+    navigateToNearest(categoryOrPredicate, options = {}) {
+        const nearest = this.findNearest(categoryOrPredicate, options);
+        if (!nearest) return null;
+
+        const { from, ...routeOptions } = options;
+        if (from?.coords) {
+            this.setUserLocation(from.coords, from.floorId);
+        }
+
+        const { target } = nearest;
+        this.setDestination({
+            coords: target.coords,
+            floorId: target.floorId,
+            geometryId: target.geometryId || null,
+            name: target.name
+        });
+
+        const route = this.computeRoute(routeOptions);
+        if (route) {
+            route.meta = {
+                ...route.meta,
+                nearest: {
+                    category: typeof categoryOrPredicate === 'function' ? null : categoryOrPredicate,
+                    target,
+                    candidates: nearest.candidates,
+                    searchStats: nearest.stats
+                }
+            };
+        }
+        return route;
+    }
+
+    /**
+     * Evacuation route from the user location (or options.from) to the nearest exit
+     * Never uses elevators, prefers stairs and avoids closures; see EvacuationPlanner.
+     * @returns {Object|null} Route with meta.evacuation describing the chosen exit
+     */
+    navigateToExit(options = {}) {
+        if (!this.initialized) {
+            console.error('Navigation not initialized');
+            return null;
+        }
+
+        const { from = this.userLocation, ...evacuationOptions } = options;
+        if (!from?.coords) {
+            console.error('User location must be set');
+            return null;
+        }
+        if (from !== this.userLocation) {
+            this.setUserLocation(from.coords, from.floorId);
+        }
+
+        const startCoords = this.userLocation.snappedCoords || this.userLocation.coords;
+        const nearest = this.evacuation.findNearestExit(startCoords, this.userLocation.floorId, evacuationOptions);
+        if (!nearest) {
+            console.warn(this.engine.getLastRouteError()?.message || 'No exit reachable');
+            return null;
+        }
+
+        const { target } = nearest;
+        this.setDestination({
+            coords: target.coords,
+            floorId: target.floorId,
+            geometryId: target.geometryId || null,
+            name: target.name
+        });
+
+        const route = this.computeRoute(this.evacuation.getRouteOptions(evacuationOptions));
+        if (route) {
+            route.meta = {
+                ...route.meta,
+                evacuation: {
+                    exit: target,
+                    walkingDistance: nearest.walkingDistance,
+                    floorsTravelled: nearest.floorsTravelled
+                }
+            };
+            this.lastRouteRequest.evacuation = evacuationOptions;
+        }
+        return route;
+    }
+
+    /**
+     * Rooms whose nearest exit is further than options.maxDistanceMeters (see EvacuationPlanner.buildReport)
+     * @returns {Object|null} GeoJSON FeatureCollection
+     */
+    getEvacuationReport(options = {}) {
+        if (!this.initialized) {
+            console.error('Navigation not initialized');
+            return null;
+        }
+        return this.evacuation.buildReport(options);
+    }
+
     /**
      * Get turn-by-turn instructions for current route
      */
@@ -467,16 +1102,7 @@ export class NavigationController {
 
         // Create user marker if not exists
         if (!this.userMarker) {
-            this.userMarker = document.createElement('div');
-            this.userMarker.className = 'navigation-user-marker';
-            this.userMarker.style.cssText = `
-                width: 20px;
-                height: 20px;
-                background: #3B82F6;
-                border: 3px solid white;
-                border-radius: 50%;
-                box-shadow: 0 2px 8px rgba(0,0,0,0.3);
-            `;
+            this.userMarker = this.createUserMarkerElement();
         }
 
         const marker = new (window.maplibregl || {}).Marker({ element: this.userMarker })
@@ -508,6 +1134,210 @@ export class NavigationController {
         this.animationFrameId = requestAnimationFrame(animate);
     }
 
+    /**
+     * Toggle the stacked 3D view: all floors at once, offset by elevation, with the route
+     * rising through the stairs/elevators it takes
+     * @param {boolean} enabled
+     * @param {Object} options - spacingMeters (vertical gap per elevation step), pitch
+     */
+    setStackedView(enabled, options = {}) {
+        const { pitch = 60, ...stackOptions } = options;
+
+        if (enabled) {
+            const offsets = this.layerManager.enableStackedFloors(this.floors, stackOptions);
+            this.renderer.setStackedView(offsets);
+            this.map.easeTo({ pitch: Math.max(this.map.getPitch(), pitch), duration: 600 });
+        } else {
+            this.layerManager.disableStackedFloors();
+            this.renderer.setStackedView(null);
+        }
+
+        this.emitEvent('stacked-view-changed', { active: Boolean(enabled) });
+        return Boolean(enabled);
+    }
+
+    isStackedView() {
+        return this.layerManager.isStackedView();
+    }
+
+    /**
+     * Create the blue dot used for the simulated/walking user
+     */
+    createUserMarkerElement() {
+        const element = document.createElement('div');
+        element.className = 'navigation-user-marker';
+        element.style.cssText = `
+            width: 20px;
+            height: 20px;
+            background: #3B82F6;
+            border: 3px solid white;
+            border-radius: 50%;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+        `;
+        return element;
+    }
+
+    /**
+     * Walk an avatar through the map with the keyboard
+     * Starts at the user location, the route start, or the walkable node nearest the map center.
+     * @param {Object} options - floorId (fallback floor) plus WalkMode options (speedMps, ...)
+     */
+    startWalkMode(options = {}) {
+        if (!this.initialized) {
+            console.warn('Navigation not initialized');
+            return false;
+        }
+
+        const { floorId = this.groundFloorId, ...walkOptions } = options;
+        const start = this.getDefaultStart(floorId);
+        if (!start) {
+            console.warn('No walkable position to start walk mode from');
+            return false;
+        }
+
+        this.stopSimulation();
+        this.stopWalkMode();
+
+        this.walkMode = new WalkMode(this.map, this.engine, {
+            floors: this.floors,
+            createMarkerElement: () => this.createUserMarkerElement(),
+            ...walkOptions
+        });
+        this.walkMode.start(start.coords, start.floorId);
+        return true;
+    }
+
+    /**
+     * Leave walk mode; the avatar's final position becomes the user location
+     */
+    stopWalkMode() {
+        if (!this.walkMode) return;
+
+        const position = this.walkMode.getPosition();
+        this.walkMode.stop();
+        this.walkMode = null;
+
+        if (position) {
+            this.setUserLocation(position.coords, position.floorId);
+        }
+    }
+
+    isWalkModeActive() {
+        return Boolean(this.walkMode?.isActive());
+    }
+
+    /**
+     * User location, else the route start, else the walkable node nearest the map center
+     */
+    getDefaultStart(floorId) {
+        if (this.userLocation?.coords) {
+            return {
+                coords: this.userLocation.snappedCoords || this.userLocation.coords,
+                floorId: this.userLocation.floorId
+            };
+        }
+
+        if (this.currentRoute?.path?.length) {
+            return { coords: this.currentRoute.path[0], floorId: this.currentRoute.floors[0] };
+        }
+
+        const center = this.map.getCenter();
+        const nearest = this.engine.findNearestWalkableNode([center.lng, center.lat], floorId);
+        return nearest ? { coords: nearest.coords, floorId: nearest.floorId } : null;
+    }
+
+    /**
+     * Shade walkable areas by walking time (1/2/5 min bands by default), across floors
+     * @param {Object} options - coords/floorId (defaults to the user location), findRoute options,
+     *   and IsochroneRenderer options (bands, opacity). The flood stops at the longest band.
+     * @returns {Object|null} The distance field
+     */
+    showIsochrones(options = {}) {
+        if (!this.initialized) {
+            console.warn('Navigation not initialized');
+            return null;
+        }
+
+        const { coords, floorId, bands, opacity, ...routeOptions } = options;
+        const origin = coords ? { coords, floorId } : this.getDefaultStart(floorId ?? this.groundFloorId);
+        if (!origin) {
+            console.warn('No position to compute walking times from');
+            return null;
+        }
+
+        const { mobilityProfile } = this.engine.getRoutingProfiles().resolve(routeOptions);
+        const field = this.engine.computeDistanceField(origin.coords, origin.floorId, {
+            ...routeOptions,
+            maxSeconds: this.isochroneRenderer.getMaxSeconds(bands)
+        });
+        if (!field) {
+            console.warn(this.engine.getLastRouteError()?.message || 'Could not compute walking times');
+            return null;
+        }
+
+        this.isochroneRenderer.render(field, this.engine.getGraph(), this.walkableAreas, {
+            bands,
+            mobilityProfile,
+            opacity
+        });
+        this.emitEvent('isochrones-changed', { active: true, origin });
+        return field;
+    }
+
+    clearIsochrones() {
+        this.isochroneRenderer.clear();
+        this.emitEvent('isochrones-changed', { active: false });
+    }
+
+    hasIsochrones() {
+        return this.isochroneRenderer.isVisible();
+    }
+
+    /**
+     * Walking cost from the user location (or coords/floorId) to every location, nearest first
+     * @param {Object} options - coords/floorId plus computeDistanceField options
+     */
+    getDistancesToLocations(options = {}) {
+        if (!this.initialized) {
+            console.warn('Navigation not initialized');
+            return [];
+        }
+
+        const { coords, floorId, ...routeOptions } = options;
+        const origin = coords ? { coords, floorId } : this.getDefaultStart(floorId ?? this.groundFloorId);
+        if (!origin) return [];
+
+        return this.engine.getDistancesToLocations(this.locations, origin.coords, origin.floorId, routeOptions);
+    }
+
+    /**
+     * Walking distance and time from the user location to every location, for search results
+     * Cached per user location and routing profile until closures change.
+     * @param {Object} options - profile (routing profile name)
+     * @returns {Map<Object, Object>|null} location -> getDistancesToLocations entry plus duration (seconds);
+     *   null without a user location. Locations missing from the map can't be reached.
+     */
+    getUserLocationDistances({ profile = null } = {}) {
+        if (!this.initialized || !this.userLocation?.coords) return null;
+
+        const origin = this.userLocation.snappedCoords || this.userLocation.coords;
+        const key = `${origin.join(',')}@${this.userLocation.floorId}|${profile || ''}`;
+        if (this.userLocationDistances?.key === key) return this.userLocationDistances.byLocation;
+
+        const routeOptions = profile ? { profile } : {};
+        const { mobilityProfile } = this.engine.getRoutingProfiles().resolve(routeOptions);
+        const byLocation = new Map();
+        this.engine.getDistancesToLocations(this.locations, origin, this.userLocation.floorId, routeOptions).forEach(entry => {
+            byLocation.set(entry.location, {
+                ...entry,
+                duration: this.engine.travelTime.estimateSeconds(entry, mobilityProfile)
+            });
+        });
+
+        this.userLocationDistances = { key, byLocation };
+        return byLocation;
+    }
+
     /**
      * Stop route simulation
      */
@@ -564,6 +1394,13 @@ export class NavigationController {
         return this.renderer;
     }
 
+    /**
+     * Register the DirectionsUI that shares getRenderer(), so closures update its route
+     */
+    setDirectionsUI(directionsUI) {
+        this.directionsUI = directionsUI;
+    }
+
     getSmoother() {
         return this.smoother;
     }
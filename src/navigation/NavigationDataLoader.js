@@ -218,3 +218,19 @@ export function extractFloorIds(floors) {
     }
     return [];
 }
+
+/**
+ * Visibility edge limits for a graph of this size
+ * Shared by NavigationController and the offline graph build so both produce the same graph
+ */
+export function getGraphBuildSettings(nodeCount) {
+    // Large graphs can freeze the UI while building visibility edges.
+    // Use slightly tighter edge limits + time-sliced yielding for smoother startup.
+    const large = nodeCount > 8000;
+    return {
+        edgeMaxDistanceMeters: large ? 8 : 15,
+        edgeMaxNeighbors: large ? 6 : 8,
+        edgeBuildYieldEvery: large ? 10 : 25,
+        edgeBuildYieldAfterMs: 12
+    };
+}
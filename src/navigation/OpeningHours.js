@@ -0,0 +1,126 @@
+/**
+ * OpeningHours - Reads a location's openingHours (locations.json)
+ * Entries follow schema.org's OpeningHoursSpecification:
+ *   { dayOfWeek: "Monday" | ["Monday", ...] | "https://schema.org/Monday", opens: "09:00",
+ *     closes: "17:30", validFrom?, validThrough? }
+ * A closing time at or before the opening time runs past midnight; opens and closes both
+ * "00:00" means closed that day. Times are read in the browser's time zone.
+ */
+
+export const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const parseTime = (value) => {
+    const match = /^(\d{1,2}):(\d{2})/.exec(String(value ?? ''));
+    if (!match) return null;
+    return Math.min(Number(match[1]) * 60 + Number(match[2]), MINUTES_PER_DAY);
+};
+
+const parseDay = (value) => {
+    const name = String(value ?? '').split('/').pop().toLowerCase();
+    const index = DAYS_OF_WEEK.findIndex(day => day.toLowerCase() === name || day.slice(0, 2).toLowerCase() === name);
+    return index >= 0 ? index : null;
+};
+
+// validFrom/validThrough are dates ("2024-12-24"); validThrough includes its whole day
+const parseDate = (value, endOfDay = false) => {
+    if (!value) return null;
+    const [year, month, day] = String(value).split(/[-T]/).map(Number);
+    if (!year || !month || !day) return null;
+    return endOfDay ? new Date(year, month - 1, day, 23, 59, 59, 999) : new Date(year, month - 1, day);
+};
+
+const formatTime = (minutes) => {
+    const hours = Math.floor(minutes / 60) % 24;
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+export class OpeningHours {
+    /**
+     * @param {Array<Object>} specifications - location.openingHours
+     */
+    constructor(specifications = []) {
+        this.periods = [];
+        (Array.isArray(specifications) ? specifications : []).forEach(specification => {
+            const opens = parseTime(specification?.opens);
+            let closes = parseTime(specification?.closes);
+            if (opens === null || closes === null) return;
+
+            const days = (Array.isArray(specification.dayOfWeek) ? specification.dayOfWeek : [specification.dayOfWeek])
+                .map(parseDay)
+                .filter(day => day !== null);
+            const closed = opens === 0 && closes === 0;
+            if (closes === MINUTES_PER_DAY - 1) closes = MINUTES_PER_DAY; // "23:59" means until midnight
+            if (!closed && closes <= opens) closes += MINUTES_PER_DAY;
+
+            days.forEach(day => this.periods.push({
+                day,
+                opens,
+                closes,
+                closed,
+                validFrom: parseDate(specification.validFrom),
+                validThrough: parseDate(specification.validThrough, true)
+            }));
+        });
+    }
+
+    static forLocation(location) {
+        return new OpeningHours(location?.openingHours);
+    }
+
+    /**
+     * True when there are no usable hours, so open/closed is unknown
+     */
+    isEmpty() {
+        return this.periods.length === 0;
+    }
+
+    /**
+     * Periods for the weekday of date. Dated entries (holidays) replace the regular ones.
+     */
+    getPeriodsOn(date) {
+        const day = date.getDay();
+        const candidates = this.periods.filter(period =>
+            period.day === day &&
+            (!period.validFrom || date >= period.validFrom) &&
+            (!period.validThrough || date <= period.validThrough)
+        );
+        const dated = candidates.filter(period => period.validFrom || period.validThrough);
+        return dated.length > 0 ? dated : candidates;
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {boolean|null} null when the hours are unknown
+     */
+    isOpenAt(date = new Date()) {
+        if (this.isEmpty()) return null;
+
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const today = this.getPeriodsOn(date);
+        if (today.some(period => !period.closed && minutes >= period.opens && minutes < period.closes)) return true;
+
+        // Still inside last night's hours
+        const yesterday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+        return this.getPeriodsOn(yesterday).some(period =>
+            !period.closed && period.closes > MINUTES_PER_DAY && minutes < period.closes - MINUTES_PER_DAY
+        );
+    }
+
+    /**
+     * Regular (undated) hours per weekday, Monday first
+     * @returns {Array<Object>} { day, hours: ["09:00–17:00", ...] } - empty hours means closed
+     */
+    getWeek() {
+        return [1, 2, 3, 4, 5, 6, 0].map(day => ({
+            day: DAYS_OF_WEEK[day],
+            hours: this.periods
+                .filter(period => period.day === day && !period.closed && !period.validFrom && !period.validThrough)
+                .sort((a, b) => a.opens - b.opens)
+                .map(period => (period.opens === 0 && period.closes === MINUTES_PER_DAY
+                    ? 'Open 24 hours'
+                    : `${formatTime(period.opens)}–${formatTime(period.closes)}`))
+        }));
+    }
+}
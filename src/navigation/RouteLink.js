@@ -0,0 +1,131 @@
+/**
+ * RouteLink - Directions state in the page URL
+ * Deep links carry the start and destination (a location id, or coords + floor), the routing
+ * profile, the floor on screen and the camera:
+ *   ?from=-79.38,43.64@f_123&to=loc:g_456&profile=wheelchair&floor=f_123&cam=-79.38,43.64,19.5,-17,55
+ * Each new route is a history entry, so back/forward step through earlier routes. Other query
+ * parameters (?debug, ?verify, ...) are left alone.
+ */
+const ROUTE_PARAMS = ['from', 'to', 'profile', 'floor', 'cam'];
+const LOCATION_PREFIX = 'loc:';
+
+const round = (value, digits) => Number(Number(value).toFixed(digits));
+
+// Keep ",", "@" and ":" readable in shared links
+const encodeParam = (value) => encodeURIComponent(value).replace(/%2C/g, ',').replace(/%40/g, '@').replace(/%3A/g, ':');
+
+export class RouteLink {
+    constructor(target = window) {
+        this.window = target;
+    }
+
+    /**
+     * "loc:<geometryId>" for locations, "lng,lat@floorId" for dropped pins
+     */
+    encodeEndpoint(endpoint) {
+        if (!endpoint) return null;
+        if (endpoint.locationId) return `${LOCATION_PREFIX}${endpoint.locationId}`;
+        if (!endpoint.coords) return null;
+
+        const [lng, lat] = endpoint.coords;
+        return `${round(lng, 7)},${round(lat, 7)}@${endpoint.floorId || ''}`;
+    }
+
+    /**
+     * @returns {Object|null} { locationId } or { coords, floorId }
+     */
+    decodeEndpoint(value) {
+        if (!value) return null;
+        if (value.startsWith(LOCATION_PREFIX)) {
+            const locationId = value.slice(LOCATION_PREFIX.length);
+            return locationId ? { locationId } : null;
+        }
+
+        const [position, floorId] = value.split('@');
+        const coords = position.split(',').map(Number);
+        if (coords.length !== 2 || !coords.every(Number.isFinite)) return null;
+        return { coords, floorId: floorId || null };
+    }
+
+    encodeCamera(camera) {
+        if (!camera?.center) return null;
+        const [lng, lat] = camera.center;
+        return [round(lng, 7), round(lat, 7), round(camera.zoom, 2), round(camera.bearing || 0, 1), round(camera.pitch || 0, 1)].join(',');
+    }
+
+    decodeCamera(value) {
+        if (!value) return null;
+        const [lng, lat, zoom, bearing = 0, pitch = 0] = value.split(',').map(Number);
+        if (![lng, lat, zoom, bearing, pitch].every(Number.isFinite)) return null;
+        return { center: [lng, lat], zoom, bearing, pitch };
+    }
+
+    /**
+     * Read the link state from a query string (defaults to the current URL)
+     * @returns {Object|null} { from, to, profile, floorId, camera }, or null when the URL has none
+     */
+    parse(search = this.window.location.search) {
+        const params = new URLSearchParams(search);
+        if (!ROUTE_PARAMS.some(name => params.has(name))) return null;
+
+        return {
+            from: this.decodeEndpoint(params.get('from')),
+            to: this.decodeEndpoint(params.get('to')),
+            profile: params.get('profile') || null,
+            floorId: params.get('floor') || null,
+            camera: this.decodeCamera(params.get('cam'))
+        };
+    }
+
+    /**
+     * Current URL with the route parameters replaced by the given state
+     * @param {Object} state - { from, to, profile, floorId, camera }
+     * @param {Object} options - omit: other query parameters to drop (e.g. kiosk settings)
+     */
+    toUrl(state = {}, { omit = [] } = {}) {
+        const url = new URL(this.window.location.href);
+        const dropped = [...ROUTE_PARAMS, ...omit];
+        // Rebuilt by hand so flags like ?debug stay as written
+        const kept = url.search.slice(1).split('&')
+            .filter(part => part && !dropped.includes(decodeURIComponent(part.split('=')[0])));
+
+        const values = {
+            from: this.encodeEndpoint(state.from),
+            to: this.encodeEndpoint(state.to),
+            profile: state.from && state.to ? state.profile : null,
+            floor: state.floorId,
+            cam: this.encodeCamera(state.camera)
+        };
+        const added = Object.entries(values)
+            .filter(([, value]) => value)
+            .map(([name, value]) => `${name}=${encodeParam(value)}`);
+
+        url.search = [...kept, ...added].join('&');
+        return url.toString();
+    }
+
+    /**
+     * New history entry for a new route (skipped when the URL wouldn't change)
+     */
+    push(state) {
+        const url = this.toUrl(state);
+        if (url === this.window.location.href) return;
+        this.window.history.pushState({ routeLink: true }, '', url);
+    }
+
+    /**
+     * Update the current entry, e.g. the camera after the map moves
+     */
+    replace(state) {
+        const url = this.toUrl(state);
+        if (url === this.window.location.href) return;
+        this.window.history.replaceState(this.window.history.state, '', url);
+    }
+
+    /**
+     * Call handler with the parsed state (null for a URL without one) on back/forward
+     */
+    onNavigate(handler) {
+        this.window.addEventListener('popstate', () => handler(this.parse()));
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * RouteTracker - Follows position updates along the active route
+ * Snaps each fix onto the route polyline (same floor first), tracks progress and
+ * remaining distance, and flags off-route once the user has stayed beyond the
+ * threshold long enough. Pure logic (no map/DOM) so recorded traces can be replayed.
+ */
+
+const METERS_PER_DEGREE = 111320;
+
+export class RouteTracker {
+    constructor(options = {}) {
+        this.offRouteThresholdMeters = options.offRouteThresholdMeters ?? 8;
+        this.offRouteDurationMs = options.offRouteDurationMs ?? 5000;
+        this.minOffRouteSamples = options.minOffRouteSamples ?? 3;
+        this.arrivalThresholdMeters = options.arrivalThresholdMeters ?? 4;
+
+        this.route = null;
+        this.segments = [];
+        this.totalDistance = 0;
+        this.resetState();
+    }
+
+    resetState() {
+        this.offRouteSince = null;
+        this.offRouteSamples = 0;
+        this.offRouteReported = false;
+        this.lastState = null;
+    }
+
+    /**
+     * Track a new route (path + parallel floors array)
+     */
+    setRoute(route) {
+        this.route = route;
+        this.segments = [];
+        this.totalDistance = 0;
+        this.resetState();
+
+        const path = route?.path || [];
+        const floors = route?.floors || [];
+        for (let i = 0; i < path.length - 1; i++) {
+            const length = this.distanceMeters(path[i], path[i + 1]);
+            this.segments.push({
+                index: i,
+                from: path[i],
+                to: path[i + 1],
+                fromFloor: floors[i] ?? null,
+                toFloor: floors[i + 1] ?? null,
+                startDistance: this.totalDistance,
+                length
+            });
+            this.totalDistance += length;
+        }
+    }
+
+    /**
+     * Snap a position onto the route without changing tracking state
+     * @returns {Object|null} { coords, segmentIndex, distanceAlong, deviationMeters }
+     */
+    locate(coords, floorId = null) {
+        if (this.segments.length === 0) return null;
+
+        // Prefer segments on the user's floor; connector segments count for both ends
+        const onFloor = floorId
+            ? this.segments.filter(segment => segment.fromFloor === floorId || segment.toFloor === floorId)
+            : [];
+        const candidates = onFloor.length > 0 ? onFloor : this.segments;
+
+        let best = null;
+        candidates.forEach(segment => {
+            const projection = this.projectOntoSegment(coords, segment.from, segment.to);
+            if (!best || projection.distance < best.deviationMeters) {
+                best = {
+                    coords: projection.coords,
+                    segmentIndex: segment.index,
+                    distanceAlong: segment.startDistance + segment.length * projection.t,
+                    deviationMeters: projection.distance
+                };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Feed one position fix
+     * @param {Object} position - { coords: [lng, lat], floorId?, timestamp? (ms) }
+     * @returns {Object} Tracking state; offRouteTriggered is true once per sustained deviation
+     */
+    update(position) {
+        const timestamp = Number.isFinite(position.timestamp) ? position.timestamp : Date.now();
+        const snapped = this.locate(position.coords, position.floorId);
+
+        if (!snapped) {
+            this.lastState = null;
+            return null;
+        }
+
+        const offRoute = snapped.deviationMeters > this.offRouteThresholdMeters;
+        if (offRoute) {
+            if (this.offRouteSince === null) this.offRouteSince = timestamp;
+            this.offRouteSamples++;
+        } else {
+            this.offRouteSince = null;
+            this.offRouteSamples = 0;
+            this.offRouteReported = false;
+        }
+
+        const offRouteDurationMs = offRoute ? timestamp - this.offRouteSince : 0;
+        const sustained = offRoute &&
+            offRouteDurationMs >= this.offRouteDurationMs &&
+            this.offRouteSamples >= this.minOffRouteSamples;
+        const offRouteTriggered = sustained && !this.offRouteReported;
+        if (offRouteTriggered) this.offRouteReported = true;
+
+        const remainingDistance = Math.max(0, this.totalDistance - snapped.distanceAlong);
+
+        this.lastState = {
+            timestamp,
+            position: position.coords,
+            floorId: position.floorId ?? null,
+            snappedCoords: snapped.coords,
+            segmentIndex: snapped.segmentIndex,
+            distanceAlong: snapped.distanceAlong,
+            remainingDistance,
+            totalDistance: this.totalDistance,
+            progress: this.totalDistance > 0 ? snapped.distanceAlong / this.totalDistance : 1,
+            deviationMeters: snapped.deviationMeters,
+            offRoute,
+            offRouteDurationMs,
+            offRouteTriggered,
+            arrived: !offRoute && remainingDistance <= this.arrivalThresholdMeters
+        };
+
+        return this.lastState;
+    }
+
+    getState() {
+        return this.lastState;
+    }
+
+    /**
+     * Project a point onto segment a-b in a local metric frame
+     */
+    projectOntoSegment(point, a, b) {
+        const cosLat = Math.cos((a[1] * Math.PI) / 180);
+        const toLocal = (c) => [
+            (c[0] - a[0]) * METERS_PER_DEGREE * cosLat,
+            (c[1] - a[1]) * METERS_PER_DEGREE
+        ];
+
+        const p = toLocal(point);
+        const v = toLocal(b);
+        const lengthSq = v[0] * v[0] + v[1] * v[1];
+        const t = lengthSq > 0
+            ? Math.min(1, Math.max(0, (p[0] * v[0] + p[1] * v[1]) / lengthSq))
+            : 0;
+
+        const dx = p[0] - v[0] * t;
+        const dy = p[1] - v[1] * t;
+
+        return {
+            t,
+            distance: Math.sqrt(dx * dx + dy * dy),
+            coords: [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]
+        };
+    }
+
+    distanceMeters(a, b) {
+        const cosLat = Math.cos((a[1] * Math.PI) / 180);
+        const dx = (b[0] - a[0]) * METERS_PER_DEGREE * cosLat;
+        const dy = (b[1] - a[1]) * METERS_PER_DEGREE;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+}
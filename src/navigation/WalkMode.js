@@ -0,0 +1,360 @@
+/**
+ * WalkMode - Keyboard-driven avatar that walks through the indoor map
+ * W/↑ and S/↓ walk forward/back, A/← and D/→ turn (Shift runs). Every step is
+ * checked with CollisionDetector.isPathClear, so walls block the avatar while door
+ * segments let it through. Standing on a stairs/elevator node offers a floor change.
+ */
+
+import maplibregl from 'maplibre-gl';
+
+const METERS_PER_DEGREE = 111320;
+const CONNECTOR_TYPES = new Set(['stairs', 'elevator', 'escalator', 'ramp']);
+
+const KEY_ACTIONS = {
+    ArrowUp: 'forward',
+    KeyW: 'forward',
+    ArrowDown: 'backward',
+    KeyS: 'backward',
+    ArrowLeft: 'left',
+    KeyA: 'left',
+    ArrowRight: 'right',
+    KeyD: 'right'
+};
+
+export class WalkMode {
+    constructor(map, engine, options = {}) {
+        this.map = map;
+        this.engine = engine;
+        this.floors = options.floors || [];
+        this.speedMps = options.speedMps ?? 1.4;
+        this.runMultiplier = options.runMultiplier ?? 2;
+        this.turnRateDegPerSec = options.turnRateDegPerSec ?? 120;
+        this.connectorRadiusMeters = options.connectorRadiusMeters ?? 2;
+        this.createMarkerElement = options.createMarkerElement || null;
+        this.onMove = options.onMove || null;
+        this.onFloorChange = options.onFloorChange || null;
+
+        this.active = false;
+        this.position = null;
+        this.floorId = null;
+        this.heading = 0;
+        this.pressed = new Set();
+        this.running = false;
+        this.marker = null;
+        this.prompt = null;
+        this.nearbyConnector = null;
+        this.floorOptions = [];
+        this.animationFrameId = null;
+        this.lastTime = null;
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.handleBlur = () => this.pressed.clear();
+    }
+
+    /**
+     * Place the avatar and start listening to the keyboard
+     * @param {Array} coords - [lng, lat]
+     * @param {string} floorId
+     * @param {number} heading - Initial heading in degrees (defaults to the map bearing)
+     */
+    start(coords, floorId, heading = this.map.getBearing()) {
+        if (this.active) this.stop();
+
+        this.position = coords;
+        this.floorId = floorId;
+        this.heading = heading;
+        this.active = true;
+
+        const element = this.createMarkerElement ? this.createMarkerElement() : document.createElement('div');
+        element.classList.add('walk-mode-avatar');
+        this.marker = new maplibregl.Marker({ element })
+            .setLngLat(coords)
+            .addTo(this.map);
+
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+        window.addEventListener('blur', this.handleBlur);
+
+        this.map.easeTo({
+            center: coords,
+            bearing: heading,
+            zoom: Math.max(this.map.getZoom(), 20),
+            duration: 600
+        });
+        this.updateConnectorPrompt();
+
+        window.dispatchEvent(new CustomEvent('floor-changed', { detail: { floorId } }));
+        window.dispatchEvent(new CustomEvent('walk-mode-changed', { detail: { active: true } }));
+        console.log('🚶 Walk mode on (WASD / arrow keys, Shift to run, Esc to exit)');
+    }
+
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+        window.removeEventListener('blur', this.handleBlur);
+
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        if (this.marker) {
+            this.marker.remove();
+            this.marker = null;
+        }
+        this.hidePrompt();
+        this.pressed.clear();
+        this.nearbyConnector = null;
+
+        window.dispatchEvent(new CustomEvent('walk-mode-changed', { detail: { active: false } }));
+        console.log('🚶 Walk mode off');
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    getPosition() {
+        return this.position ? { coords: this.position, floorId: this.floorId, heading: this.heading } : null;
+    }
+
+    handleKeyDown(event) {
+        if (this.isTypingTarget(event.target) || event.ctrlKey || event.metaKey || event.altKey) return;
+
+        if (event.key === 'Escape') {
+            this.stop();
+            return;
+        }
+
+        // Number keys pick a floor from the prompt
+        const choice = Number.parseInt(event.key, 10);
+        if (this.floorOptions.length > 0 && choice >= 1 && choice <= this.floorOptions.length) {
+            event.preventDefault();
+            this.changeFloor(this.floorOptions[choice - 1]);
+            return;
+        }
+
+        const action = KEY_ACTIONS[event.code];
+        if (!action) return;
+
+        event.preventDefault();
+        this.running = event.shiftKey;
+        this.pressed.add(action);
+        if (!this.animationFrameId) {
+            this.lastTime = performance.now();
+            this.animationFrameId = requestAnimationFrame(() => this.tick());
+        }
+    }
+
+    handleKeyUp(event) {
+        const action = KEY_ACTIONS[event.code];
+        if (action) this.pressed.delete(action);
+        this.running = event.shiftKey;
+    }
+
+    isTypingTarget(target) {
+        if (!target) return false;
+        const tag = target.tagName;
+        return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable;
+    }
+
+    /**
+     * Animation loop; runs only while a movement key is held
+     */
+    tick() {
+        this.animationFrameId = null;
+        if (!this.active || this.pressed.size === 0) return;
+
+        const now = performance.now();
+        // Clamp so a backgrounded tab doesn't teleport the avatar
+        const dt = Math.min((now - this.lastTime) / 1000, 0.1);
+        this.lastTime = now;
+
+        const turn = (this.pressed.has('right') ? 1 : 0) - (this.pressed.has('left') ? 1 : 0);
+        const walk = (this.pressed.has('forward') ? 1 : 0) - (this.pressed.has('backward') ? 1 : 0);
+
+        if (turn !== 0) {
+            this.heading = (this.heading + turn * this.turnRateDegPerSec * dt + 360) % 360;
+        }
+
+        if (walk !== 0) {
+            const speed = this.speedMps * (this.running ? this.runMultiplier : 1);
+            this.step(walk * speed * dt);
+        }
+
+        this.map.jumpTo({ center: this.position, bearing: this.heading });
+        this.animationFrameId = requestAnimationFrame(() => this.tick());
+    }
+
+    /**
+     * Move along the heading; slides along walls when the direct step is blocked
+     * @returns {boolean} Whether the avatar moved
+     */
+    step(distanceMeters) {
+        const radians = (this.heading * Math.PI) / 180;
+        const dEast = Math.sin(radians) * distanceMeters;
+        const dNorth = Math.cos(radians) * distanceMeters;
+
+        const candidates = [
+            this.offset(this.position, dEast, dNorth),
+            this.offset(this.position, dEast, 0),
+            this.offset(this.position, 0, dNorth)
+        ];
+
+        const next = candidates.find(candidate => this.canMoveTo(candidate));
+        if (!next) return false;
+
+        this.position = next;
+        this.marker.setLngLat(next);
+        this.updateConnectorPrompt();
+
+        if (this.onMove) {
+            this.onMove(this.getPosition());
+        }
+        return true;
+    }
+
+    canMoveTo(coords) {
+        const detector = this.engine.collisionDetector;
+        if (!detector) return true;
+        if (coords[0] === this.position[0] && coords[1] === this.position[1]) return false;
+
+        if (detector.isPathClear(this.position, coords, this.floorId)) {
+            return true;
+        }
+
+        // Let the avatar walk out if it was placed inside an obstacle
+        return detector.pointInObstacle(this.position, this.floorId) &&
+            !detector.pointInObstacle(coords, this.floorId);
+    }
+
+    offset(coords, dEastMeters, dNorthMeters) {
+        const cosLat = Math.cos((coords[1] * Math.PI) / 180);
+        return [
+            coords[0] + dEastMeters / (METERS_PER_DEGREE * cosLat),
+            coords[1] + dNorthMeters / METERS_PER_DEGREE
+        ];
+    }
+
+    /**
+     * Find a stairs/elevator node within reach and the floors it connects to
+     */
+    findNearbyConnector() {
+        const graph = this.engine.getGraph();
+        if (!graph) return null;
+
+        let nearest = null;
+        let nearestDistance = this.connectorRadiusMeters;
+        graph.getNodesOnFloor(this.floorId).forEach(node => {
+            if (!CONNECTOR_TYPES.has(node.type)) return;
+            const distance = this.distanceMeters(this.position, node.coords);
+            if (distance > nearestDistance) return;
+
+            // Only connector ends that actually lead to another floor
+            const targets = this.getFloorTargets(graph, node);
+            if (targets.length > 0) {
+                nearest = { node, targets };
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+
+    getFloorTargets(graph, node) {
+        const targets = new Map();
+        graph.getEdges(node.id).forEach(edge => {
+            const target = graph.getNode(edge.target);
+            if (target && target.floorId !== node.floorId && !targets.has(target.floorId)) {
+                targets.set(target.floorId, { floorId: target.floorId, node: target, type: edge.type });
+            }
+        });
+        return Array.from(targets.values());
+    }
+
+    updateConnectorPrompt() {
+        const connector = this.findNearbyConnector();
+        if (connector?.node.id === this.nearbyConnector?.node.id) return;
+
+        this.nearbyConnector = connector;
+        if (!connector) {
+            this.hidePrompt();
+            return;
+        }
+
+        this.floorOptions = connector.targets.sort((a, b) => this.getFloorElevation(a.floorId) - this.getFloorElevation(b.floorId));
+        this.showPrompt(connector);
+    }
+
+    showPrompt(connector) {
+        if (this.prompt) this.prompt.remove();
+
+        const prompt = document.createElement('div');
+        prompt.className = 'walk-mode-prompt';
+
+        const title = document.createElement('div');
+        title.className = 'walk-mode-prompt-title';
+        title.textContent = `Take the ${connector.node.type} to…`;
+        prompt.appendChild(title);
+
+        this.floorOptions.forEach((option, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'walk-mode-floor-option';
+            button.textContent = `${index + 1} · ${this.getFloorName(option.floorId)}`;
+            button.addEventListener('click', () => this.changeFloor(option));
+            prompt.appendChild(button);
+        });
+
+        document.body.appendChild(prompt);
+        this.prompt = prompt;
+    }
+
+    hidePrompt() {
+        if (this.prompt) {
+            this.prompt.remove();
+            this.prompt = null;
+        }
+        this.floorOptions = [];
+    }
+
+    /**
+     * Step off the connector on another floor and switch the visible floor
+     */
+    changeFloor(option) {
+        this.floorId = option.floorId;
+        this.position = option.node.coords;
+        this.marker.setLngLat(this.position);
+        this.map.jumpTo({ center: this.position, bearing: this.heading });
+
+        window.dispatchEvent(new CustomEvent('floor-changed', { detail: { floorId: option.floorId } }));
+        if (this.onFloorChange) {
+            this.onFloorChange(this.getPosition());
+        }
+
+        // Arriving on a connector shouldn't immediately re-offer the trip back
+        this.nearbyConnector = this.findNearbyConnector();
+        this.hidePrompt();
+        console.log(`🚶 Took the ${option.type || 'connector'} to ${this.getFloorName(option.floorId)}`);
+    }
+
+    getFloorName(floorId) {
+        const floor = this.floors.find(item => item.properties?.id === floorId);
+        return floor?.properties?.details?.name || (floor ? `Level ${floor.properties.elevation}` : floorId);
+    }
+
+    getFloorElevation(floorId) {
+        const floor = this.floors.find(item => item.properties?.id === floorId);
+        return floor?.properties?.elevation ?? 0;
+    }
+
+    distanceMeters(a, b) {
+        const cosLat = Math.cos((a[1] * Math.PI) / 180);
+        const dx = (b[0] - a[0]) * METERS_PER_DEGREE * cosLat;
+        const dy = (b[1] - a[1]) * METERS_PER_DEGREE;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+}
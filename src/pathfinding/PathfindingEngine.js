@@ -2,8 +2,15 @@ import { Graph } from './core/Graph.js';
 import { CollisionDetector } from './core/CollisionDetector.js';
 import { EdgeBuilder } from './core/EdgeBuilder.js';
 import { AStar } from './core/AStar.js';
+import { ContractionHierarchy } from './core/ContractionHierarchy.js';
 import { ConnectionHandler } from './multi-floor/ConnectionHandler.js';
 import { PathCache, TurnByTurnGenerator } from './features/PathEnhancements.js';
+import { NavigationFlagDecoder } from './features/NavigationFlags.js';
+import { StopOrderOptimizer } from './features/StopOrderOptimizer.js';
+import { ClosureManager } from './features/ClosureManager.js';
+import { TravelTimeEstimator } from './features/TravelTimeEstimator.js';
+import { RoutingProfiles, DEFAULT_ROUTING_PROFILE } from './features/RoutingProfiles.js';
+import { GraphWorkerClient } from './worker/GraphWorkerClient.js';
 import * as turf from '@turf/turf';
 
 /**
@@ -15,6 +22,7 @@ export class PathfindingEngine {
         this.graph = new Graph();
         this.collisionDetector = new CollisionDetector();
         this.aStar = null; // Will be initialized after graph is built
+        this.contractionHierarchies = new Map(); // profile key -> ContractionHierarchy (optional)
         this.initialized = false;
         this.geometryIndex = new Map();
         this.roomIndex = new Map();
@@ -25,11 +33,19 @@ export class PathfindingEngine {
         this.doorSegmentsByFloor = new Map();
         this.walkableNodesByFloor = new Map();
         this.navigationFlags = null;
+        this.flagDecoder = new NavigationFlagDecoder();
         this.lastRouteError = null;
+        this.workerClient = null;
 
         // Path caching and turn-by-turn generation
         this.pathCache = new PathCache(100);
         this.instructionGenerator = new TurnByTurnGenerator();
+        this.stopOrderOptimizer = new StopOrderOptimizer();
+        this.travelTime = new TravelTimeEstimator();
+        this.routingProfiles = new RoutingProfiles();
+        this.closures = new ClosureManager({
+            onExpire: (expired) => this.handleClosuresChanged('expired', expired)
+        });
     }
 
     /**
@@ -46,6 +62,31 @@ export class PathfindingEngine {
         navigationFlags = null,
         options = {}
     ) {
+        if (options.packedGraph) {
+            return this.initializeFromPacked(
+                options.packedGraph,
+                geometry,
+                nonwalkableData,
+                kindsData,
+                navigationFlags,
+                options
+            );
+        }
+
+        if (options.useWorker && GraphWorkerClient.isSupported()) {
+            return this.initializeWithWorker(
+                nodeFeatures,
+                geometry,
+                connections,
+                walkableData,
+                nonwalkableData,
+                kindsData,
+                entranceNodesData,
+                navigationFlags,
+                options
+            );
+        }
+
         console.log('🚀 Initializing Pathfinding Engine...');
         const reportStatus = typeof options.onStatus === 'function' ? options.onStatus : null;
         const status = (message) => {
@@ -57,6 +98,7 @@ export class PathfindingEngine {
             }
         };
         this.navigationFlags = navigationFlags;
+        this.flagDecoder = new NavigationFlagDecoder(navigationFlags);
         this.lastRouteError = null;
         const edgeMaxDistanceMeters = Number.isFinite(options.edgeMaxDistanceMeters)
             ? options.edgeMaxDistanceMeters
@@ -134,7 +176,10 @@ export class PathfindingEngine {
         }
 
         // Load door nodes from connections/geometry
-        this.addDoorNodes(connections, navigationFlags);
+        this.addDoorNodes(connections);
+
+        // Escalators/ramps have no pre-extracted node files; derive them from geometry
+        this.addConnectorNodes(connections);
         this.collisionDetector.setDoorSegments(this.doorSegmentsByFloor);
 
         console.log(`  Loaded ${this.graph.nodes.size} nodes`);
@@ -186,7 +231,10 @@ export class PathfindingEngine {
         // 5. Process connections (elevators, stairs, doors)
         status('Step 5/6: Processing multi-floor connections…');
         console.log('Step 5: Processing multi-floor connections...');
-        const connectionHandler = new ConnectionHandler(this.graph);
+        const connectionHandler = new ConnectionHandler(this.graph, {
+            floors: options.floors,
+            flagDecoder: this.flagDecoder
+        });
         connectionHandler.processConnections(connections);
         connectionHandler.tagNodes(connections);
 
@@ -194,11 +242,14 @@ export class PathfindingEngine {
         this.tagNodesWithRooms();
         this.roomMeta = this.buildRoomMeta();
         this.connectOrphanDoors();
+        this.applyNavigationFlags(connections);
 
         // 6. Initialize A* with built graph
         status('Step 6/6: Initializing A* pathfinder…');
         console.log('Step 6: Initializing A* pathfinder...');
         this.aStar = new AStar(this.graph);
+        this.contractionHierarchies.clear();
+        this.closures.setGraph(this.graph, this.geometryIndex);
 
         // 7. Print statistics
         const stats = this.graph.getStats();
@@ -214,6 +265,212 @@ export class PathfindingEngine {
         return true;
     }
 
+    /**
+     * Build the graph inside a dedicated worker and hydrate it on this thread
+     * Collision/room indexes are rebuilt here while the worker runs, since findRoute needs them
+     */
+    async initializeWithWorker(
+        nodeFeatures,
+        geometry,
+        connections,
+        walkableData,
+        nonwalkableData,
+        kindsData,
+        entranceNodesData,
+        navigationFlags,
+        options = {}
+    ) {
+        console.log('🚀 Initializing Pathfinding Engine (worker)...');
+        const reportStatus = typeof options.onStatus === 'function' ? options.onStatus : null;
+        const status = (message) => {
+            if (!reportStatus) return;
+            try {
+                reportStatus(message);
+            } catch (e) {
+                // Ignore status callback errors.
+            }
+        };
+        const onVisibilityEdgesBuilt = typeof options.onVisibilityEdgesBuilt === 'function'
+            ? options.onVisibilityEdgesBuilt
+            : null;
+
+        // Callbacks can't cross the thread boundary
+        const {
+            onStatus,
+            onVisibilityEdgesBuilt: _onVisibilityEdgesBuilt,
+            useWorker,
+            ...workerOptions
+        } = options;
+
+        this.navigationFlags = navigationFlags;
+        this.flagDecoder = new NavigationFlagDecoder(navigationFlags);
+        this.lastRouteError = null;
+        this.terminateWorker();
+        this.workerClient = new GraphWorkerClient();
+
+        status('Building routing graph in background worker…');
+        const packedPromise = this.workerClient.build({
+            nodeFeatures,
+            geometry,
+            connections,
+            walkableData,
+            nonwalkableData,
+            kindsData,
+            entranceNodesData,
+            navigationFlags,
+            options: {
+                ...workerOptions,
+                collectVisibilityEdges: Boolean(onVisibilityEdgesBuilt)
+            }
+        }, {
+            onStatus: status,
+            onVisibilityEdges: (edges) => {
+                try {
+                    onVisibilityEdgesBuilt(edges);
+                } catch (e) {
+                    // Ignore cache write errors.
+                }
+            }
+        });
+
+        // Main-thread lookups used by findRoute (connector checks, room constraints)
+        this.buildLookupIndexes(geometry, nonwalkableData, kindsData);
+
+        let packed;
+        try {
+            packed = await packedPromise;
+        } finally {
+            // Routes run on this thread; the worker's copy of the engine isn't needed anymore
+            this.terminateWorker();
+        }
+
+        status('Hydrating routing graph…');
+        this.hydrateGraph(packed);
+
+        const stats = this.graph.getStats();
+        console.log('✅ Pathfinding Engine Initialized (worker)!');
+        console.log(`  Nodes: ${stats.nodeCount}`);
+        console.log(`  Edges: ${stats.edgeCount}`);
+        status('Routing engine ready.');
+
+        this.initialized = true;
+        return true;
+    }
+
+    /**
+     * Initialize from a precomputed graph (Graph.toPacked() / routing-graph.bin), skipping edge building
+     */
+    async initializeFromPacked(packed, geometry, nonwalkableData, kindsData, navigationFlags, options = {}) {
+        console.log('🚀 Initializing Pathfinding Engine (precomputed graph)...');
+        const status = typeof options.onStatus === 'function' ? options.onStatus : () => {};
+
+        this.navigationFlags = navigationFlags;
+        this.flagDecoder = new NavigationFlagDecoder(navigationFlags);
+        this.lastRouteError = null;
+        this.terminateWorker();
+
+        status('Loading precomputed routing graph…');
+        this.buildLookupIndexes(geometry, nonwalkableData, kindsData);
+        this.hydrateGraph(packed);
+
+        const stats = this.graph.getStats();
+        console.log('✅ Pathfinding Engine Initialized (precomputed graph)!');
+        console.log(`  Nodes: ${stats.nodeCount}`);
+        console.log(`  Edges: ${stats.edgeCount}`);
+        status('Routing engine ready.');
+
+        this.initialized = true;
+        return true;
+    }
+
+    /**
+     * Geometry, room and collision lookups that findRoute needs besides the graph itself
+     */
+    buildLookupIndexes(geometry, nonwalkableData, kindsData) {
+        this.buildGeometryIndex(geometry);
+        this.roomIndex = this.buildRoomIndex(geometry, kindsData);
+        this.collisionDetector.initialize(geometry, nonwalkableData, kindsData);
+    }
+
+    /**
+     * Rebuild the graph and everything derived from it out of packed form
+     */
+    hydrateGraph(packed) {
+        this.graph = Graph.fromPacked(packed);
+        this.hydrateNodeIndexes();
+        this.collisionDetector.setDoorSegments(this.doorSegmentsByFloor);
+        this.roomDoorIndex = this.buildRoomDoorIndexFromGraph();
+        this.roomMeta = this.buildRoomMeta();
+        this.aStar = new AStar(this.graph);
+        this.contractionHierarchies.clear();
+        this.closures.setGraph(this.graph, this.geometryIndex);
+        this.pathCache.clear();
+    }
+
+    /**
+     * Rebuild per-floor walkable/door lookups from an already built graph
+     */
+    hydrateNodeIndexes() {
+        this.walkableNodesByFloor.clear();
+        this.doorNodes = [];
+        this.doorNodesByFloor.clear();
+        this.doorSegmentsByFloor.clear();
+
+        this.graph.nodes.forEach(node => {
+            const floorId = node.floorId;
+
+            if (node.type === 'walkable') {
+                if (!this.walkableNodesByFloor.has(floorId)) {
+                    this.walkableNodesByFloor.set(floorId, []);
+                }
+                this.walkableNodesByFloor.get(floorId).push(node);
+                return;
+            }
+
+            if (node.type !== 'door') return;
+
+            this.doorNodes.push(node);
+            if (!this.doorNodesByFloor.has(floorId)) {
+                this.doorNodesByFloor.set(floorId, []);
+            }
+            this.doorNodesByFloor.get(floorId).push(node);
+
+            const feature = this.geometryIndex.get(node.metadata?.geometryIds?.[0]);
+            if (feature && (feature.geometry.type === 'LineString' || feature.geometry.type === 'MultiLineString')) {
+                if (!this.doorSegmentsByFloor.has(floorId)) {
+                    this.doorSegmentsByFloor.set(floorId, []);
+                }
+                this.doorSegmentsByFloor.get(floorId).push(feature);
+            }
+        });
+    }
+
+    /**
+     * Room -> doors lookup from the room tags the graph builder already attached
+     */
+    buildRoomDoorIndexFromGraph() {
+        const roomDoorIndex = new Map();
+        this.doorNodes.forEach(door => {
+            (door.metadata?.roomIds || []).forEach(roomId => {
+                if (!roomDoorIndex.has(roomId)) {
+                    roomDoorIndex.set(roomId, []);
+                }
+                roomDoorIndex.get(roomId).push(door);
+            });
+        });
+        return roomDoorIndex;
+    }
+
+    /**
+     * Stop the graph worker (if any)
+     */
+    terminateWorker() {
+        if (this.workerClient) {
+            this.workerClient.terminate();
+            this.workerClient = null;
+        }
+    }
+
     /**
      * Find a route between two coordinates
      */
@@ -222,11 +479,15 @@ export class PathfindingEngine {
             throw new Error('PathfindingEngine not initialized. Call initialize() first.');
         }
 
+        // Named profiles (options.profile) expand into the options below
+        const requestedOptions = options;
+        options = this.routingProfiles.resolve(options);
+
         // Check cache first (skip if useCache is explicitly false)
         if (options.useCache !== false) {
             const cached = this.pathCache.get(startCoords, endCoords, startFloorId, endFloorId, options);
             if (cached) {
-                return cached;
+                return this.travelTime.annotateRoute(cached, options.mobilityProfile);
             }
         }
 
@@ -237,23 +498,12 @@ export class PathfindingEngine {
         const snapToDoors = options.snapToDoors !== false;
         const allowLockedDoors = options.allowLockedDoors === true;
         const roomTraversalMode = options.roomTraversalMode || 'public';
-        const publicRoomDoorCount = Number.isFinite(options.publicRoomDoorCount)
-            ? options.publicRoomDoorCount
-            : 2;
-        const publicRoomArea = Number.isFinite(options.publicRoomArea)
-            ? options.publicRoomArea
-            : 80;
 
         const startRoom = snapToDoors ? this.findRoomAtPoint(startCoords, startFloorId) : null;
         const endRoom = snapToDoors ? this.findRoomAtPoint(endCoords, endFloorId) : null;
         const sameRoom = startRoom && endRoom && startRoom.geometryId === endRoom.geometryId;
 
-        const isPublicRoom = (meta) => {
-            if (!meta) return false;
-            if (meta.publicDoorCount >= publicRoomDoorCount) return true;
-            if (meta.doorCount >= Math.max(2, publicRoomDoorCount)) return true;
-            return meta.area >= publicRoomArea;
-        };
+        const isPublicRoom = (meta) => this.isPublicRoom(meta, options);
 
         const startRoomMeta = startRoom ? this.roomMeta.get(startRoom.geometryId) : null;
         const endRoomMeta = endRoom ? this.roomMeta.get(endRoom.geometryId) : null;
@@ -266,11 +516,7 @@ export class PathfindingEngine {
             if (endRoom) allowedRoomIds.add(endRoom.geometryId);
 
             if (mode === 'public') {
-                this.roomMeta.forEach((meta, roomId) => {
-                    if (isPublicRoom(meta)) {
-                        allowedRoomIds.add(roomId);
-                    }
-                });
+                this.getPublicRoomIds(options).forEach(roomId => allowedRoomIds.add(roomId));
             }
 
             const explicitAllowed = options.allowedRoomIds;
@@ -282,32 +528,44 @@ export class PathfindingEngine {
             return allowedRoomIds;
         };
 
+        const flagConstraints = NavigationFlagDecoder.normalizeConstraints(options);
+
         const useRoomConstraints = roomTraversalMode !== 'all';
         const allowedRoomIds = useRoomConstraints ? buildAllowedRoomIds(roomTraversalMode) : null;
         const hasAllowedRooms = allowedRoomIds && allowedRoomIds.size > 0;
         const applyRoomConstraints = useRoomConstraints && hasAllowedRooms;
 
+        const startNode = this.findNearestWalkableNode(startCoords, startFloorId)
+            || this.graph.findNearestNode(startCoords, startFloorId);
+        const endNode = this.findNearestWalkableNode(endCoords, endFloorId)
+            || this.graph.findNearestNode(endCoords, endFloorId);
+
+        // Leaving a closed area is fine; arriving in one is not
+        if (endNode && this.closures.isNodeClosed(endNode.id) && !endRoom) {
+            this.setRouteError('closed', 'The destination is in a closed area.');
+            return null;
+        }
+        const exitExemption = startNode ? this.closures.getExitExemption([startNode.id]) : null;
+        // Rooms closed by their opening hours can't be cut through in any traversal mode,
+        // though a route may still start or end in one
+        const closedRooms = this.getClosedRoomSet(options, [startRoom, endRoom], [startNode, endNode]);
+
         const routeOptions = {
             ...options,
             disallowOtherRooms: applyRoomConstraints,
             allowedRoomIds: applyRoomConstraints ? Array.from(allowedRoomIds) : null,
-            nodeFilter: (node) => {
-                const userFilter = typeof options.nodeFilter === 'function' ? options.nodeFilter : null;
-                if (userFilter && !userFilter(node)) return false;
-                if (!allowLockedDoors && node?.metadata?.isDoor && node?.metadata?.isLocked) {
-                    return false;
-                }
-                return true;
-            }
+            ...this.buildRouteFilters(options, allowLockedDoors, flagConstraints, exitExemption, closedRooms)
         };
 
         if (sameRoom) {
             if (this.collisionDetector.isPathClear(startCoords, endCoords, startFloorId)) {
                 const distance = turf.distance(turf.point(startCoords), turf.point(endCoords), { units: 'meters' });
-                return {
+                return this.travelTime.annotateRoute({
                     path: [startCoords, endCoords],
                     nodeIds: [],
                     distance,
+                    walkingDistance: distance,
+                    verticalCost: 0,
                     floors: [startFloorId, endFloorId],
                     segments: [{
                         from: 'start',
@@ -328,20 +586,17 @@ export class PathfindingEngine {
                         endFloorId,
                         startRoomId: startRoom.geometryId,
                         endRoomId: endRoom.geometryId,
+                        startAccessDistance: 0,
+                        endAccessDistance: 0,
                         sameRoom: true
                     }
-                };
+                }, options.mobilityProfile);
             }
 
             this.setRouteError('no-path', 'No clear path inside this room.');
             return null;
         }
 
-        const startNode = this.findNearestWalkableNode(startCoords, startFloorId)
-            || this.graph.findNearestNode(startCoords, startFloorId);
-        const endNode = this.findNearestWalkableNode(endCoords, endFloorId)
-            || this.graph.findNearestNode(endCoords, endFloorId);
-
         // Door-based anchoring is only required for "private" rooms (corridors/lobbies are treated as open).
         const useDoorsForStart = Boolean(startRoom && !startRoomIsPublic);
         const useDoorsForEnd = Boolean(endRoom && !endRoomIsPublic);
@@ -477,15 +732,39 @@ export class PathfindingEngine {
             return null;
         }
 
+        // Node expansions across every candidate pair, for measuring search effort
+        const searchStats = { searches: 0, expanded: 0, generated: 0 };
+
+        // Preprocessed hierarchy for this profile; it answers searches whose filters, costs and
+        // room rules are all baked into it (the caller's own callbacks and closures aren't)
+        const hierarchyKey = this.getContractionHierarchyKey(options);
+        const hierarchy = this.closures.hasClosures() || closedRooms
+            ? null
+            : this.contractionHierarchies.get(hierarchyKey);
+        const canUseHierarchy = (optionsForPath) => hierarchy.supports({
+            nodeFilter: requestedOptions.nodeFilter,
+            edgeFilter: requestedOptions.edgeFilter,
+            edgeCostMultiplier: requestedOptions.edgeCostMultiplier,
+            disallowOtherRooms: optionsForPath.disallowOtherRooms,
+            allowedRoomIds: optionsForPath.allowedRoomIds
+        }, hierarchyKey);
+
         const findBestPath = (optionsForPath) => {
             let best = null;
             let bestStart = null;
             let bestEnd = null;
             let bestDistance = Infinity;
+            const searcher = hierarchy && canUseHierarchy(optionsForPath) ? hierarchy : this.aStar;
 
             startConnectable.forEach(startCandidate => {
                 endConnectable.forEach(endCandidate => {
-                    const path = this.aStar.findPath(startCandidate.id, endCandidate.id, optionsForPath);
+                    const path = searcher.findPath(startCandidate.id, endCandidate.id, optionsForPath);
+                    const stats = searcher.getLastSearchStats();
+                    if (stats) {
+                        searchStats.searches++;
+                        searchStats.expanded += stats.expanded;
+                        searchStats.generated += stats.generated;
+                    }
                     if (!path) return;
 
                     const startConnectorDistance = turf.distance(
@@ -528,6 +807,10 @@ export class PathfindingEngine {
             }
         }
 
+        if (!attempt && closedRooms) {
+            this.setRouteError('closed', 'Every way there passes through places that are closed at this time.');
+            return null;
+        }
         if (!attempt) {
             this.setRouteError('no-path', 'No path available from this location.');
             return null;
@@ -545,10 +828,22 @@ export class PathfindingEngine {
         // 2. Run A* pathfinding
         console.log(`  Path found: ${best.nodeIds.length} nodes, ${bestDistance.toFixed(2)}m`);
 
+        // Connector edges (elevators/stairs) carry abstract costs; keep them apart from meters walked.
+        // Walking distance is measured on the ground, so cost multipliers don't distort it either.
+        const verticalCost = best.segments.reduce((sum, segment) => sum + (segment.verticalCost || 0), 0);
+        const startAccessDistance = turf.distance(turf.point(startCoords), turf.point(bestStart.coords), { units: 'meters' });
+        const endAccessDistance = turf.distance(turf.point(endCoords), turf.point(bestEnd.coords), { units: 'meters' });
+        const walkingDistance = best.segments.reduce(
+            (sum, segment) => sum + (segment.floorChange ? 0 : segment.distance),
+            startAccessDistance + endAccessDistance
+        );
+
         const route = {
             path: best.coords,
             nodeIds: best.nodeIds,
             distance: bestDistance,
+            walkingDistance,
+            verticalCost,
             floors: best.floors,
             segments: best.segments,
             startNode: bestStart,
@@ -562,7 +857,10 @@ export class PathfindingEngine {
                 endRoomId: endRoom?.geometryId || null,
                 startDoorId: bestStart?.metadata?.isDoor ? bestStart.id : null,
                 endDoorId: bestEnd?.metadata?.isDoor ? bestEnd.id : null,
-                roomTraversalMode: effectiveTraversalMode
+                startAccessDistance,
+                endAccessDistance,
+                roomTraversalMode: effectiveTraversalMode,
+                searchStats
             }
         };
 
@@ -571,7 +869,252 @@ export class PathfindingEngine {
             this.pathCache.set(startCoords, endCoords, startFloorId, endFloorId, options, route);
         }
 
-        return route;
+        return this.travelTime.annotateRoute(route, options.mobilityProfile);
+    }
+
+    /**
+     * Find up to `count` meaningfully different routes (penalty method)
+     * After each route, its edges get more expensive and A* runs again; a candidate is kept
+     * if it is not much longer than the best route and, against every kept route, either
+     * overlaps less than maxOverlap or uses a different set of connectors.
+     */
+    findAlternativeRoutes(startCoords, endCoords, startFloorId, endFloorId, options = {}) {
+        const {
+            count = 3,
+            maxOverlap = 0.7,
+            maxStretch = 1.5,
+            penaltyFactor = 1.6,
+            maxAttempts = count * 3,
+            ...requestedOptions
+        } = options;
+
+        const routeOptions = this.routingProfiles.resolve(requestedOptions);
+        const primary = this.findRoute(startCoords, endCoords, startFloorId, endFloorId, requestedOptions);
+        if (!primary) return [];
+
+        const routes = [this.describeAlternative(primary, 0, 0)];
+        if (count <= 1 || !primary.nodeIds?.length) return routes;
+
+        const penalties = new Map();
+        const edgeKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+        const penalize = (route) => {
+            for (let i = 0; i < route.nodeIds.length - 1; i++) {
+                const key = edgeKey(route.nodeIds[i], route.nodeIds[i + 1]);
+                penalties.set(key, (penalties.get(key) || 1) * penaltyFactor);
+            }
+        };
+        // Penalties stack on top of the profile's own edge costs
+        const profileMultiplier = routeOptions.edgeCostMultiplier || null;
+        const edgeCostMultiplier = (fromId, edge) =>
+            (penalties.get(edgeKey(fromId, edge.target)) || 1) * (profileMultiplier ? profileMultiplier(fromId, edge) : 1);
+
+        const getEdgeLengths = (route) => {
+            const lengths = new Map();
+            route.segments.forEach(segment => {
+                lengths.set(edgeKey(segment.from, segment.to), segment.distance || 0);
+            });
+            return lengths;
+        };
+        const getOverlap = (candidate, other) => {
+            const candidateEdges = getEdgeLengths(candidate);
+            const otherEdges = getEdgeLengths(other);
+            let total = 0;
+            let shared = 0;
+            candidateEdges.forEach((length, key) => {
+                total += length;
+                if (otherEdges.has(key)) shared += length;
+            });
+            return total > 0 ? shared / total : 1;
+        };
+        const connectorSignature = (route) => route.segments
+            .filter(segment => segment.floorChange)
+            .map(segment => segment.connectionId || segment.type)
+            .join('>');
+
+        penalize(primary);
+        for (let attempt = 0; attempt < maxAttempts && routes.length < count; attempt++) {
+            const candidate = this.findRoute(startCoords, endCoords, startFloorId, endFloorId, {
+                ...routeOptions,
+                edgeCostMultiplier,
+                useCache: false
+            });
+            if (!candidate || !candidate.nodeIds?.length) break;
+
+            // A* ran on penalized weights; swap the penalized path cost for the real one
+            const penalizedCost = this.aStar.getPathCost(candidate.nodeIds, edgeCostMultiplier);
+            const realCost = this.aStar.getPathCost(candidate.nodeIds, profileMultiplier);
+            candidate.distance = candidate.distance - penalizedCost + realCost;
+            penalize(candidate);
+
+            if (candidate.distance > primary.distance * maxStretch) continue;
+
+            let maxSharedOverlap = 0;
+            const distinct = routes.every(existing => {
+                const overlap = getOverlap(candidate, existing);
+                maxSharedOverlap = Math.max(maxSharedOverlap, overlap);
+                return overlap < maxOverlap || connectorSignature(candidate) !== connectorSignature(existing);
+            });
+            if (!distinct) continue;
+
+            routes.push(this.describeAlternative(candidate, routes.length, maxSharedOverlap));
+        }
+
+        this.lastRouteError = null;
+        return routes.sort((a, b) => a.distance - b.distance).map((route, rank) => ({ ...route, rank }));
+    }
+
+    /**
+     * Summary fields shown for each alternative (floor changes, connectors used)
+     */
+    describeAlternative(route, rank, overlap) {
+        const floorChangeSegments = route.segments.filter(segment => segment.floorChange);
+        return {
+            ...route,
+            rank,
+            overlap,
+            floorChanges: floorChangeSegments.length,
+            connectorTypes: Array.from(new Set(floorChangeSegments.map(segment => segment.type).filter(Boolean)))
+        };
+    }
+
+    /**
+     * Route through several stops in sequence (first = start, last = destination)
+     * Each stop is { coords, floorId, name? }. With options.optimizeOrder the intermediate
+     * stops are reordered to minimise total distance; other options apply to every leg.
+     */
+    findMultiStopRoute(stops, options = {}) {
+        if (!this.initialized) {
+            throw new Error('PathfindingEngine not initialized. Call initialize() first.');
+        }
+
+        this.lastRouteError = null;
+        if (!Array.isArray(stops) || stops.length < 2) {
+            this.setRouteError('invalid-stops', 'A multi-stop route needs at least two stops.');
+            return null;
+        }
+
+        const { optimizeOrder = false, ...requestedLegOptions } = options;
+        const legOptions = this.routingProfiles.resolve(requestedLegOptions);
+        const legRoutes = new Map();
+        const findLeg = (from, to) => {
+            const key = `${from}>${to}`;
+            if (!legRoutes.has(key)) {
+                const a = stops[from];
+                const b = stops[to];
+                legRoutes.set(key, this.findRoute(a.coords, b.coords, a.floorId, b.floorId, requestedLegOptions));
+            }
+            return legRoutes.get(key);
+        };
+
+        let order = stops.map((_, index) => index);
+        if (optimizeOrder && stops.length > 3) {
+            const last = stops.length - 1;
+            const costs = stops.map((_, from) => stops.map((__, to) => {
+                // Nothing leaves the destination or returns to the start
+                if (from === to) return 0;
+                if (from === last || to === 0) return Infinity;
+                return findLeg(from, to)?.distance ?? Infinity;
+            }));
+            order = this.stopOrderOptimizer.optimize(costs);
+        }
+
+        const legs = [];
+        for (let i = 0; i < order.length - 1; i++) {
+            const route = findLeg(order[i], order[i + 1]);
+            if (!route) {
+                const reason = this.lastRouteError?.message;
+                const fromLabel = stops[order[i]].name || `stop ${order[i] + 1}`;
+                const toLabel = stops[order[i + 1]].name || `stop ${order[i + 1] + 1}`;
+                this.setRouteError('leg-failed', `No route from ${fromLabel} to ${toLabel}.${reason ? ` ${reason}` : ''}`);
+                return null;
+            }
+            legs.push({ index: i, from: order[i], to: order[i + 1], route });
+        }
+
+        this.lastRouteError = null;
+        return this.travelTime.annotateRoute(this.combineLegs(stops, order, legs, optimizeOrder), legOptions.mobilityProfile);
+    }
+
+    /**
+     * Stitch leg routes into one route; legs/segments keep their leg index
+     * Leg routes may come from the path cache, so they are copied rather than mutated
+     */
+    combineLegs(stops, order, legs, optimized) {
+        const path = [];
+        const floors = [];
+        const nodeIds = [];
+        const segments = [];
+        let distance = 0;
+        let walkingDistance = 0;
+        let verticalCost = 0;
+
+        legs.forEach((leg, legIndex) => {
+            const { route } = leg;
+
+            if (path.length > 0) {
+                // Both legs snap near the shared stop; walk between their anchor points
+                const fromCoords = path[path.length - 1];
+                const toCoords = route.path[0];
+                const bridgeDistance = turf.distance(turf.point(fromCoords), turf.point(toCoords), { units: 'meters' });
+                segments.push({
+                    from: nodeIds[nodeIds.length - 1] || 'stop',
+                    to: route.nodeIds?.[0] || 'stop',
+                    fromCoords,
+                    toCoords,
+                    distance: bridgeDistance,
+                    floorChange: false,
+                    fromFloor: floors[floors.length - 1],
+                    toFloor: route.floors[0],
+                    type: 'stop',
+                    stopIndex: leg.from,
+                    legIndex
+                });
+                distance += bridgeDistance;
+                walkingDistance += bridgeDistance;
+            }
+
+            path.push(...route.path);
+            floors.push(...route.floors);
+            nodeIds.push(...(route.nodeIds || []));
+            route.segments.forEach(segment => segments.push({ ...segment, legIndex }));
+
+            distance += route.distance;
+            walkingDistance += route.walkingDistance ?? route.distance;
+            verticalCost += route.verticalCost || 0;
+        });
+
+        const orderedStops = order.map(index => ({ ...stops[index], originalIndex: index }));
+
+        return {
+            path,
+            nodeIds,
+            distance,
+            walkingDistance,
+            verticalCost,
+            floors,
+            segments,
+            startNode: legs[0].route.startNode,
+            endNode: legs[legs.length - 1].route.endNode,
+            stops: orderedStops,
+            order,
+            legs: legs.map(leg => ({
+                index: leg.index,
+                from: leg.from,
+                to: leg.to,
+                distance: leg.route.distance,
+                route: leg.route
+            })),
+            meta: {
+                startCoords: orderedStops[0].coords,
+                endCoords: orderedStops[orderedStops.length - 1].coords,
+                startFloorId: orderedStops[0].floorId,
+                endFloorId: orderedStops[orderedStops.length - 1].floorId,
+                startAccessDistance: legs[0].route.meta?.startAccessDistance,
+                endAccessDistance: legs[legs.length - 1].route.meta?.endAccessDistance,
+                multiStop: true,
+                optimized: Boolean(optimized)
+            }
+        };
     }
 
     /**
@@ -589,6 +1132,296 @@ export class PathfindingEngine {
         return this.instructionGenerator.formatAsText(instructions);
     }
 
+    /**
+     * Rooms closed by their opening hours (options.closedRoomIds), less the rooms a search starts
+     * or ends in (by point or by snapped node)
+     * @param {Array<Object|null>} rooms - findRoomAtPoint results at the ends
+     * @param {Array<Object|null>} nodes - Graph nodes at the ends
+     * @returns {Set<string>|null} null when nothing is closed
+     */
+    getClosedRoomSet(options, rooms = [], nodes = []) {
+        const closedRooms = new Set(options.closedRoomIds || []);
+        rooms.forEach(room => closedRooms.delete(room?.geometryId));
+        nodes.forEach(node => this.getNodeRoomIds(node).forEach(id => closedRooms.delete(id)));
+        return closedRooms.size > 0 ? closedRooms : null;
+    }
+
+    getNodeRoomIds(node) {
+        const metadata = node?.metadata || {};
+        return metadata.roomIds || (metadata.roomId ? [metadata.roomId] : []);
+    }
+
+    /**
+     * Inside one of closedRooms; doors and connectors stay usable like AStar.isRoomAllowed
+     */
+    isInClosedRoom(node, closedRooms) {
+        const metadata = node?.metadata || {};
+        if (metadata.isElevator || metadata.isStairs || metadata.isEscalator || metadata.isRamp || metadata.isDoor) {
+            return false;
+        }
+        return this.getNodeRoomIds(node).some(id => closedRooms.has(id));
+    }
+
+    /**
+     * Node/edge filters shared by every search: closures, closed rooms, locked doors, navigation flags, user filters
+     * @param {Object|null} exitExemption - ClosureManager.getExitExemption() for the start, so a
+     *   search starting inside a closed area can walk out of it
+     * @param {Set<string>|null} closedRooms - getClosedRoomSet() result
+     */
+    buildRouteFilters(options, allowLockedDoors, flagConstraints, exitExemption = null, closedRooms = null) {
+        return {
+            nodeFilter: (node) => {
+                const userFilter = typeof options.nodeFilter === 'function' ? options.nodeFilter : null;
+                if (userFilter && !userFilter(node)) return false;
+                if (this.closures.isNodeClosed(node?.id) && !exitExemption?.nodeIds.has(node.id)) return false;
+                if (closedRooms && this.isInClosedRoom(node, closedRooms)) return false;
+                if (!allowLockedDoors && node?.metadata?.isDoor && node?.metadata?.isLocked) {
+                    return false;
+                }
+                if (flagConstraints && !this.flagDecoder.matches(node?.metadata?.navFlags, flagConstraints)) {
+                    return false;
+                }
+                return true;
+            },
+            edgeFilter: (edge) => {
+                const userFilter = typeof options.edgeFilter === 'function' ? options.edgeFilter : null;
+                if (userFilter && !userFilter(edge)) return false;
+                if (this.closures.isEdgeClosed(edge) && !exitExemption?.edges.has(edge)) return false;
+                return !flagConstraints || this.flagDecoder.matches(edge.navFlags, flagConstraints);
+            }
+        };
+    }
+
+    /**
+     * Cost from a point to every reachable node (Dijkstra flood, works across floors)
+     * Uses findRoute's edge options and filters; room traversal rules don't apply since there's
+     * no single destination room.
+     * @param {Array} startCoords - [lng, lat]
+     * @param {string} floorId
+     * @param {Object} options - findRoute options (accessibleOnly, avoidStairs, navigation flags, ...) plus maxCost,
+     *   or maxSeconds to stop at a travel time for the profile's mobilityProfile (connector costs are
+     *   routing penalties, far above the seconds they take)
+     * @returns {Object|null} { startCoords, floorId, nodes: Map<nodeId, { cost, walkingDistance, floorsTravelled, previous }> }
+     */
+    computeDistanceField(startCoords, floorId, options = {}) {
+        if (!this.initialized) {
+            throw new Error('PathfindingEngine not initialized. Call initialize() first.');
+        }
+
+        options = this.routingProfiles.resolve(options);
+        this.lastRouteError = null;
+        const allowLockedDoors = options.allowLockedDoors === true;
+        const flagConstraints = NavigationFlagDecoder.normalizeConstraints(options);
+
+        const anchors = this.getAnchorNodes(startCoords, floorId, allowLockedDoors);
+        if (anchors.length === 0) {
+            this.setRouteError('blocked', 'Cannot reach the walkable network from this location.');
+            return null;
+        }
+
+        const { maxSeconds = null, mobilityProfile } = options;
+        const nodes = this.aStar.computeDistanceField(
+            anchors.map(({ node, offset }) => ({ nodeId: node.id, cost: offset })),
+            {
+                ...options,
+                ...this.buildRouteFilters(options, allowLockedDoors, flagConstraints,
+                    this.closures.getExitExemption(anchors.map(({ node }) => node.id)),
+                    this.getClosedRoomSet(options, [this.findRoomAtPoint(startCoords, floorId)], anchors.map(({ node }) => node))),
+                entryFilter: Number.isFinite(maxSeconds)
+                    ? (entry) => this.travelTime.estimateSeconds(entry, mobilityProfile) <= maxSeconds
+                    : null
+            }
+        );
+
+        return {
+            startCoords,
+            floorId,
+            nodes,
+            stats: this.aStar.getLastSearchStats()
+        };
+    }
+
+    /**
+     * Walking cost from a point to every location (locations.json entries with geometry anchors)
+     * @param {Array<Object>} locations - MVF locations
+     * @param {Array} startCoords - [lng, lat]
+     * @param {string} floorId
+     * @param {Object} options - computeDistanceField options, or `field` to reuse a computed one
+     * @returns {Array<Object>} { location, name, geometryId, floorId, coords, cost, walkingDistance, floorsTravelled, nodeId }
+     *   sorted by cost; unreachable locations are left out
+     */
+    getDistancesToLocations(locations, startCoords, floorId, options = {}) {
+        options = this.routingProfiles.resolve(options);
+        const field = options.field || this.computeDistanceField(startCoords, floorId, options);
+        if (!field) return [];
+
+        const allowLockedDoors = options.allowLockedDoors === true;
+        const results = [];
+
+        (locations || []).forEach(location => {
+            let best = null;
+            (location.geometryAnchors || []).forEach(anchor => {
+                const feature = this.geometryIndex.get(anchor.geometryId);
+                const coords = feature ? this.getFeatureCenter(feature) : null;
+                if (!coords) return;
+
+                const anchorFloorId = anchor.floorId || feature.properties?.floorId;
+                this.getAnchorNodes(coords, anchorFloorId, allowLockedDoors).forEach(({ node, offset }) => {
+                    const entry = field.nodes.get(node.id);
+                    if (!entry) return;
+
+                    const cost = entry.cost + offset;
+                    if (best && best.cost <= cost) return;
+                    best = {
+                        location,
+                        name: location.details?.name || null,
+                        geometryId: anchor.geometryId,
+                        floorId: anchorFloorId,
+                        coords,
+                        cost,
+                        walkingDistance: entry.walkingDistance + offset,
+                        floorsTravelled: entry.floorsTravelled,
+                        nodeId: node.id
+                    };
+                });
+            });
+
+            if (best) results.push(best);
+        });
+
+        return results.sort((a, b) => a.cost - b.cost);
+    }
+
+    /**
+     * Cheapest of several destinations from one point, found with a single multi-target search
+     * @param {Array} startCoords - [lng, lat]
+     * @param {string} floorId
+     * @param {Array<Object>} targets - { coords, floorId, nodeId? } (nodeId skips snapping, e.g. elevator nodes)
+     * @param {Object} options - computeDistanceField options (accessibleOnly, ...)
+     * @returns {Object|null} { target, cost, walkingDistance, floorsTravelled, nodeId, stats }
+     */
+    findNearestTarget(startCoords, floorId, targets, options = {}) {
+        if (!this.initialized) {
+            throw new Error('PathfindingEngine not initialized. Call initialize() first.');
+        }
+
+        options = this.routingProfiles.resolve(options);
+        this.lastRouteError = null;
+        const allowLockedDoors = options.allowLockedDoors === true;
+        const flagConstraints = NavigationFlagDecoder.normalizeConstraints(options);
+
+        // Graph node -> cheapest target reachable from it (plus the metres from node to target)
+        const goals = new Map();
+        (targets || []).forEach(target => {
+            const node = target.nodeId ? this.graph.getNode(target.nodeId) : null;
+            const anchors = node
+                ? [{ node, offset: 0 }]
+                : this.getAnchorNodes(target.coords, target.floorId, allowLockedDoors);
+            anchors.forEach(({ node: anchorNode, offset }) => {
+                const existing = goals.get(anchorNode.id);
+                if (!existing || offset < existing.offset) {
+                    goals.set(anchorNode.id, { target, offset });
+                }
+            });
+        });
+
+        if (goals.size === 0) {
+            this.setRouteError('no-path', 'None of the destinations are on the walkable network.');
+            return null;
+        }
+
+        const seeds = this.getAnchorNodes(startCoords, floorId, allowLockedDoors);
+        if (seeds.length === 0) {
+            this.setRouteError('blocked', 'Cannot reach the walkable network from this location.');
+            return null;
+        }
+
+        const stopAtTargets = new Map();
+        goals.forEach(({ offset }, nodeId) => stopAtTargets.set(nodeId, offset));
+
+        const nodes = this.aStar.computeDistanceField(
+            seeds.map(({ node, offset }) => ({ nodeId: node.id, cost: offset })),
+            {
+                ...options,
+                ...this.buildRouteFilters(options, allowLockedDoors, flagConstraints,
+                    this.closures.getExitExemption(seeds.map(({ node }) => node.id)),
+                    this.getClosedRoomSet(options, [this.findRoomAtPoint(startCoords, floorId)], seeds.map(({ node }) => node))),
+                stopAtTargets
+            }
+        );
+
+        let best = null;
+        goals.forEach(({ target, offset }, nodeId) => {
+            const entry = nodes.get(nodeId);
+            if (!entry || (best && best.cost <= entry.cost + offset)) return;
+            best = {
+                target,
+                cost: entry.cost + offset,
+                walkingDistance: entry.walkingDistance + offset,
+                floorsTravelled: entry.floorsTravelled,
+                nodeId
+            };
+        });
+
+        if (!best) {
+            this.setRouteError('no-path', 'None of the destinations can be reached from this location.');
+            return null;
+        }
+
+        best.stats = this.aStar.getLastSearchStats();
+        return best;
+    }
+
+    /**
+     * Anchor of a destination spanning several rooms that's cheapest to reach from `from` (any floor)
+     * @param {Object} from - { coords, floorId, snappedCoords? }
+     * @param {Array<Object>} anchors - { geometryId, floorId, coords }
+     * @param {Object} options - findNearestTarget options
+     * @returns {Object|null} The anchor; null with fewer than two anchors or none reachable
+     */
+    findNearestAnchor(from, anchors, options = {}) {
+        if (!anchors || anchors.length < 2 || !from?.coords) return null;
+        return this.findNearestTarget(from.snappedCoords || from.coords, from.floorId, anchors, options)?.target || null;
+    }
+
+    /**
+     * Graph nodes a point can step onto (nearest walkable node plus room doors), with the metres to each
+     */
+    getAnchorNodes(coords, floorId, allowLockedDoors = false) {
+        const candidates = [];
+        const nearest = this.findNearestWalkableNode(coords, floorId) || this.graph.findNearestNode(coords, floorId);
+        if (nearest) candidates.push(nearest);
+
+        const room = this.findRoomAtPoint(coords, floorId);
+        if (room) {
+            this.getRoomDoorCandidates(room, allowLockedDoors).available.forEach(door => {
+                if (!candidates.includes(door)) candidates.push(door);
+            });
+        }
+
+        let connectable = candidates.filter(node => this.isConnectorClear(coords, node.coords, floorId));
+        if (connectable.length === 0) {
+            connectable = candidates.filter(node =>
+                this.collisionDetector.isPathClearRelaxed(coords, node.coords, floorId)
+            );
+        }
+        if (connectable.length === 0) {
+            // Inside a room the doors are the way out even without line of sight
+            connectable = room ? candidates : [];
+        }
+        if (connectable.length === 0) {
+            const expanded = this.graph.findNearestNodeExpanded(coords, floorId);
+            if (expanded) connectable = [expanded];
+        }
+
+        return connectable
+            .filter(node => !this.closures.isNodeClosed(node.id))
+            .map(node => ({
+                node,
+                offset: turf.distance(turf.point(coords), turf.point(node.coords), { units: 'meters' })
+            }));
+    }
+
     /**
      * Clear the path cache
      */
@@ -596,6 +1429,59 @@ export class PathfindingEngine {
         this.pathCache.clear();
     }
 
+    /**
+     * Preprocess contraction hierarchies for instant queries (kiosks, one-to-many distances)
+     * One hierarchy per set of findRoute options, with what findRoute derives from them baked in:
+     * edge options, the profile's edge types and costs, locked doors, navigation flags and, for
+     * public room traversal, the public rooms. Queries with other room sets fall back to A*.
+     * @param {Array<Object>} profiles - findRoute options, e.g. [{ profile: 'wheelchair' }]
+     */
+    buildContractionHierarchies(profiles = [{}, { profile: DEFAULT_ROUTING_PROFILE }, { profile: 'wheelchair' }]) {
+        this.contractionHierarchies.clear();
+        profiles.forEach(profile => {
+            const options = this.routingProfiles.resolve(profile);
+            const allowLockedDoors = options.allowLockedDoors === true;
+            const flagConstraints = NavigationFlagDecoder.normalizeConstraints(options);
+            const roomTraversalMode = options.roomTraversalMode || 'public';
+
+            const hierarchy = new ContractionHierarchy(this.graph, {
+                ...options,
+                key: this.getContractionHierarchyKey(options),
+                nodeFilter: (node) => {
+                    if (options.nodeFilter && !options.nodeFilter(node)) return false;
+                    if (!allowLockedDoors && node?.metadata?.isDoor && node?.metadata?.isLocked) return false;
+                    return !flagConstraints || this.flagDecoder.matches(node?.metadata?.navFlags, flagConstraints);
+                },
+                edgeFilter: (edge) => {
+                    if (options.edgeFilter && !options.edgeFilter(edge)) return false;
+                    return !flagConstraints || this.flagDecoder.matches(edge.navFlags, flagConstraints);
+                },
+                allowedRoomIds: roomTraversalMode === 'public' ? this.getPublicRoomIds(options) : null
+            });
+            hierarchy.build();
+            this.contractionHierarchies.set(hierarchy.key, hierarchy);
+        });
+        this.pathCache.clear();
+        return this.contractionHierarchies;
+    }
+
+    /**
+     * Hierarchies are looked up by everything they bake in besides rooms (supports() checks those)
+     */
+    getContractionHierarchyKey(options = {}) {
+        return [
+            ContractionHierarchy.getProfileKey(options),
+            options.profileKey || 'no-profile',
+            options.roomTraversalMode || 'public',
+            options.allowLockedDoors === true ? 'locked-doors' : 'no-locked-doors',
+            JSON.stringify(NavigationFlagDecoder.normalizeConstraints(options))
+        ].join('|');
+    }
+
+    getContractionHierarchy(options = {}) {
+        return this.contractionHierarchies.get(this.getContractionHierarchyKey(this.routingProfiles.resolve(options))) || null;
+    }
+
     /**
      * Get cache statistics
      */
@@ -604,13 +1490,70 @@ export class PathfindingEngine {
     }
 
     /**
-     * Find an accessible route (no stairs)
+     * Find an accessible route (no stairs or escalators; elevators and ramps only)
      */
     findAccessibleRoute(startCoords, endCoords, startFloorId, endFloorId) {
-        return this.findRoute(startCoords, endCoords, startFloorId, endFloorId, {
-            accessibleOnly: true,
-            avoidStairs: true
-        });
+        return this.findRoute(startCoords, endCoords, startFloorId, endFloorId, { profile: 'wheelchair' });
+    }
+
+    /**
+     * Close part of the venue at runtime (no graph rebuild)
+     * @param {Object} closure - { geometryIds?, connectionIds?, nodeIds?, polygon?, floorId?, expiresAt?, durationMs?, reason? }
+     * @returns {Object} The stored closure (with its id)
+     */
+    addClosure(closure) {
+        const added = this.closures.add(closure);
+        this.handleClosuresChanged('added', [added]);
+        return added;
+    }
+
+    removeClosure(closureId) {
+        const closure = this.closures.getClosures().find(item => item.id === closureId);
+        if (!closure) return false;
+        this.closures.remove(closureId);
+        this.handleClosuresChanged('removed', [closure]);
+        return true;
+    }
+
+    clearClosures() {
+        const removed = this.closures.getClosures();
+        if (removed.length === 0) return;
+        this.closures.clear();
+        this.handleClosuresChanged('removed', removed);
+    }
+
+    getClosures() {
+        return this.closures.getClosures();
+    }
+
+    /**
+     * Invalidate affected cached routes and let listeners recompute the active route
+     */
+    handleClosuresChanged(reason, closures) {
+        if (reason === 'added') {
+            // Only routes through the closed area change
+            this.pathCache.invalidate(route => this.closures.routeUsesClosure(route));
+        } else {
+            // Reopening can make any cached route suboptimal
+            this.pathCache.clear();
+        }
+
+        if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function') {
+            try {
+                window.dispatchEvent(new CustomEvent('routing-closures-changed', {
+                    detail: { reason, closures, active: this.closures.getClosures() }
+                }));
+            } catch (e) {
+                // Ignore event dispatch errors.
+            }
+        }
+    }
+
+    /**
+     * Named routing profiles (visitor, wheelchair, staff, ...); register more with getRoutingProfiles().register()
+     */
+    getRoutingProfiles() {
+        return this.routingProfiles;
     }
 
     /**
@@ -727,16 +1670,18 @@ export class PathfindingEngine {
         return roomIndex;
     }
 
-    addDoorNodes(connections, navigationFlags) {
+    addDoorNodes(connections) {
         const doorAccess = new Map();
-        const publicBit = navigationFlags?.public?.bit ?? null;
+        // Where the venue defines a public bit, doors without it (or without flags) are locked
+        const lockedByDefault = this.flagDecoder.hasFlag('public');
 
         connections.forEach(conn => {
             if (conn.type !== 'door') return;
             (conn.entrances || []).forEach(entry => {
                 if (!entry?.geometryId) return;
                 const flagValue = Array.isArray(entry.flags) ? entry.flags[0] ?? 0 : entry.flags ?? 0;
-                const isPublic = publicBit == null ? true : ((flagValue & (1 << publicBit)) !== 0);
+                const decoded = this.flagDecoder.decode(entry.flags ?? 0);
+                const isPublic = decoded?.public ?? !lockedByDefault;
                 const current = doorAccess.get(entry.geometryId);
                 if (!current) {
                     doorAccess.set(entry.geometryId, {
@@ -785,6 +1730,61 @@ export class PathfindingEngine {
         });
     }
 
+    addConnectorNodes(connections) {
+        const connectorTypes = new Set(['escalator', 'ramp']);
+
+        connections.forEach(conn => {
+            if (!connectorTypes.has(conn.type)) return;
+
+            [...(conn.entrances || []), ...(conn.exits || [])].forEach(endpoint => {
+                const geometryId = endpoint?.geometryId;
+                if (!geometryId || this.graph.getNodeByGeometryId(geometryId)) return;
+
+                const feature = this.geometryIndex.get(geometryId);
+                const floorId = endpoint.floorId || feature?.properties?.floorId;
+                const coords = feature ? this.getFeatureCenter(feature) : null;
+                if (!coords || !floorId) return;
+
+                this.graph.addNode(`${conn.type}_${geometryId}`, coords, floorId, {
+                    geometryIds: [geometryId],
+                    type: conn.type,
+                    connectionId: conn.id
+                });
+            });
+        });
+    }
+
+    /**
+     * Attach decoded navigation flags to every node and edge (null when the venue has no data for it)
+     */
+    applyNavigationFlags(connections) {
+        const nodeFlags = new Map();
+
+        connections.forEach(conn => {
+            [...(conn.entrances || []), ...(conn.exits || [])].forEach(endpoint => {
+                const decoded = this.flagDecoder.decode(endpoint?.flags);
+                if (!decoded) return;
+                const node = this.graph.getNodeByGeometryId(endpoint.geometryId);
+                if (!node) return;
+                nodeFlags.set(node.id, this.flagDecoder.union(nodeFlags.get(node.id), decoded));
+            });
+        });
+
+        this.graph.nodes.forEach(node => {
+            node.metadata.navFlags = nodeFlags.get(node.id) || null;
+        });
+
+        // Connector edges already carry their entrance flags; derive the rest from their endpoints
+        this.graph.edges.forEach((edges, fromId) => {
+            const fromFlags = this.graph.getNode(fromId)?.metadata?.navFlags || null;
+            edges.forEach(edge => {
+                if (edge.navFlags !== undefined) return;
+                const toFlags = this.graph.getNode(edge.target)?.metadata?.navFlags || null;
+                edge.navFlags = this.flagDecoder.intersect(fromFlags, toFlags);
+            });
+        });
+    }
+
     getFeatureCenter(feature) {
         const geometry = feature.geometry;
         if (!geometry) return null;
@@ -877,6 +1877,27 @@ export class PathfindingEngine {
         return meta;
     }
 
+    /**
+     * Rooms anyone may walk through: enough (public) doors or a large floor area
+     * @param {Object} options - findRoute options (publicRoomDoorCount, publicRoomArea)
+     */
+    isPublicRoom(meta, options = {}) {
+        if (!meta) return false;
+        const publicRoomDoorCount = Number.isFinite(options.publicRoomDoorCount) ? options.publicRoomDoorCount : 2;
+        const publicRoomArea = Number.isFinite(options.publicRoomArea) ? options.publicRoomArea : 80;
+        if (meta.publicDoorCount >= publicRoomDoorCount) return true;
+        if (meta.doorCount >= Math.max(2, publicRoomDoorCount)) return true;
+        return meta.area >= publicRoomArea;
+    }
+
+    getPublicRoomIds(options = {}) {
+        const roomIds = new Set();
+        this.roomMeta.forEach((meta, roomId) => {
+            if (this.isPublicRoom(meta, options)) roomIds.add(roomId);
+        });
+        return roomIds;
+    }
+
     tagNodesWithRooms() {
         this.graph.nodes.forEach(node => {
             if (node.metadata?.roomIds?.length) {
@@ -922,8 +1943,10 @@ export class PathfindingEngine {
 
     getRoomDoorCandidates(room, allowLockedDoors) {
         const doors = this.roomDoorIndex.get(room.geometryId) || [];
-        const available = doors.filter(door => allowLockedDoors || !door.metadata.isLocked);
-        const locked = doors.filter(door => door.metadata.isLocked);
+        const available = doors.filter(door =>
+            (allowLockedDoors || !door.metadata.isLocked) && !this.closures.isNodeClosed(door.id)
+        );
+        const locked = doors.filter(door => door.metadata.isLocked || this.closures.isNodeClosed(door.id));
         return {
             available,
             locked,
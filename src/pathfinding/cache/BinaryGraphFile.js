@@ -0,0 +1,223 @@
+const MAGIC = 'MGRF';
+const FORMAT_VERSION = 1;
+const PREAMBLE_BYTES = 12; // magic + version + header length
+const HAS_FLAGS_BIT = 0x80;
+const MAX_EDGE_FLAGS = 7;
+
+export const BINARY_GRAPH_FILE = 'routing-graph.bin';
+
+const align = (offset, bytes) => Math.ceil(offset / bytes) * bytes;
+
+/**
+ * Collect flag names used on edges; each one gets a bit in the per-edge flag byte.
+ */
+const collectEdgeFlagNames = (edgeExtras) => {
+  const names = new Set();
+  edgeExtras.forEach(([, extra]) => {
+    if (extra.navFlags) {
+      Object.keys(extra.navFlags).forEach(name => names.add(name));
+    }
+  });
+  return Array.from(names).sort();
+};
+
+/**
+ * Encode Graph.toPacked() output into a single binary buffer.
+ *
+ * Layout: "MGRF" | u32 version | u32 header length | JSON header | typed sections
+ * The JSON header carries map identity, build settings, node ids/metadata and
+ * rare per-edge extras; coordinates and CSR adjacency live in typed sections.
+ */
+export const encodeBinaryGraph = (packed, meta = {}) => {
+  const nodeCount = packed.nodes.length;
+  const edgeCount = packed.targets.length;
+
+  const floorIds = [];
+  const floorIndex = new Map();
+  const coords = new Float64Array(nodeCount * 2);
+  const nodeFloors = new Uint16Array(nodeCount);
+
+  packed.nodes.forEach((node, index) => {
+    if (!floorIndex.has(node.floorId)) {
+      floorIndex.set(node.floorId, floorIds.length);
+      floorIds.push(node.floorId);
+    }
+    coords[index * 2] = node.coords[0];
+    coords[index * 2 + 1] = node.coords[1];
+    nodeFloors[index] = floorIndex.get(node.floorId);
+  });
+
+  let flagNames = collectEdgeFlagNames(packed.edgeExtras);
+  const packFlags = flagNames.length <= MAX_EDGE_FLAGS;
+  if (!packFlags) flagNames = [];
+
+  const edgeFlags = new Uint8Array(edgeCount);
+  const edgeExtras = [];
+  packed.edgeExtras.forEach(([edgeIndex, extra]) => {
+    if (!packFlags) {
+      edgeExtras.push([edgeIndex, extra]);
+      return;
+    }
+
+    const { navFlags, ...rest } = extra;
+    if (navFlags) {
+      let bits = HAS_FLAGS_BIT;
+      flagNames.forEach((name, bit) => {
+        if (navFlags[name]) bits |= 1 << bit;
+      });
+      edgeFlags[edgeIndex] = bits;
+    }
+    if (Object.keys(rest).length > 0) {
+      edgeExtras.push([edgeIndex, rest]);
+    }
+  });
+
+  const sections = [
+    ['coords', coords],
+    ['weights', packed.weights],
+    ['offsets', packed.offsets],
+    ['targets', packed.targets],
+    ['nodeFloors', nodeFloors],
+    ['types', packed.types],
+    ['accessible', packed.accessible],
+    ['edgeFlags', edgeFlags]
+  ];
+
+  const header = {
+    ...meta,
+    createdAt: new Date().toISOString(),
+    nodeCount,
+    edgeCount,
+    floorIds,
+    edgeTypes: packed.edgeTypes,
+    flagNames,
+    nodes: packed.nodes.map(node => [node.id, node.metadata || {}]),
+    edgeExtras
+  };
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+
+  // Sections are ordered by element size so each stays naturally aligned
+  let byteLength = align(PREAMBLE_BYTES + headerBytes.length, 8);
+  sections.forEach(([, array]) => {
+    byteLength += array.byteLength;
+  });
+
+  const buffer = new ArrayBuffer(byteLength);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  for (let i = 0; i < MAGIC.length; i++) {
+    bytes[i] = MAGIC.charCodeAt(i);
+  }
+  view.setUint32(4, FORMAT_VERSION, true);
+  view.setUint32(8, headerBytes.length, true);
+  bytes.set(headerBytes, PREAMBLE_BYTES);
+
+  let offset = align(PREAMBLE_BYTES + headerBytes.length, 8);
+  sections.forEach(([, array]) => {
+    bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset);
+    offset += array.byteLength;
+  });
+
+  return buffer;
+};
+
+/**
+ * Decode a binary graph buffer back into { meta, packed } (packed is Graph.fromPacked input).
+ * Returns null if the buffer is not a compatible graph file.
+ */
+export const decodeBinaryGraph = (buffer) => {
+  if (!buffer || buffer.byteLength < PREAMBLE_BYTES) return null;
+
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode(...new Uint8Array(buffer, 0, MAGIC.length));
+  if (magic !== MAGIC || view.getUint32(4, true) !== FORMAT_VERSION) {
+    return null;
+  }
+
+  const headerLength = view.getUint32(8, true);
+  const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, PREAMBLE_BYTES, headerLength)));
+  const { nodeCount, edgeCount } = header;
+
+  let offset = align(PREAMBLE_BYTES + headerLength, 8);
+  const read = (ArrayType, length) => {
+    const array = new ArrayType(buffer, offset, length);
+    offset += array.byteLength;
+    return array;
+  };
+
+  const coords = read(Float64Array, nodeCount * 2);
+  const weights = read(Float64Array, edgeCount);
+  const offsets = read(Uint32Array, nodeCount + 1);
+  const targets = read(Uint32Array, edgeCount);
+  const nodeFloors = read(Uint16Array, nodeCount);
+  const types = read(Uint8Array, edgeCount);
+  const accessible = read(Uint8Array, edgeCount);
+  const edgeFlags = read(Uint8Array, edgeCount);
+
+  const nodes = header.nodes.map(([id, metadata], index) => ({
+    id,
+    coords: [coords[index * 2], coords[index * 2 + 1]],
+    floorId: header.floorIds[nodeFloors[index]],
+    metadata
+  }));
+
+  const extras = new Map(header.edgeExtras);
+  for (let edgeIndex = 0; edgeIndex < edgeCount; edgeIndex++) {
+    const bits = edgeFlags[edgeIndex];
+    if (!(bits & HAS_FLAGS_BIT)) continue;
+
+    const navFlags = {};
+    header.flagNames.forEach((name, bit) => {
+      navFlags[name] = (bits & (1 << bit)) !== 0;
+    });
+    extras.set(edgeIndex, { ...(extras.get(edgeIndex) || {}), navFlags });
+  }
+
+  const { nodes: _nodes, edgeExtras: _edgeExtras, ...meta } = header;
+
+  return {
+    meta,
+    packed: {
+      nodes,
+      offsets,
+      targets,
+      weights,
+      types,
+      accessible,
+      edgeTypes: header.edgeTypes,
+      edgeExtras: Array.from(extras.entries())
+    }
+  };
+};
+
+/**
+ * Fetch the precomputed graph for this map.
+ * Returns null when missing, unreadable, or built for a different map id/time.
+ */
+export const loadBinaryGraph = async (url, { mapId, mapTime } = {}) => {
+  try {
+    const response = await fetch(url);
+    // Dev servers answer missing files with the HTML fallback page
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || contentType.includes('text/html')) {
+      return null;
+    }
+
+    const decoded = decodeBinaryGraph(await response.arrayBuffer());
+    if (!decoded) {
+      console.warn(`Ignoring ${url}: not a compatible routing graph file`);
+      return null;
+    }
+
+    if (decoded.meta.mapId !== mapId || decoded.meta.mapTime !== mapTime) {
+      console.warn(`Ignoring ${url}: built for ${decoded.meta.mapId}@${decoded.meta.mapTime}`);
+      return null;
+    }
+
+    return decoded;
+  } catch (e) {
+    console.warn('Precomputed routing graph load failed:', e);
+    return null;
+  }
+};
@@ -1,10 +1,14 @@
 import * as turf from '@turf/turf';
 
+const METERS_PER_DEGREE = 111320;
+// Edge weights use an equirectangular approximation; stay just under it so h never overestimates
+const HEURISTIC_DISTANCE_FACTOR = 0.999;
+
 /**
  * MinHeap - Priority queue for A* algorithm
  * Provides O(log n) insert and extract-min operations
  */
-class MinHeap {
+export class MinHeap {
     constructor() {
         this.heap = [];
     }
@@ -65,10 +69,127 @@ class MinHeap {
 /**
  * A* Pathfinding Algorithm
  * Uses heuristic-guided search to find optimal paths
+ *
+ * Cross-floor heuristic: any path off this floor has to reach one of its connector
+ * endpoints (stairs/elevator nodes) first. Per goal, a small Dijkstra over connector
+ * endpoints gives a lower bound from each endpoint to the goal (straight lines between
+ * endpoints on a floor, real connector weights between floors), and the heuristic is
+ * the best "straight line to an endpoint + its bound". Filters only remove edges, so
+ * the bound stays admissible (and consistent) for every search. Edge cost multipliers
+ * below 1 can undercut it; pass heuristicScale (the smallest multiplier) for those.
  */
 export class AStar {
     constructor(graph) {
         this.graph = graph;
+        this.connectorsByFloor = null; // floorId -> connector endpoint nodes
+        this.connectorLinks = null; // nodeId -> [{ node, weight }] across floors
+        this.goalBounds = new Map(); // goal nodeId -> Map(connector nodeId -> lower bound)
+        this.lastSearchStats = null;
+    }
+
+    /**
+     * Index connector endpoints and their floor-to-floor edges
+     * Called lazily on first search; call again if connector edges change.
+     */
+    prepareHeuristic() {
+        this.connectorsByFloor = new Map();
+        this.connectorLinks = new Map();
+        this.goalBounds.clear();
+
+        const addEndpoint = (node) => {
+            if (this.connectorLinks.has(node.id)) return;
+            this.connectorLinks.set(node.id, []);
+            if (!this.connectorsByFloor.has(node.floorId)) {
+                this.connectorsByFloor.set(node.floorId, []);
+            }
+            this.connectorsByFloor.get(node.floorId).push(node);
+        };
+
+        this.graph.edges.forEach((edges, fromId) => {
+            const fromNode = this.graph.getNode(fromId);
+            if (!fromNode) return;
+
+            edges.forEach(edge => {
+                const toNode = this.graph.getNode(edge.target);
+                if (!toNode || toNode.floorId === fromNode.floorId) return;
+
+                addEndpoint(fromNode);
+                addEndpoint(toNode);
+                // Undirected, so the bound also holds for the backward search
+                this.connectorLinks.get(fromNode.id).push({ node: toNode, weight: edge.weight });
+                this.connectorLinks.get(toNode.id).push({ node: fromNode, weight: edge.weight });
+            });
+        });
+    }
+
+    /**
+     * Lower bound from every connector endpoint to the goal
+     */
+    getGoalBounds(goalNode) {
+        const cached = this.goalBounds.get(goalNode.id);
+        if (cached) return cached;
+
+        const bounds = new Map();
+        const open = new MinHeap();
+        (this.connectorsByFloor.get(goalNode.floorId) || []).forEach(node => {
+            const bound = this.straightLineBound(node, goalNode);
+            bounds.set(node.id, bound);
+            open.push({ node, priority: bound });
+        });
+
+        const settled = new Set();
+        while (!open.isEmpty()) {
+            const { node, priority } = open.pop();
+            if (settled.has(node.id)) continue;
+            settled.add(node.id);
+
+            const relax = (next, cost) => {
+                if (cost < (bounds.get(next.id) ?? Infinity)) {
+                    bounds.set(next.id, cost);
+                    open.push({ node: next, priority: cost });
+                }
+            };
+
+            this.connectorLinks.get(node.id).forEach(link => relax(link.node, priority + link.weight));
+            this.connectorsByFloor.get(node.floorId).forEach(other => {
+                if (other.id !== node.id) relax(other, priority + this.straightLineBound(node, other));
+            });
+        }
+
+        // Bidirectional search uses two goals; keep the cache small
+        if (this.goalBounds.size >= 8) this.goalBounds.clear();
+        this.goalBounds.set(goalNode.id, bounds);
+        return bounds;
+    }
+
+    /**
+     * Room rule for disallowOtherRooms: nodes inside rooms must be in one of the allowed rooms
+     * @param {Set<string>|null} allowedRoomSet - null or empty allows every room
+     */
+    isRoomAllowed(node, allowedRoomSet) {
+        const metadata = node?.metadata || {};
+
+        // ALWAYS allow connection nodes (elevators, stairs, escalators, ramps, doors) - they enable floor changes
+        if (metadata.isElevator || metadata.isStairs || metadata.isEscalator || metadata.isRamp || metadata.isDoor) {
+            return true;
+        }
+
+        const roomIds = metadata.roomIds || (metadata.roomId ? [metadata.roomId] : []);
+
+        // If node has no room restrictions, allow it (it's a public walkway)
+        if (!roomIds || roomIds.length === 0) return true;
+
+        // If no room filter specified, allow the node
+        if (!allowedRoomSet || allowedRoomSet.size === 0) return true;
+
+        return roomIds.some(id => allowedRoomSet.has(id));
+    }
+
+    /**
+     * Node expansions of the most recent search ({ expanded, generated, ... })
+     */
+    getLastSearchStats() {
+        return this.lastSearchStats;
     }
 
     /**
@@ -78,10 +199,14 @@ export class AStar {
         const {
             accessibleOnly = false,
             avoidStairs = false,
+            avoidEscalators = false,
             heuristicWeight = 1.0,
+            heuristicScale = 1,
             allowedRoomIds = null,
             disallowOtherRooms = false,
-            nodeFilter = null
+            nodeFilter = null,
+            edgeFilter = null,
+            edgeCostMultiplier = null
         } = options;
 
         const startNode = this.graph.getNode(startNodeId);
@@ -101,9 +226,14 @@ export class AStar {
         const fScore = new Map(); // Estimated total cost
         const cameFrom = new Map(); // Path reconstruction
 
+        if (!this.connectorsByFloor) this.prepareHeuristic();
+
+        let expanded = 0;
+        let generated = 1;
+
         // Initialize
         gScore.set(startNodeId, 0);
-        const h = this.heuristic(startNode, endNode);
+        const h = this.heuristic(startNode, endNode) * heuristicScale;
         fScore.set(startNodeId, h);
 
         openSet.push({
@@ -115,31 +245,10 @@ export class AStar {
             ? (allowedRoomIds instanceof Set ? allowedRoomIds : new Set(allowedRoomIds))
             : null;
 
-        const isRoomAllowed = (node) => {
-            if (!disallowOtherRooms) return true;
-
-            const metadata = node?.metadata || {};
-
-            // ALWAYS allow connection nodes (elevators, stairs, doors) - they enable floor changes
-            if (metadata.isElevator || metadata.isStairs || metadata.isDoor) {
-                return true;
-            }
-
-            const roomIds = metadata.roomIds || (metadata.roomId ? [metadata.roomId] : []);
-
-            // If node has no room restrictions, allow it (it's a public walkway)
-            if (!roomIds || roomIds.length === 0) return true;
-
-            // If no room filter specified, allow the node
-            if (!allowedRoomSet || allowedRoomSet.size === 0) return true;
-
-            return roomIds.some(id => allowedRoomSet.has(id));
-        };
-
         const isNodeAllowed = (node) => {
             if (!node) return false;
             if (nodeFilter && !nodeFilter(node)) return false;
-            return isRoomAllowed(node);
+            return !disallowOtherRooms || this.isRoomAllowed(node, allowedRoomSet);
         };
 
         while (!openSet.isEmpty()) {
@@ -148,12 +257,17 @@ export class AStar {
 
             // Goal reached
             if (currentId === endNodeId) {
-                return this.reconstructPath(cameFrom, currentId, gScore);
+                this.lastSearchStats = { algorithm: 'astar', expanded, generated, found: true };
+                return {
+                    ...this.reconstructPath(cameFrom, currentId, gScore),
+                    stats: this.lastSearchStats
+                };
             }
 
             // Already processed
             if (closedSet.has(currentId)) continue;
             closedSet.add(currentId);
+            expanded++;
 
             // Explore neighbors
             const edges = this.graph.getEdges(currentId);
@@ -163,6 +277,8 @@ export class AStar {
                 // Apply filters
                 if (accessibleOnly && !edge.accessible) continue;
                 if (avoidStairs && edge.type === 'stairs') continue;
+                if (avoidEscalators && edge.type === 'escalator') continue;
+                if (edgeFilter && !edgeFilter(edge)) continue;
 
                 const neighborId = edge.target;
                 if (closedSet.has(neighborId)) continue;
@@ -178,14 +294,15 @@ export class AStar {
                     { units: 'meters' }
                 );
 
-                const tentativeG = gScore.get(currentId) + distance;
+                const multiplier = edgeCostMultiplier ? edgeCostMultiplier(currentId, edge) : 1;
+                const tentativeG = gScore.get(currentId) + distance * multiplier;
 
                 // Check if this path is better
                 if (tentativeG < (gScore.get(neighborId) || Infinity)) {
                     cameFrom.set(neighborId, currentId);
                     gScore.set(neighborId, tentativeG);
 
-                    const h = this.heuristic(neighborNode, endNode) * heuristicWeight;
+                    const h = this.heuristic(neighborNode, endNode) * heuristicWeight * heuristicScale;
                     const f = tentativeG + h;
                     fScore.set(neighborId, f);
 
@@ -193,11 +310,13 @@ export class AStar {
                         nodeId: neighborId,
                         priority: f
                     });
+                    generated++;
                 }
             }
         }
 
         // No path found
+        this.lastSearchStats = { algorithm: 'astar', expanded, generated, found: false };
         console.warn('No path found between nodes');
         return null;
     }
@@ -210,10 +329,14 @@ export class AStar {
         const {
             accessibleOnly = false,
             avoidStairs = false,
+            avoidEscalators = false,
             heuristicWeight = 1.0,
+            heuristicScale = 1,
             allowedRoomIds = null,
             disallowOtherRooms = false,
-            nodeFilter = null
+            nodeFilter = null,
+            edgeFilter = null,
+            edgeCostMultiplier = null
         } = options;
 
         const startNode = this.graph.getNode(startNodeId);
@@ -236,13 +359,17 @@ export class AStar {
         const backwardG = new Map();
         const backwardCameFrom = new Map();
 
+        if (!this.connectorsByFloor) this.prepareHeuristic();
+
+        let generated = 2;
+
         // Initialize forward
         forwardG.set(startNodeId, 0);
-        forwardOpen.push({ nodeId: startNodeId, priority: this.heuristic(startNode, endNode) });
+        forwardOpen.push({ nodeId: startNodeId, priority: this.heuristic(startNode, endNode) * heuristicScale });
 
         // Initialize backward
         backwardG.set(endNodeId, 0);
-        backwardOpen.push({ nodeId: endNodeId, priority: this.heuristic(endNode, startNode) });
+        backwardOpen.push({ nodeId: endNodeId, priority: this.heuristic(endNode, startNode) * heuristicScale });
 
         const allowedRoomSet = allowedRoomIds
             ? (allowedRoomIds instanceof Set ? allowedRoomIds : new Set(allowedRoomIds))
@@ -293,6 +420,8 @@ export class AStar {
                     for (const edge of edges) {
                         if (accessibleOnly && !edge.accessible) continue;
                         if (avoidStairs && edge.type === 'stairs') continue;
+                        if (avoidEscalators && edge.type === 'escalator') continue;
+                        if (edgeFilter && !edgeFilter(edge)) continue;
 
                         const neighborId = edge.target;
                         if (forwardClosed.has(neighborId)) continue;
@@ -306,13 +435,15 @@ export class AStar {
                             { units: 'meters' }
                         );
 
-                        const tentativeG = forwardG.get(currentId) + distance;
+                        const multiplier = edgeCostMultiplier ? edgeCostMultiplier(currentId, edge) : 1;
+                        const tentativeG = forwardG.get(currentId) + distance * multiplier;
 
                         if (tentativeG < (forwardG.get(neighborId) || Infinity)) {
                             forwardCameFrom.set(neighborId, currentId);
                             forwardG.set(neighborId, tentativeG);
-                            const h = this.heuristic(neighborNode, endNode) * heuristicWeight;
+                            const h = this.heuristic(neighborNode, endNode) * heuristicWeight * heuristicScale;
                             forwardOpen.push({ nodeId: neighborId, priority: tentativeG + h });
+                            generated++;
                         }
                     }
                 }
@@ -342,6 +473,10 @@ export class AStar {
                     for (const edge of edges) {
                         if (accessibleOnly && !edge.accessible) continue;
                         if (avoidStairs && edge.type === 'stairs') continue;
+                        if (avoidEscalators && edge.type === 'escalator') continue;
+                        if (edgeFilter && !edgeFilter(edge)) continue;
+                        // Only outgoing edges are stored, so one-way edges can't be walked in reverse
+                        if (edge.oneWay) continue;
 
                         const neighborId = edge.target;
                         if (backwardClosed.has(neighborId)) continue;
@@ -355,13 +490,15 @@ export class AStar {
                             { units: 'meters' }
                         );
 
-                        const tentativeG = backwardG.get(currentId) + distance;
+                        const multiplier = edgeCostMultiplier ? edgeCostMultiplier(currentId, edge) : 1;
+                        const tentativeG = backwardG.get(currentId) + distance * multiplier;
 
                         if (tentativeG < (backwardG.get(neighborId) || Infinity)) {
                             backwardCameFrom.set(neighborId, currentId);
                             backwardG.set(neighborId, tentativeG);
-                            const h = this.heuristic(neighborNode, startNode) * heuristicWeight;
+                            const h = this.heuristic(neighborNode, startNode) * heuristicWeight * heuristicScale;
                             backwardOpen.push({ nodeId: neighborId, priority: tentativeG + h });
+                            generated++;
                         }
                     }
                 }
@@ -377,17 +514,27 @@ export class AStar {
             }
         }
 
+        this.lastSearchStats = {
+            algorithm: 'bidirectional',
+            expanded: forwardClosed.size + backwardClosed.size,
+            generated,
+            found: Boolean(meetingNode)
+        };
+
         if (!meetingNode) {
             console.warn('No path found between nodes (bidirectional)');
             return null;
         }
 
         // Reconstruct path from both directions
-        return this.reconstructBidirectionalPath(
-            forwardCameFrom, backwardCameFrom,
-            meetingNode, startNodeId, endNodeId,
-            bestDistance
-        );
+        return {
+            ...this.reconstructBidirectionalPath(
+                forwardCameFrom, backwardCameFrom,
+                meetingNode, startNodeId, endNodeId,
+                bestDistance
+            ),
+            stats: this.lastSearchStats
+        };
     }
 
     /**
@@ -430,20 +577,127 @@ export class AStar {
     }
 
     /**
-     * Heuristic function - Euclidean distance with floor penalty
+     * Heuristic function - straight-line distance, or on another floor the cheapest
+     * straight line to a connector endpoint plus that endpoint's bound to the goal
      */
     heuristic(nodeA, nodeB) {
-        // Base distance
-        const dist = turf.distance(
-            turf.point(nodeA.coords),
-            turf.point(nodeB.coords),
-            { units: 'meters' }
-        );
+        const dist = this.straightLineBound(nodeA, nodeB);
+        if (nodeA.floorId === nodeB.floorId || !this.connectorsByFloor) return dist;
+
+        const bounds = this.getGoalBounds(nodeB);
+        let best = Infinity;
+        (this.connectorsByFloor.get(nodeA.floorId) || []).forEach(connector => {
+            const bound = bounds.get(connector.id);
+            if (bound === undefined) return;
+            const estimate = this.straightLineBound(nodeA, connector) + bound;
+            if (estimate < best) best = estimate;
+        });
 
-        // Add penalty for floor changes (encourages staying on same floor)
-        const floorPenalty = (nodeA.floorId !== nodeB.floorId) ? 10 : 0;
+        // No way off this floor: the goal is unreachable, distance alone is still a valid bound
+        return Number.isFinite(best) ? Math.max(best, dist) : dist;
+    }
+
+    straightLineBound(nodeA, nodeB) {
+        return this.distanceMeters(nodeA, nodeB) * HEURISTIC_DISTANCE_FACTOR;
+    }
 
-        return dist + floorPenalty;
+    distanceMeters(nodeA, nodeB) {
+        const cosLat = Math.cos(((nodeA.coords[1] + nodeB.coords[1]) / 2) * Math.PI / 180);
+        const dx = (nodeB.coords[0] - nodeA.coords[0]) * METERS_PER_DEGREE * cosLat;
+        const dy = (nodeB.coords[1] - nodeA.coords[1]) * METERS_PER_DEGREE;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Dijkstra flood from one or more seed nodes (one-to-many distances)
+     * Honours the same edge options as findPath; connector edges add floors rather than walking metres.
+     * @param {Array<Object>} seeds - { nodeId, cost } starting costs (e.g. metres from the query point)
+     * @param {Object} options - accessibleOnly, avoidStairs, avoidEscalators, nodeFilter, edgeFilter,
+     *   edgeCostMultiplier, maxCost (stop expanding beyond this cost), entryFilter (entry => false leaves
+     *   the node out; for limits like travel time that only grow along a path), stopAtTargets (Map
+     *   nodeId -> extra cost; stops once no unsettled node can beat the cheapest target)
+     * @returns {Map<string, Object>} nodeId -> { cost, walkingDistance, floorsTravelled, previous }
+     */
+    computeDistanceField(seeds, options = {}) {
+        const {
+            accessibleOnly = false,
+            avoidStairs = false,
+            avoidEscalators = false,
+            nodeFilter = null,
+            edgeFilter = null,
+            edgeCostMultiplier = null,
+            maxCost = Infinity,
+            entryFilter = null,
+            stopAtTargets = null
+        } = options;
+
+        const field = new Map();
+        const settled = new Set();
+        const openSet = new MinHeap();
+        let expanded = 0;
+        let generated = 0;
+        let bestTargetCost = Infinity;
+
+        seeds.forEach(({ nodeId, cost = 0 }) => {
+            if (!this.graph.getNode(nodeId)) return;
+            if (cost >= (field.get(nodeId)?.cost ?? Infinity)) return;
+            field.set(nodeId, { cost, walkingDistance: cost, floorsTravelled: 0, previous: null });
+            openSet.push({ nodeId, priority: cost });
+            generated++;
+        });
+
+        while (!openSet.isEmpty()) {
+            const { nodeId: currentId, priority } = openSet.pop();
+            if (settled.has(currentId)) continue;
+            if (priority > maxCost || priority >= bestTargetCost) break;
+            settled.add(currentId);
+            expanded++;
+
+            if (stopAtTargets?.has(currentId)) {
+                bestTargetCost = Math.min(bestTargetCost, priority + stopAtTargets.get(currentId));
+            }
+
+            const current = field.get(currentId);
+            for (const edge of this.graph.getEdges(currentId)) {
+                if (accessibleOnly && !edge.accessible) continue;
+                if (avoidStairs && edge.type === 'stairs') continue;
+                if (avoidEscalators && edge.type === 'escalator') continue;
+                if (edgeFilter && !edgeFilter(edge)) continue;
+
+                const neighborId = edge.target;
+                if (settled.has(neighborId)) continue;
+
+                const neighborNode = this.graph.getNode(neighborId);
+                if (!neighborNode) continue;
+                if (nodeFilter && !nodeFilter(neighborNode)) continue;
+
+                const multiplier = edgeCostMultiplier ? edgeCostMultiplier(currentId, edge) : 1;
+                const cost = current.cost + edge.weight * multiplier;
+                if (cost >= (field.get(neighborId)?.cost ?? Infinity)) continue;
+
+                const vertical = Boolean(edge.verticalCost);
+                const entry = {
+                    cost,
+                    walkingDistance: current.walkingDistance + (vertical ? 0 : edge.weight),
+                    floorsTravelled: current.floorsTravelled + (vertical ? (edge.floorsTravelled || 1) : 0),
+                    previous: currentId
+                };
+                if (entryFilter && !entryFilter(entry)) continue;
+                field.set(neighborId, entry);
+                openSet.push({ nodeId: neighborId, priority: cost });
+                generated++;
+            }
+        }
+
+        // Drop tentative entries past the cost limit
+        if (maxCost !== Infinity) {
+            field.forEach((entry, nodeId) => {
+                if (entry.cost > maxCost) field.delete(nodeId);
+            });
+        }
+
+        this.lastSearchStats = { algorithm: 'dijkstra', expanded, generated, found: field.size > 0 };
+        return field;
     }
 
     /**
@@ -476,6 +730,19 @@ export class AStar {
         };
     }
 
+    /**
+     * Sum of edge weights along a node path (optionally scaled per edge)
+     */
+    getPathCost(nodeIds, edgeCostMultiplier = null) {
+        let cost = 0;
+        for (let i = 0; i < nodeIds.length - 1; i++) {
+            const edge = this.graph.getEdge(nodeIds[i], nodeIds[i + 1]);
+            if (!edge) continue;
+            cost += edge.weight * (edgeCostMultiplier ? edgeCostMultiplier(nodeIds[i], edge) : 1);
+        }
+        return cost;
+    }
+
     /**
      * Build path segments with floor change information
      */
@@ -491,6 +758,7 @@ export class AStar {
                 turf.point(to.coords),
                 { units: 'meters' }
             );
+            const edge = this.graph.getEdge(from.id, to.id);
 
             segments.push({
                 from: from.id,
@@ -500,7 +768,11 @@ export class AStar {
                 distance: distance,
                 floorChange: from.floorId !== to.floorId,
                 fromFloor: from.floorId,
-                toFloor: to.floorId
+                toFloor: to.floorId,
+                type: edge?.type || null,
+                connectionId: edge?.connectionId || null,
+                floorsTravelled: edge?.floorsTravelled || 0,
+                verticalCost: edge?.verticalCost || 0
             });
         }
 
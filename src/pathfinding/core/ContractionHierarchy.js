@@ -0,0 +1,429 @@
+import { AStar, MinHeap } from './AStar.js';
+
+const WITNESS_SETTLE_LIMIT = 120;
+
+/**
+ * ContractionHierarchy - Preprocessed graph for very fast repeated queries
+ * Nodes are contracted in importance order; shortcuts keep shortest distances intact,
+ * so a query is two small upward Dijkstra searches. Edge options (accessibleOnly,
+ * avoidStairs, avoidEscalators), static filters, edge costs and a fixed set of allowed rooms
+ * are baked in, so build one hierarchy per routing profile. Anything query-specific (caller
+ * filters, other room sets, closures) needs AStar.
+ */
+export class ContractionHierarchy {
+    /**
+     * @param {Graph} graph
+     * @param {Object} profile - { accessibleOnly, avoidStairs, avoidEscalators, nodeFilter, edgeFilter,
+     *   edgeCostMultiplier, allowedRoomIds, key }
+     *   Filters and costs are static (e.g. locked doors, a profile's edge types) and behave like AStar's:
+     *   filtered nodes can't be entered. allowedRoomIds applies AStar's disallowOtherRooms rule.
+     *   key defaults to getProfileKey(profile).
+     */
+    constructor(graph, profile = {}) {
+        this.graph = graph;
+        this.profile = {
+            accessibleOnly: Boolean(profile.accessibleOnly),
+            avoidStairs: Boolean(profile.avoidStairs),
+            avoidEscalators: Boolean(profile.avoidEscalators),
+            nodeFilter: typeof profile.nodeFilter === 'function' ? profile.nodeFilter : null,
+            edgeFilter: typeof profile.edgeFilter === 'function' ? profile.edgeFilter : null,
+            edgeCostMultiplier: typeof profile.edgeCostMultiplier === 'function' ? profile.edgeCostMultiplier : null
+        };
+        this.allowedRoomIds = profile.allowedRoomIds?.length || profile.allowedRoomIds?.size
+            ? new Set(profile.allowedRoomIds)
+            : null;
+        this.key = profile.key || ContractionHierarchy.getProfileKey(this.profile);
+        this.pathBuilder = new AStar(graph);
+
+        this.built = false;
+        this.lastSearchStats = null;
+    }
+
+    /**
+     * Hierarchies are looked up by the edge options they were built for
+     */
+    static getProfileKey(options = {}) {
+        return [
+            options.accessibleOnly ? 'accessible' : 'all',
+            options.avoidStairs ? 'no-stairs' : 'stairs',
+            options.avoidEscalators ? 'no-escalators' : 'escalators'
+        ].join('|');
+    }
+
+    /**
+     * Whether findPath can answer a query with these AStar options
+     * nodeFilter/edgeFilter/edgeCostMultiplier here are the query's own, on top of what was baked in.
+     * @param {string} key - hierarchy key of the query, when built with a custom key
+     */
+    supports(options = {}, key = ContractionHierarchy.getProfileKey(options)) {
+        if (!this.built || key !== this.key) return false;
+        if (options.nodeFilter || options.edgeFilter || options.edgeCostMultiplier) return false;
+
+        // Room rules have to be the ones baked in
+        const rooms = options.disallowOtherRooms && options.allowedRoomIds?.length ? options.allowedRoomIds : [];
+        const allowed = this.allowedRoomIds;
+        if (!allowed) return rooms.length === 0;
+        return rooms.length === allowed.size && rooms.every(id => allowed.has(id));
+    }
+
+    /**
+     * Contract every node and build the upward/downward search graphs
+     */
+    build() {
+        const startedAt = Date.now();
+        const ids = Array.from(this.graph.nodes.keys());
+        const n = ids.length;
+        const index = new Map(ids.map((id, i) => [id, i]));
+
+        this.ids = ids;
+        this.index = index;
+        this.middle = new Map(); // u * n + w -> contracted node the shortcut u->w skips
+
+        // Working adjacency (cheapest edge per pair)
+        const out = Array.from({ length: n }, () => new Map());
+        const inn = Array.from({ length: n }, () => new Map());
+        const { edgeCostMultiplier } = this.profile;
+
+        this.graph.edges.forEach((edges, fromId) => {
+            const u = index.get(fromId);
+            if (u === undefined) return;
+
+            edges.forEach(edge => {
+                const w = index.get(edge.target);
+                if (w === undefined || w === u || !this.isEdgeAllowed(edge)) return;
+                if (!this.isNodeAllowed(this.graph.getNode(edge.target))) return;
+                const weight = edge.weight * (edgeCostMultiplier ? edgeCostMultiplier(fromId, edge) : 1);
+                if (weight < (out[u].get(w) ?? Infinity)) {
+                    out[u].set(w, weight);
+                    inn[w].set(u, weight);
+                }
+            });
+        });
+
+        // Witness search scratch space, reset through the touched list
+        this.witnessDist = new Float64Array(n).fill(Infinity);
+        this.witnessTouched = [];
+
+        const contracted = new Uint8Array(n);
+        const deletedNeighbors = new Int32Array(n);
+        const rank = new Int32Array(n);
+
+        const queue = new MinHeap();
+        for (let v = 0; v < n; v++) {
+            queue.push({ node: v, priority: this.getPriority(v, out, inn, contracted, deletedNeighbors) });
+        }
+
+        let order = 0;
+        let shortcutCount = 0;
+        while (!queue.isEmpty()) {
+            const { node: v } = queue.pop();
+            if (contracted[v]) continue;
+
+            // Lazy update: re-queue if the node got more important since it was queued
+            const priority = this.getPriority(v, out, inn, contracted, deletedNeighbors);
+            if (!queue.isEmpty() && priority > queue.heap[0].priority) {
+                queue.push({ node: v, priority });
+                continue;
+            }
+
+            this.findShortcuts(v, out, inn, contracted).forEach(([u, w, cost]) => {
+                if (cost < (out[u].get(w) ?? Infinity)) {
+                    out[u].set(w, cost);
+                    inn[w].set(u, cost);
+                    this.middle.set(u * n + w, v);
+                    shortcutCount++;
+                }
+            });
+
+            contracted[v] = 1;
+            rank[v] = order++;
+            out[v].forEach((_, w) => { if (!contracted[w]) deletedNeighbors[w]++; });
+            inn[v].forEach((_, u) => { if (!contracted[u]) deletedNeighbors[u]++; });
+        }
+
+        // Split every edge by rank: forward search climbs out-edges, backward search climbs in-edges
+        const up = Array.from({ length: n }, () => []);
+        const down = Array.from({ length: n }, () => []);
+        for (let u = 0; u < n; u++) {
+            out[u].forEach((weight, w) => {
+                if (rank[u] < rank[w]) {
+                    up[u].push(w, weight);
+                } else {
+                    down[w].push(u, weight);
+                }
+            });
+        }
+
+        this.witnessDist = null;
+        this.witnessTouched = null;
+        this.up = up;
+        this.down = down;
+        this.rank = rank;
+        this.built = true;
+
+        // Reusable query state
+        this.distForward = new Float64Array(n).fill(Infinity);
+        this.distBackward = new Float64Array(n).fill(Infinity);
+        this.parentForward = new Int32Array(n).fill(-1);
+        this.parentBackward = new Int32Array(n).fill(-1);
+
+        const seconds = ((Date.now() - startedAt) / 1000).toFixed(2);
+        console.log(`Contraction hierarchy [${this.key}]: ${n} nodes, ${shortcutCount} shortcuts in ${seconds}s`);
+        return this;
+    }
+
+    isEdgeAllowed(edge) {
+        const { accessibleOnly, avoidStairs, avoidEscalators, edgeFilter } = this.profile;
+        if (accessibleOnly && !edge.accessible) return false;
+        if (avoidStairs && edge.type === 'stairs') return false;
+        if (avoidEscalators && edge.type === 'escalator') return false;
+        return !edgeFilter || edgeFilter(edge);
+    }
+
+    isNodeAllowed(node) {
+        if (!node) return false;
+        if (this.profile.nodeFilter && !this.profile.nodeFilter(node)) return false;
+        return !this.allowedRoomIds || this.pathBuilder.isRoomAllowed(node, this.allowedRoomIds);
+    }
+
+    /**
+     * Edge difference + contracted neighbours (keeps contraction spread out)
+     */
+    getPriority(v, out, inn, contracted, deletedNeighbors) {
+        let degree = 0;
+        out[v].forEach((_, w) => { if (!contracted[w]) degree++; });
+        inn[v].forEach((_, u) => { if (!contracted[u]) degree++; });
+        return this.findShortcuts(v, out, inn, contracted).length - degree + deletedNeighbors[v];
+    }
+
+    /**
+     * Shortcuts u->w needed when v is removed (no witness path of equal or lower cost)
+     */
+    findShortcuts(v, out, inn, contracted) {
+        const shortcuts = [];
+        let maxOut = 0;
+        out[v].forEach((weight, w) => {
+            if (!contracted[w] && weight > maxOut) maxOut = weight;
+        });
+
+        const targets = [];
+        out[v].forEach((_, w) => {
+            if (!contracted[w]) targets.push(w);
+        });
+
+        inn[v].forEach((inWeight, u) => {
+            if (contracted[u]) return;
+
+            this.witnessSearch(u, v, inWeight + maxOut, targets, out, contracted);
+            targets.forEach(w => {
+                if (w === u) return;
+                const via = inWeight + out[v].get(w);
+                if (this.witnessDist[w] > via) {
+                    shortcuts.push([u, w, via]);
+                }
+            });
+            this.resetWitness();
+        });
+
+        return shortcuts;
+    }
+
+    /**
+     * Bounded Dijkstra from u that avoids v; any distance found is a real path, so it's a valid witness
+     */
+    witnessSearch(source, excluded, maxCost, targets, out, contracted) {
+        const dist = this.witnessDist;
+        const touched = this.witnessTouched;
+        const isTarget = new Set(targets);
+        let targetsLeft = isTarget.size;
+
+        dist[source] = 0;
+        touched.push(source);
+        const open = new MinHeap();
+        open.push({ node: source, priority: 0 });
+        let settled = 0;
+
+        while (!open.isEmpty() && settled < WITNESS_SETTLE_LIMIT && targetsLeft > 0) {
+            const { node, priority } = open.pop();
+            if (priority > dist[node]) continue;
+            if (priority > maxCost) break;
+            settled++;
+            if (isTarget.has(node)) targetsLeft--;
+
+            out[node].forEach((weight, next) => {
+                if (next === excluded || contracted[next]) return;
+                const cost = priority + weight;
+                if (cost < dist[next]) {
+                    if (dist[next] === Infinity) touched.push(next);
+                    dist[next] = cost;
+                    open.push({ node: next, priority: cost });
+                }
+            });
+        }
+    }
+
+    resetWitness() {
+        this.witnessTouched.forEach(node => { this.witnessDist[node] = Infinity; });
+        this.witnessTouched.length = 0;
+    }
+
+    getLastSearchStats() {
+        return this.lastSearchStats;
+    }
+
+    /**
+     * Shortest path; same result shape as AStar.findPath
+     */
+    findPath(startNodeId, endNodeId) {
+        const search = this.search(startNodeId, endNodeId);
+        if (!search) return null;
+
+        const nodeIds = this.unpackPath(search).map(i => this.ids[i]);
+        const nodes = nodeIds.map(id => this.graph.getNode(id));
+
+        return {
+            nodeIds,
+            nodes,
+            coords: nodes.map(node => node.coords),
+            floors: nodes.map(node => node.floorId),
+            distance: this.pathBuilder.getPathCost(nodeIds, this.profile.edgeCostMultiplier),
+            segments: this.pathBuilder.buildSegments(nodes),
+            stats: this.lastSearchStats
+        };
+    }
+
+    /**
+     * Shortest path cost only (no unpacking); Infinity when unreachable
+     */
+    getDistance(startNodeId, endNodeId) {
+        const search = this.search(startNodeId, endNodeId);
+        return search ? search.distance : Infinity;
+    }
+
+    /**
+     * Costs from one node to many (e.g. "distance from here to every shop")
+     * @returns {Map<string, number>} target id -> cost (Infinity when unreachable)
+     */
+    getDistances(startNodeId, targetNodeIds) {
+        const distances = new Map();
+        targetNodeIds.forEach(targetId => {
+            distances.set(targetId, this.getDistance(startNodeId, targetId));
+        });
+        return distances;
+    }
+
+    /**
+     * Bidirectional upward Dijkstra; returns { distance, meeting } or null
+     */
+    search(startNodeId, endNodeId) {
+        if (!this.built) {
+            throw new Error('ContractionHierarchy.build() must run before queries');
+        }
+
+        const s = this.index.get(startNodeId);
+        const t = this.index.get(endNodeId);
+        if (s === undefined || t === undefined) return null;
+
+        const { distForward, distBackward, parentForward, parentBackward } = this;
+        const touched = [];
+        const forwardOpen = new MinHeap();
+        const backwardOpen = new MinHeap();
+
+        distForward[s] = 0;
+        distBackward[t] = 0;
+        touched.push(s, t);
+        forwardOpen.push({ node: s, priority: 0 });
+        backwardOpen.push({ node: t, priority: 0 });
+
+        let best = Infinity;
+        let meeting = -1;
+        let expanded = 0;
+        let generated = 2;
+
+        const step = (open, dist, otherDist, parent, edges) => {
+            const { node, priority } = open.pop();
+            if (priority > dist[node]) return;
+            expanded++;
+
+            if (otherDist[node] !== Infinity && priority + otherDist[node] < best) {
+                best = priority + otherDist[node];
+                meeting = node;
+            }
+
+            const list = edges[node];
+            for (let i = 0; i < list.length; i += 2) {
+                const next = list[i];
+                const cost = priority + list[i + 1];
+                if (cost < dist[next]) {
+                    if (dist[next] === Infinity && otherDist[next] === Infinity) touched.push(next);
+                    dist[next] = cost;
+                    parent[next] = node;
+                    open.push({ node: next, priority: cost });
+                    generated++;
+                }
+            }
+        };
+
+        // Each side stops once its frontier can't beat the best meeting point
+        while (true) {
+            const forwardActive = !forwardOpen.isEmpty() && forwardOpen.heap[0].priority < best;
+            const backwardActive = !backwardOpen.isEmpty() && backwardOpen.heap[0].priority < best;
+            if (!forwardActive && !backwardActive) break;
+
+            if (forwardActive) step(forwardOpen, distForward, distBackward, parentForward, this.up);
+            if (backwardActive) step(backwardOpen, distBackward, distForward, parentBackward, this.down);
+        }
+
+        // Walk parents now, then reset only what this query touched
+        let result = null;
+        if (meeting !== -1) {
+            const forwardChain = [];
+            for (let node = meeting; node !== -1; node = node === s ? -1 : parentForward[node]) {
+                forwardChain.unshift(node);
+            }
+            const backwardChain = [];
+            for (let node = meeting; node !== t;) {
+                node = parentBackward[node];
+                backwardChain.push(node);
+            }
+            result = { distance: best, chain: [...forwardChain, ...backwardChain] };
+        }
+
+        touched.forEach(node => {
+            distForward[node] = Infinity;
+            distBackward[node] = Infinity;
+            parentForward[node] = -1;
+            parentBackward[node] = -1;
+        });
+
+        this.lastSearchStats = { algorithm: 'ch', expanded, generated, found: Boolean(result) };
+        return result;
+    }
+
+    /**
+     * Expand shortcuts back into original graph nodes
+     */
+    unpackPath({ chain }) {
+        const n = this.ids.length;
+        const path = [chain[0]];
+
+        const unpackEdge = (u, w) => {
+            const stack = [[u, w]];
+            while (stack.length > 0) {
+                const [from, to] = stack.pop();
+                const via = this.middle.get(from * n + to);
+                if (via === undefined) {
+                    path.push(to);
+                } else {
+                    // Push second half first so the first half is expanded first
+                    stack.push([via, to], [from, via]);
+                }
+            }
+        };
+
+        for (let i = 0; i < chain.length - 1; i++) {
+            unpackEdge(chain[i], chain[i + 1]);
+        }
+        return path;
+    }
+}
@@ -250,6 +250,20 @@ export class Graph {
         return this.edges.get(nodeId) || [];
     }
 
+    /**
+     * Get the cheapest edge between two nodes (null if not connected)
+     */
+    getEdge(fromId, toId) {
+        let best = null;
+        for (const edge of this.getEdges(fromId)) {
+            if (edge.target !== toId) continue;
+            if (!best || edge.weight < best.weight) {
+                best = edge;
+            }
+        }
+        return best;
+    }
+
     /**
      * Get all nodes on a specific floor
      */
@@ -354,6 +368,106 @@ export class Graph {
         return nodeId ? this.nodes.get(nodeId) : null;
     }
 
+    /**
+     * Pack the graph into CSR typed arrays so it can be transferred between threads
+     * Node metadata and non-standard edge fields travel as structured-clone data
+     */
+    toPacked() {
+        const nodeIds = Array.from(this.nodes.keys());
+        const indexById = new Map(nodeIds.map((id, index) => [id, index]));
+
+        let edgeCount = 0;
+        nodeIds.forEach(id => {
+            edgeCount += this.getEdges(id).length;
+        });
+
+        const offsets = new Uint32Array(nodeIds.length + 1);
+        const targets = new Uint32Array(edgeCount);
+        const weights = new Float64Array(edgeCount);
+        const types = new Uint8Array(edgeCount);
+        const accessible = new Uint8Array(edgeCount);
+        const edgeTypes = [];
+        const edgeTypeIndex = new Map();
+        const edgeExtras = [];
+
+        let cursor = 0;
+        nodeIds.forEach((id, nodeIndex) => {
+            offsets[nodeIndex] = cursor;
+            this.getEdges(id).forEach(edge => {
+                const targetIndex = indexById.get(edge.target);
+                if (targetIndex === undefined) return;
+
+                if (!edgeTypeIndex.has(edge.type)) {
+                    edgeTypeIndex.set(edge.type, edgeTypes.length);
+                    edgeTypes.push(edge.type);
+                }
+
+                targets[cursor] = targetIndex;
+                weights[cursor] = edge.weight;
+                types[cursor] = edgeTypeIndex.get(edge.type);
+                accessible[cursor] = edge.accessible ? 1 : 0;
+
+                const { target, weight, type, accessible: _accessible, ...extra } = edge;
+                if (Object.keys(extra).length > 0) {
+                    edgeExtras.push([cursor, extra]);
+                }
+                cursor++;
+            });
+        });
+        offsets[nodeIds.length] = cursor;
+
+        const nodes = nodeIds.map(id => {
+            const node = this.nodes.get(id);
+            return { id, coords: node.coords, floorId: node.floorId, metadata: node.metadata };
+        });
+
+        return {
+            nodes,
+            offsets,
+            targets: cursor === edgeCount ? targets : targets.slice(0, cursor),
+            weights: cursor === edgeCount ? weights : weights.slice(0, cursor),
+            types: cursor === edgeCount ? types : types.slice(0, cursor),
+            accessible: cursor === edgeCount ? accessible : accessible.slice(0, cursor),
+            edgeTypes,
+            edgeExtras
+        };
+    }
+
+    /**
+     * Typed array buffers of a packed graph (for postMessage transfer lists)
+     */
+    static getPackedTransferables(packed) {
+        return [packed.offsets, packed.targets, packed.weights, packed.types, packed.accessible]
+            .map(array => array.buffer);
+    }
+
+    /**
+     * Rebuild a graph (including spatial indexes) from toPacked() output
+     */
+    static fromPacked(packed) {
+        const graph = new Graph();
+        const { nodes, offsets, targets, weights, types, accessible, edgeTypes, edgeExtras } = packed;
+
+        nodes.forEach(node => {
+            graph.addNode(node.id, node.coords, node.floorId, node.metadata || {});
+        });
+
+        const extras = new Map(edgeExtras || []);
+        for (let nodeIndex = 0; nodeIndex < nodes.length; nodeIndex++) {
+            const fromId = nodes[nodeIndex].id;
+            for (let edgeIndex = offsets[nodeIndex]; edgeIndex < offsets[nodeIndex + 1]; edgeIndex++) {
+                graph.addEdge(fromId, nodes[targets[edgeIndex]].id, weights[edgeIndex], {
+                    ...(extras.get(edgeIndex) || {}),
+                    type: edgeTypes[types[edgeIndex]],
+                    accessible: accessible[edgeIndex] === 1
+                });
+            }
+        }
+
+        graph.buildSpatialIndexes();
+        return graph;
+    }
+
     /**
      * Get graph statistics
      */
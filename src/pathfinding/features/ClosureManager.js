@@ -0,0 +1,266 @@
+import * as turf from '@turf/turf';
+
+/**
+ * ClosureManager - Runtime closures (closed corridors, out-of-service elevators, blocked doors)
+ * Closures are kept as specs and resolved against the current graph into closed node ids and
+ * closed edge objects, so AStar can skip them without the graph being rebuilt.
+ */
+export class ClosureManager {
+    constructor({ onExpire = null } = {}) {
+        this.closures = new Map();
+        this.nextId = 1;
+        this.onExpire = onExpire;
+        this.expiryTimer = null;
+
+        this.graph = null;
+        this.geometryIndex = null;
+        this.closedNodeIds = new Set();
+        this.closedEdges = new Set();
+    }
+
+    /**
+     * Attach the graph (and geometry lookup for geometry-id closures); re-resolves existing closures
+     */
+    setGraph(graph, geometryIndex = null) {
+        this.graph = graph;
+        this.geometryIndex = geometryIndex;
+        this.rebuild();
+    }
+
+    /**
+     * Add a closure
+     * @param {Object} spec - { id?, geometryIds?, connectionIds?, nodeIds?, polygon?, floorId?, expiresAt?, durationMs?, reason? }
+     *   polygon: GeoJSON Polygon/MultiPolygon (geometry or Feature); floorId limits it to one floor
+     *   expiresAt: Date or epoch ms; durationMs: relative expiry
+     */
+    add(spec = {}) {
+        const id = spec.id || `closure_${this.nextId++}`;
+        const now = Date.now();
+        let expiresAt = null;
+        if (spec.expiresAt != null) {
+            expiresAt = spec.expiresAt instanceof Date ? spec.expiresAt.getTime() : Number(spec.expiresAt);
+        } else if (Number.isFinite(spec.durationMs)) {
+            expiresAt = now + spec.durationMs;
+        }
+
+        const closure = {
+            id,
+            geometryIds: this.toList(spec.geometryIds),
+            connectionIds: this.toList(spec.connectionIds),
+            nodeIds: this.toList(spec.nodeIds),
+            polygon: spec.polygon || null,
+            floorId: spec.floorId || spec.polygon?.properties?.floorId || null,
+            reason: spec.reason || null,
+            createdAt: now,
+            expiresAt: Number.isFinite(expiresAt) ? expiresAt : null
+        };
+
+        this.closures.set(id, closure);
+        this.rebuild();
+        return closure;
+    }
+
+    remove(id) {
+        const removed = this.closures.delete(id);
+        if (removed) this.rebuild();
+        return removed;
+    }
+
+    clear() {
+        this.closures.clear();
+        this.rebuild();
+    }
+
+    getClosures() {
+        return Array.from(this.closures.values());
+    }
+
+    hasClosures() {
+        return this.closures.size > 0;
+    }
+
+    isNodeClosed(nodeId) {
+        return this.closedNodeIds.has(nodeId);
+    }
+
+    isEdgeClosed(edge) {
+        return this.closedEdges.has(edge);
+    }
+
+    /**
+     * Closed nodes joined to the given ones through other closed nodes, plus the closed edges
+     * leaving them: someone already inside a closed area may still walk out of it
+     * @param {Array<string>} nodeIds - where the search starts
+     * @returns {Object|null} { nodeIds: Set, edges: Set }, or null when none of nodeIds is closed
+     */
+    getExitExemption(nodeIds) {
+        const region = new Set((nodeIds || []).filter(nodeId => this.closedNodeIds.has(nodeId)));
+        if (region.size === 0 || !this.graph) return null;
+
+        const edges = new Set();
+        const queue = Array.from(region);
+        while (queue.length > 0) {
+            this.graph.getEdges(queue.pop()).forEach(edge => {
+                if (this.closedEdges.has(edge)) edges.add(edge);
+                if (this.closedNodeIds.has(edge.target) && !region.has(edge.target)) {
+                    region.add(edge.target);
+                    queue.push(edge.target);
+                }
+            });
+        }
+        return { nodeIds: region, edges };
+    }
+
+    /**
+     * Whether a computed route passes through anything currently closed
+     */
+    routeUsesClosure(route) {
+        const nodeIds = route?.nodeIds || [];
+        for (let i = 0; i < nodeIds.length; i++) {
+            if (this.closedNodeIds.has(nodeIds[i])) return true;
+            if (i > 0 && this.graph) {
+                const edge = this.graph.getEdge(nodeIds[i - 1], nodeIds[i]);
+                if (edge && this.closedEdges.has(edge)) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Drop expired closures; returns the removed ones
+     */
+    pruneExpired(now = Date.now()) {
+        const expired = this.getClosures().filter(closure => closure.expiresAt !== null && closure.expiresAt <= now);
+        if (expired.length === 0) return [];
+
+        expired.forEach(closure => this.closures.delete(closure.id));
+        this.rebuild();
+        return expired;
+    }
+
+    /**
+     * Resolve every active closure against the graph
+     */
+    rebuild() {
+        this.closedNodeIds.clear();
+        this.closedEdges.clear();
+        this.scheduleExpiry();
+
+        if (!this.graph) return;
+
+        this.closures.forEach(closure => {
+            closure.nodeIds.forEach(nodeId => {
+                if (this.graph.getNode(nodeId)) this.closedNodeIds.add(nodeId);
+            });
+
+            const geometryIds = new Set(closure.geometryIds);
+            const connectionIds = new Set(closure.connectionIds);
+            const polygons = this.getClosurePolygons(closure);
+
+            this.graph.nodes.forEach(node => {
+                const metadata = node.metadata || {};
+                const nodeGeometryIds = [...(metadata.geometryIds || []), ...(metadata.roomIds || [])];
+                if (nodeGeometryIds.some(geometryId => geometryIds.has(geometryId))) {
+                    this.closedNodeIds.add(node.id);
+                    return;
+                }
+
+                const point = turf.point(node.coords);
+                if (polygons.some(({ feature, floorId }) =>
+                    (!floorId || floorId === node.floorId) && turf.booleanPointInPolygon(point, feature)
+                )) {
+                    this.closedNodeIds.add(node.id);
+                }
+            });
+
+            if (connectionIds.size === 0 && polygons.length === 0) return;
+
+            // Connector edges by connection id; any edge crossing a closed polygon
+            this.graph.edges.forEach((edgeList, fromId) => {
+                const fromNode = this.graph.getNode(fromId);
+                edgeList.forEach(edge => {
+                    if (edge.connectionId && connectionIds.has(edge.connectionId)) {
+                        this.closedEdges.add(edge);
+                        return;
+                    }
+                    if (polygons.length === 0 || !fromNode) return;
+
+                    const toNode = this.graph.getNode(edge.target);
+                    if (!toNode || fromNode.floorId !== toNode.floorId) return;
+                    if (this.edgeCrossesPolygons(fromNode, toNode, polygons)) {
+                        this.closedEdges.add(edge);
+                    }
+                });
+            });
+        });
+    }
+
+    getClosurePolygons(closure) {
+        const polygons = [];
+        const addPolygon = (input, floorId) => {
+            const feature = input?.type === 'Feature' ? input : (input ? turf.feature(input) : null);
+            const type = feature?.geometry?.type;
+            if (type !== 'Polygon' && type !== 'MultiPolygon') return;
+            polygons.push({ feature, floorId: floorId || null, bbox: turf.bbox(feature) });
+        };
+
+        if (closure.polygon) {
+            addPolygon(closure.polygon, closure.floorId);
+        }
+
+        // Closing a corridor/room by geometry id also closes the area it covers
+        closure.geometryIds.forEach(geometryId => {
+            const feature = this.geometryIndex?.get(geometryId);
+            if (feature) {
+                addPolygon(feature, feature.properties?.floorId);
+            }
+        });
+
+        return polygons;
+    }
+
+    edgeCrossesPolygons(fromNode, toNode, polygons) {
+        const [minX, maxX] = [Math.min(fromNode.coords[0], toNode.coords[0]), Math.max(fromNode.coords[0], toNode.coords[0])];
+        const [minY, maxY] = [Math.min(fromNode.coords[1], toNode.coords[1]), Math.max(fromNode.coords[1], toNode.coords[1])];
+
+        return polygons.some(({ feature, floorId, bbox }) => {
+            if (floorId && floorId !== fromNode.floorId) return false;
+            if (maxX < bbox[0] || minX > bbox[2] || maxY < bbox[1] || minY > bbox[3]) return false;
+            return turf.booleanIntersects(turf.lineString([fromNode.coords, toNode.coords]), feature);
+        });
+    }
+
+    /**
+     * Wake up when the next closure expires
+     */
+    scheduleExpiry() {
+        if (this.expiryTimer) {
+            clearTimeout(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+
+        const next = this.getClosures()
+            .map(closure => closure.expiresAt)
+            .filter(expiresAt => expiresAt !== null)
+            .sort((a, b) => a - b)[0];
+
+        if (next === undefined || typeof setTimeout !== 'function') return;
+
+        // setTimeout overflows past ~24.8 days; re-check at that interval instead
+        const delay = Math.min(Math.max(0, next - Date.now()), 0x7fffffff);
+        this.expiryTimer = setTimeout(() => {
+            this.expiryTimer = null;
+            const expired = this.pruneExpired();
+            if (expired.length > 0 && this.onExpire) {
+                this.onExpire(expired);
+            } else {
+                this.scheduleExpiry();
+            }
+        }, delay);
+    }
+
+    toList(value) {
+        if (value == null) return [];
+        return Array.isArray(value) ? value : [value];
+    }
+}
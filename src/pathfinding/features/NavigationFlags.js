@@ -0,0 +1,110 @@
+/**
+ * NavigationFlagDecoder - Decodes navigationFlags.json bitfields into named booleans
+ * Entrances store flags as an array of integers; each named flag points at an
+ * array index and a bit inside that integer (e.g. [5] -> accessible + public).
+ */
+export class NavigationFlagDecoder {
+    constructor(navigationFlags = null) {
+        this.definitions = Object.entries(navigationFlags || {})
+            .filter(([, def]) => Number.isInteger(def?.bit))
+            .map(([name, def]) => ({
+                name,
+                index: Number.isInteger(def.index) ? def.index : 0,
+                bit: def.bit
+            }));
+    }
+
+    /**
+     * Names of all flags defined by the venue
+     */
+    getFlagNames() {
+        return this.definitions.map(def => def.name);
+    }
+
+    hasFlag(name) {
+        return this.definitions.some(def => def.name === name);
+    }
+
+    /**
+     * Decode a raw flags value (array or single integer) into { name: boolean }
+     * Returns null when there is nothing to decode
+     */
+    decode(flags) {
+        if (flags == null || this.definitions.length === 0) return null;
+
+        const values = Array.isArray(flags) ? flags : [flags];
+        if (values.length === 0) return null;
+
+        const decoded = {};
+        this.definitions.forEach(({ name, index, bit }) => {
+            const value = Number(values[index]) || 0;
+            decoded[name] = (value & (1 << bit)) !== 0;
+        });
+
+        return decoded;
+    }
+
+    /**
+     * Flag is set if it is set on either side (several entrances sharing one node)
+     */
+    union(a, b) {
+        if (!a) return b || null;
+        if (!b) return a;
+
+        const merged = {};
+        new Set([...Object.keys(a), ...Object.keys(b)]).forEach(name => {
+            merged[name] = Boolean(a[name] || b[name]);
+        });
+        return merged;
+    }
+
+    /**
+     * Flag is set only if it is set on both sides (an edge between two flagged nodes)
+     * A side without flag data doesn't constrain, so the other side's flags are kept as they are
+     */
+    intersect(a, b) {
+        if (!a) return b || null;
+        if (!b) return a;
+
+        const merged = {};
+        new Set([...Object.keys(a), ...Object.keys(b)]).forEach(name => {
+            merged[name] = Boolean(a[name] && b[name]);
+        });
+        return merged;
+    }
+
+    /**
+     * Check decoded flags against routing constraints
+     * Nodes/edges without flag data are unconstrained
+     */
+    matches(decoded, constraints) {
+        if (!decoded || !constraints) return true;
+
+        const { requireFlags = [], avoidFlags = [] } = constraints;
+        if (requireFlags.some(name => decoded[name] === false)) return false;
+        if (avoidFlags.some(name => decoded[name] === true)) return false;
+        return true;
+    }
+
+    /**
+     * Build constraints from findRoute options (requireFlags, avoidFlags, publicOnly)
+     * Returns null when no flag constraints are requested
+     */
+    static normalizeConstraints(options = {}) {
+        const requireFlags = new Set(Array.isArray(options.requireFlags) ? options.requireFlags : []);
+        const avoidFlags = new Set(Array.isArray(options.avoidFlags) ? options.avoidFlags : []);
+
+        if (options.publicOnly) {
+            requireFlags.add('public');
+        }
+
+        if (requireFlags.size === 0 && avoidFlags.size === 0) {
+            return null;
+        }
+
+        return {
+            requireFlags: Array.from(requireFlags).sort(),
+            avoidFlags: Array.from(avoidFlags).sort()
+        };
+    }
+}
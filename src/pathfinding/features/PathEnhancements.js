@@ -1,5 +1,18 @@
 import * as turf from '@turf/turf';
 
+/**
+ * Icon for a floor change mechanism (connector or segment type)
+ */
+export const getConnectorIcon = (type) => {
+    switch (type) {
+        case 'elevator': return '🛗';
+        case 'stairs': return '🪜';
+        case 'escalator': return '↗️';
+        case 'ramp': return '♿';
+        default: return '🔄';
+    }
+};
+
 /**
  * PathCache - LRU cache for recently computed paths
  * Reduces redundant pathfinding for common routes
@@ -19,7 +32,13 @@ export class PathCache {
 
         const startKey = `${roundCoord(startCoords[0])},${roundCoord(startCoords[1])},${startFloorId}`;
         const endKey = `${roundCoord(endCoords[0])},${roundCoord(endCoords[1])},${endFloorId}`;
-        const baseKey = options.accessibleOnly ? 'acc' : 'std';
+        const baseKey = [
+            options.accessibleOnly ? 'acc' : 'std',
+            options.avoidStairs ? 'ns' : '',
+            options.avoidEscalators ? 'ne' : '',
+            options.allowLockedDoors ? 'ld' : '',
+            options.snapToDoors === false ? 'nd' : ''
+        ].join('');
         const roomMode = options.roomTraversalMode || (options.disallowOtherRooms ? 'strict' : 'all');
         const roomDoorCount = Number.isFinite(options.publicRoomDoorCount)
             ? options.publicRoomDoorCount
@@ -27,7 +46,12 @@ export class PathCache {
         const roomArea = Number.isFinite(options.publicRoomArea)
             ? options.publicRoomArea
             : '';
-        const optionsKey = `${baseKey}:${roomMode}:${roomDoorCount}:${roomArea}`;
+        const requireFlags = Array.isArray(options.requireFlags) ? [...options.requireFlags].sort().join('+') : '';
+        const avoidFlags = Array.isArray(options.avoidFlags) ? [...options.avoidFlags].sort().join('+') : '';
+        const flagsKey = `${options.publicOnly ? 'pub' : ''}/${requireFlags}/${avoidFlags}`;
+        const profileKey = options.profileKey || '';
+        const closedKey = Array.isArray(options.closedRoomIds) ? [...options.closedRoomIds].sort().join('+') : '';
+        const optionsKey = `${baseKey}:${roomMode}:${roomDoorCount}:${roomArea}:${flagsKey}:${profileKey}:${closedKey}`;
 
         return `${startKey}|${endKey}|${optionsKey}`;
     }
@@ -65,6 +89,20 @@ export class PathCache {
         this.cache.set(key, route);
     }
 
+    /**
+     * Drop cached routes matching a predicate; returns how many were removed
+     */
+    invalidate(predicate) {
+        let removed = 0;
+        this.cache.forEach((route, key) => {
+            if (predicate(route)) {
+                this.cache.delete(key);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
     /**
      * Clear the cache
      */
@@ -89,22 +127,33 @@ export class PathCache {
 export class TurnByTurnGenerator {
     /**
      * Generate turn-by-turn instructions from a route
+     * With a duration-annotated route (TravelTimeEstimator) every instruction carries an eta:
+     * seconds from departure until that step is done.
      */
     generateInstructions(route) {
         if (!route || !route.path || route.path.length < 2) {
             return [];
         }
 
+        if (Array.isArray(route.legs) && route.legs.length > 0) {
+            return this.generateMultiStopInstructions(route);
+        }
+
         const instructions = [];
         const path = route.path;
         const segments = route.segments || [];
 
+        // Segment etas are measured at segment ends; the first one also covers walking onto the graph
+        const firstSegment = segments[0];
+        let etaAtCurrent = Number.isFinite(firstSegment?.eta) ? firstSegment.eta - firstSegment.duration : null;
+
         // Start instruction
         instructions.push({
             type: 'start',
             text: 'Start navigation',
             distance: 0,
-            icon: '🚀'
+            icon: '🚀',
+            eta: etaAtCurrent === null ? null : 0
         });
 
         // Track cumulative distance
@@ -123,6 +172,8 @@ export class TurnByTurnGenerator {
 
             // Check for floor change
             const segment = segments[i - 1];
+            const etaAtPrev = etaAtCurrent;
+            etaAtCurrent = Number.isFinite(segment?.eta) ? segment.eta : etaAtCurrent;
             if (segment && segment.floorChange) {
                 // Add accumulated straight distance first
                 if (straightDistance > 5) {
@@ -130,7 +181,8 @@ export class TurnByTurnGenerator {
                         type: 'straight',
                         text: `Continue straight for ${Math.round(straightDistance)} meters`,
                         distance: straightDistance,
-                        icon: '⬆️'
+                        icon: '⬆️',
+                        eta: etaAtPrev
                     });
                     straightDistance = 0;
                 }
@@ -139,11 +191,13 @@ export class TurnByTurnGenerator {
                 const floorChangeType = this.getFloorChangeType(segment);
                 instructions.push({
                     type: 'floor-change',
+                    connectorType: floorChangeType,
                     text: `Take the ${floorChangeType} to ${segment.toFloor}`,
                     distance: 0,
-                    icon: floorChangeType === 'elevator' ? '🛗' : '🪜',
+                    icon: getConnectorIcon(floorChangeType),
                     fromFloor: segment.fromFloor,
-                    toFloor: segment.toFloor
+                    toFloor: segment.toFloor,
+                    eta: etaAtCurrent
                 });
                 continue;
             }
@@ -161,7 +215,8 @@ export class TurnByTurnGenerator {
                             type: 'straight',
                             text: `Continue straight for ${Math.round(straightDistance)} meters`,
                             distance: straightDistance,
-                            icon: '⬆️'
+                            icon: '⬆️',
+                            eta: etaAtPrev
                         });
                         straightDistance = 0;
                     }
@@ -172,7 +227,8 @@ export class TurnByTurnGenerator {
                         text: turn.text,
                         distance: segmentDist,
                         icon: turn.icon,
-                        angle: turn.angle
+                        angle: turn.angle,
+                        eta: etaAtCurrent
                     });
                 } else {
                     straightDistance += segmentDist;
@@ -188,17 +244,74 @@ export class TurnByTurnGenerator {
                 type: 'straight',
                 text: `Continue straight for ${Math.round(straightDistance)} meters`,
                 distance: straightDistance,
-                icon: '⬆️'
+                icon: '⬆️',
+                eta: etaAtCurrent
             });
         }
 
         // Destination reached
+        const totalDistance = route.walkingDistance ?? route.distance;
         instructions.push({
             type: 'destination',
             text: `Arrive at your destination`,
-            distance: route.distance,
+            distance: totalDistance,
             icon: '🎯',
-            totalDistance: Math.round(route.distance)
+            totalDistance: Math.round(totalDistance),
+            eta: Number.isFinite(route.duration) ? route.duration : etaAtCurrent
+        });
+
+        return instructions;
+    }
+
+    /**
+     * Instructions for a multi-stop route: each leg in turn, with an arrival at every intermediate stop
+     */
+    generateMultiStopInstructions(route) {
+        const instructions = [];
+        const lastLeg = route.legs.length - 1;
+        const totalDistance = route.walkingDistance ?? route.distance;
+
+        // Leg etas start from zero; shift them by the time spent on earlier legs
+        let legStart = 0;
+        route.legs.forEach((leg, legIndex) => {
+            const bridge = (route.segments || []).find(segment => segment.type === 'stop' && segment.legIndex === legIndex);
+            legStart += bridge?.duration || 0;
+            const shift = (eta) => (Number.isFinite(eta) ? eta + legStart : eta);
+
+            this.generateInstructions(leg.route).forEach(instruction => {
+                if (instruction.type === 'start' && legIndex > 0) {
+                    return;
+                }
+
+                if (instruction.type === 'destination') {
+                    const stopIndex = legIndex + 1;
+                    const stop = route.stops?.[stopIndex];
+                    const name = stop?.name || (legIndex === lastLeg ? 'your destination' : `stop ${stopIndex}`);
+                    instructions.push(legIndex === lastLeg
+                        ? {
+                            ...instruction,
+                            text: `Arrive at ${name}`,
+                            distance: totalDistance,
+                            totalDistance: Math.round(totalDistance),
+                            eta: Number.isFinite(route.duration) ? route.duration : shift(instruction.eta),
+                            legIndex
+                        }
+                        : {
+                            type: 'waypoint',
+                            text: `Arrive at ${name}, then continue`,
+                            distance: leg.route.walkingDistance ?? leg.route.distance,
+                            icon: '📌',
+                            stopIndex,
+                            eta: shift(instruction.eta),
+                            legIndex
+                        });
+                    return;
+                }
+
+                instructions.push({ ...instruction, eta: shift(instruction.eta), legIndex });
+            });
+
+            legStart += leg.route.duration || 0;
         });
 
         return instructions;
@@ -254,6 +367,7 @@ export class TurnByTurnGenerator {
         // Check segment metadata or use default
         if (segment.type === 'elevator') return 'elevator';
         if (segment.type === 'escalator') return 'escalator';
+        if (segment.type === 'ramp') return 'ramp';
         return 'stairs';
     }
 
@@ -0,0 +1,124 @@
+/**
+ * RoutingProfiles - Named, JSON-serializable routing presets
+ * A profile bundles findRoute options (accessibleOnly, avoidStairs, roomTraversalMode,
+ * allowLockedDoors, snapToDoors, navigation flags, mobilityProfile) with per-edge-type rules:
+ *   excludeEdgeTypes - edge types never used (e.g. ['elevator'])
+ *   edgeCosts        - cost multiplier per edge type (e.g. { stairs: 0.5 })
+ * Options passed alongside a profile override its values.
+ */
+export const ROUTING_PROFILES = {
+    visitor: {
+        label: 'Visitor',
+        roomTraversalMode: 'public',
+        publicOnly: true,
+        allowLockedDoors: false
+    },
+    wheelchair: {
+        label: 'Wheelchair',
+        accessibleOnly: true,
+        avoidStairs: true,
+        avoidEscalators: true,
+        roomTraversalMode: 'public',
+        mobilityProfile: 'wheelchair'
+    },
+    stroller: {
+        label: 'Stroller',
+        avoidStairs: true,
+        avoidEscalators: true,
+        edgeCosts: { ramp: 0.8 },
+        roomTraversalMode: 'public',
+        mobilityProfile: 'luggage'
+    },
+    luggage: {
+        label: 'With luggage',
+        edgeCosts: { stairs: 3 },
+        roomTraversalMode: 'public',
+        mobilityProfile: 'luggage'
+    },
+    staff: {
+        label: 'Staff',
+        roomTraversalMode: 'all',
+        allowLockedDoors: true
+    },
+    evacuation: {
+        label: 'Evacuation',
+        excludeEdgeTypes: ['elevator'],
+        edgeCosts: { stairs: 0.5, escalator: 2 },
+        roomTraversalMode: 'all'
+    }
+};
+
+export const DEFAULT_ROUTING_PROFILE = 'visitor';
+
+export class RoutingProfiles {
+    constructor(profiles = ROUTING_PROFILES) {
+        this.profiles = new Map();
+        Object.entries(profiles).forEach(([name, definition]) => this.register(name, definition));
+    }
+
+    /**
+     * Add or replace a profile; definitions are stored as plain JSON copies
+     */
+    register(name, definition) {
+        this.profiles.set(name, JSON.parse(JSON.stringify(definition)));
+        return this.profiles.get(name);
+    }
+
+    get(name) {
+        return this.profiles.get(name) || null;
+    }
+
+    /**
+     * @returns {Array<Object>} { name, label } for pickers
+     */
+    list() {
+        return Array.from(this.profiles.entries()).map(([name, definition]) => ({
+            name,
+            label: definition.label || name
+        }));
+    }
+
+    toJSON() {
+        return Object.fromEntries(this.profiles);
+    }
+
+    /**
+     * Expand options.profile (a name or an inline definition) into plain findRoute options
+     * The result carries profileKey for cache keys and no longer has `profile`, so resolving
+     * it again is a no-op.
+     */
+    resolve(options = {}) {
+        const { profile, ...rest } = options;
+        if (!profile) return options;
+
+        const definition = typeof profile === 'string' ? this.get(profile) : profile;
+        if (!definition) {
+            console.warn(`Unknown routing profile "${profile}"`);
+            return rest;
+        }
+
+        const { label, excludeEdgeTypes = [], edgeCosts = {}, ...defaults } = definition;
+        const resolved = {
+            ...defaults,
+            ...rest,
+            profileKey: typeof profile === 'string' ? profile : JSON.stringify(profile)
+        };
+
+        if (excludeEdgeTypes.length > 0) {
+            const { edgeFilter } = rest;
+            resolved.edgeFilter = (edge) => !excludeEdgeTypes.includes(edge.type) && (!edgeFilter || edgeFilter(edge));
+        }
+
+        if (Object.keys(edgeCosts).length > 0) {
+            const { edgeCostMultiplier } = rest;
+            resolved.edgeCostMultiplier = (fromId, edge) =>
+                (edgeCosts[edge.type] ?? 1) * (edgeCostMultiplier ? edgeCostMultiplier(fromId, edge) : 1);
+
+            // A* bounds assume every metre costs at least a metre; discounted edge types break that
+            const cheapest = Math.min(1, ...Object.values(edgeCosts));
+            if (cheapest < 1) resolved.heuristicScale = cheapest * (rest.heuristicScale ?? 1);
+        }
+
+        return resolved;
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * StopOrderOptimizer - Orders intermediate stops to minimise total leg cost
+ * The first stop (start) and last stop (destination) stay fixed. Small stop sets
+ * are solved exactly (Held-Karp); larger ones use nearest-neighbour + 2-opt.
+ */
+export class StopOrderOptimizer {
+    constructor(options = {}) {
+        this.exactLimit = Number.isFinite(options.exactLimit) ? options.exactLimit : 9;
+        this.maxImprovementPasses = Number.isFinite(options.maxImprovementPasses) ? options.maxImprovementPasses : 50;
+    }
+
+    /**
+     * @param {Array<Array<number>>} costs - costs[i][j] = cost of the leg from stop i to stop j (Infinity if unreachable)
+     * @returns {Array<number>} Stop indices in visiting order, starting with 0 and ending with costs.length - 1
+     */
+    optimize(costs) {
+        const n = costs.length;
+        const identity = Array.from({ length: n }, (_, i) => i);
+        if (n <= 3) return identity;
+
+        const intermediates = identity.slice(1, n - 1);
+        const order = intermediates.length <= this.exactLimit
+            ? this.solveExact(costs, intermediates)
+            : this.solveHeuristic(costs, intermediates);
+
+        // Keep the caller's order unless reordering actually helps
+        if (!order || this.getOrderCost(costs, order) >= this.getOrderCost(costs, identity)) {
+            return identity;
+        }
+        return order;
+    }
+
+    /**
+     * Total cost of visiting stops in the given order
+     */
+    getOrderCost(costs, order) {
+        let total = 0;
+        for (let i = 0; i < order.length - 1; i++) {
+            total += costs[order[i]][order[i + 1]];
+        }
+        return total;
+    }
+
+    /**
+     * Held-Karp dynamic programming over subsets of intermediate stops
+     */
+    solveExact(costs, intermediates) {
+        const n = costs.length;
+        const end = n - 1;
+        const k = intermediates.length;
+        const fullMask = (1 << k) - 1;
+
+        // best[mask][i]: cheapest path from the start through `mask`, ending at intermediates[i]
+        const best = Array.from({ length: fullMask + 1 }, () => new Float64Array(k).fill(Infinity));
+        const parent = Array.from({ length: fullMask + 1 }, () => new Int8Array(k).fill(-1));
+
+        for (let i = 0; i < k; i++) {
+            best[1 << i][i] = costs[0][intermediates[i]];
+        }
+
+        for (let mask = 1; mask <= fullMask; mask++) {
+            for (let i = 0; i < k; i++) {
+                if (!(mask & (1 << i)) || best[mask][i] === Infinity) continue;
+
+                for (let j = 0; j < k; j++) {
+                    if (mask & (1 << j)) continue;
+                    const nextMask = mask | (1 << j);
+                    const cost = best[mask][i] + costs[intermediates[i]][intermediates[j]];
+                    if (cost < best[nextMask][j]) {
+                        best[nextMask][j] = cost;
+                        parent[nextMask][j] = i;
+                    }
+                }
+            }
+        }
+
+        let last = -1;
+        let bestCost = Infinity;
+        for (let i = 0; i < k; i++) {
+            const cost = best[fullMask][i] + costs[intermediates[i]][end];
+            if (cost < bestCost) {
+                bestCost = cost;
+                last = i;
+            }
+        }
+
+        if (last === -1) return null;
+
+        const visits = [];
+        let mask = fullMask;
+        while (last !== -1) {
+            visits.unshift(intermediates[last]);
+            const previous = parent[mask][last];
+            mask &= ~(1 << last);
+            last = previous;
+        }
+
+        return [0, ...visits, end];
+    }
+
+    /**
+     * Nearest-neighbour tour refined with 2-opt segment reversals
+     */
+    solveHeuristic(costs, intermediates) {
+        const end = costs.length - 1;
+        const remaining = new Set(intermediates);
+        const order = [0];
+
+        while (remaining.size > 0) {
+            const current = order[order.length - 1];
+            let next = null;
+            let nextCost = Infinity;
+            remaining.forEach(candidate => {
+                if (next === null || costs[current][candidate] < nextCost) {
+                    next = candidate;
+                    nextCost = costs[current][candidate];
+                }
+            });
+            order.push(next);
+            remaining.delete(next);
+        }
+        order.push(end);
+
+        let bestCost = this.getOrderCost(costs, order);
+        for (let pass = 0; pass < this.maxImprovementPasses; pass++) {
+            let improved = false;
+
+            for (let i = 1; i < order.length - 2; i++) {
+                for (let j = i + 1; j < order.length - 1; j++) {
+                    const candidate = [
+                        ...order.slice(0, i),
+                        ...order.slice(i, j + 1).reverse(),
+                        ...order.slice(j + 1)
+                    ];
+                    // Leg costs can be asymmetric (one-way escalators), so score the whole order
+                    const candidateCost = this.getOrderCost(costs, candidate);
+                    if (candidateCost < bestCost) {
+                        order.splice(0, order.length, ...candidate);
+                        bestCost = candidateCost;
+                        improved = true;
+                    }
+                }
+            }
+
+            if (!improved) break;
+        }
+
+        return order;
+    }
+}
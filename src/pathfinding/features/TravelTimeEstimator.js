@@ -0,0 +1,141 @@
+/**
+ * TravelTimeEstimator - Turns routes into durations for a mobility profile
+ * Walking time comes from the route's physical walkingDistance; floor changes add a fixed
+ * time per floor (elevators also a wait). Connector costs in route.distance never leak in.
+ */
+
+// null = the profile doesn't use that connector (route it with accessibleOnly); the walking value is used
+export const MOBILITY_PROFILES = {
+    walking: {
+        label: 'Walking',
+        speedMps: 1.4,
+        stairsSecondsPerFloor: 15,
+        escalatorSecondsPerFloor: 20,
+        rampSecondsPerFloor: 30,
+        elevatorWaitSeconds: 30,
+        elevatorSecondsPerFloor: 5
+    },
+    wheelchair: {
+        label: 'Wheelchair',
+        speedMps: 1.0,
+        stairsSecondsPerFloor: null,
+        escalatorSecondsPerFloor: null,
+        rampSecondsPerFloor: 45,
+        elevatorWaitSeconds: 45,
+        elevatorSecondsPerFloor: 5
+    },
+    luggage: {
+        label: 'With luggage',
+        speedMps: 1.1,
+        stairsSecondsPerFloor: 30,
+        escalatorSecondsPerFloor: 25,
+        rampSecondsPerFloor: 35,
+        elevatorWaitSeconds: 40,
+        elevatorSecondsPerFloor: 5
+    }
+};
+
+export const DEFAULT_MOBILITY_PROFILE = 'walking';
+
+/**
+ * "4 min" (or "<1 min")
+ */
+export const formatDuration = (seconds) => {
+    if (!Number.isFinite(seconds)) return '';
+    if (seconds < 30) return '<1 min';
+    return `${Math.round(seconds / 60)} min`;
+};
+
+/**
+ * "4 min · 210 m" for an annotated route (just the distance when it has no duration)
+ */
+export const formatRouteSummary = (route) => {
+    const meters = `${Math.round(route.walkingDistance ?? route.distance)} m`;
+    return Number.isFinite(route.duration) ? `${formatDuration(route.duration)} · ${meters}` : meters;
+};
+
+export class TravelTimeEstimator {
+    constructor(profiles = MOBILITY_PROFILES) {
+        this.profiles = profiles;
+    }
+
+    getProfile(name) {
+        return this.profiles[name] || this.profiles[DEFAULT_MOBILITY_PROFILE];
+    }
+
+    /**
+     * Seconds to cover one route segment
+     */
+    getSegmentSeconds(segment, profile) {
+        if (!segment.floorChange) {
+            return (segment.distance || 0) / profile.speedMps;
+        }
+
+        const fallback = this.profiles[DEFAULT_MOBILITY_PROFILE];
+        const floors = Math.max(1, segment.floorsTravelled || 0);
+        const perFloor = (key) => (profile[key] ?? fallback[key]) * floors;
+
+        switch (segment.type) {
+            case 'elevator':
+                return (profile.elevatorWaitSeconds ?? fallback.elevatorWaitSeconds) + perFloor('elevatorSecondsPerFloor');
+            case 'escalator':
+                return perFloor('escalatorSecondsPerFloor');
+            case 'ramp':
+                return perFloor('rampSecondsPerFloor');
+            default:
+                return perFloor('stairsSecondsPerFloor');
+        }
+    }
+
+    /**
+     * Seconds for a distance-field entry, which has no segments: walking plus its floor changes,
+     * taken by stairs unless the profile can't use them
+     * @param {Object} entry - { walkingDistance, floorsTravelled }
+     */
+    estimateSeconds({ walkingDistance = 0, floorsTravelled = 0 }, profileName = DEFAULT_MOBILITY_PROFILE) {
+        const profile = this.getProfile(profileName);
+        const seconds = walkingDistance / profile.speedMps;
+        if (!floorsTravelled) return seconds;
+
+        const type = profile.stairsSecondsPerFloor == null ? 'elevator' : 'stairs';
+        return seconds + this.getSegmentSeconds({ floorChange: true, type, floorsTravelled }, profile);
+    }
+
+    /**
+     * Copy of a route with duration (seconds) and per-segment duration/eta (seconds from departure
+     * to the end of the segment). The route itself is left untouched, since it may be cached.
+     * @param {Object} route - findRoute/findMultiStopRoute result
+     * @param {string} profileName - Key of MOBILITY_PROFILES
+     */
+    annotateRoute(route, profileName = DEFAULT_MOBILITY_PROFILE) {
+        if (!route) return route;
+
+        const profile = this.getProfile(profileName);
+        const segments = route.segments || [];
+        const walkingDistance = route.walkingDistance ?? route.distance;
+        const segmentMeters = segments.reduce((sum, segment) => sum + (segment.floorChange ? 0 : segment.distance || 0), 0);
+        const verticalSeconds = segments.reduce(
+            (sum, segment) => sum + (segment.floorChange ? this.getSegmentSeconds(segment, profile) : 0),
+            0
+        );
+
+        // Metres walked off the graph (start point -> first node, last node -> destination)
+        const startAccessMeters = route.meta?.startAccessDistance
+            ?? Math.max(0, walkingDistance - segmentMeters) / 2;
+
+        let elapsed = startAccessMeters / profile.speedMps;
+        const annotatedSegments = segments.map(segment => {
+            const duration = this.getSegmentSeconds(segment, profile);
+            elapsed += duration;
+            return { ...segment, duration, eta: elapsed };
+        });
+
+        return {
+            ...route,
+            segments: annotatedSegments,
+            walkingDistance,
+            duration: walkingDistance / profile.speedMps + verticalSeconds,
+            mobilityProfile: this.profiles[profileName] ? profileName : DEFAULT_MOBILITY_PROFILE
+        };
+    }
+}
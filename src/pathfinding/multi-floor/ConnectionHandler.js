@@ -1,10 +1,59 @@
 /**
- * ConnectionHandler - Processes inter-floor connections (elevators, stairs, doors)
+ * ConnectionHandler - Processes inter-floor connections (elevators, stairs, escalators, ramps, doors)
  * Adds appropriate edges to the graph for multi-floor navigation
  */
 export class ConnectionHandler {
-    constructor(graph) {
+    constructor(graph, options = {}) {
         this.graph = graph;
+        this.floorLevels = this.buildFloorLevels(options.floors);
+        this.flagDecoder = options.flagDecoder || null;
+    }
+
+    /**
+     * Rank floors by elevation so vertical costs count floors, not raw elevation units
+     */
+    buildFloorLevels(floors) {
+        const levels = new Map();
+        const features = Array.isArray(floors) ? floors : (floors?.features || []);
+
+        features
+            .map(floor => floor?.properties)
+            .filter(props => props?.id && Number.isFinite(props.elevation))
+            .sort((a, b) => a.elevation - b.elevation)
+            .forEach((props, index) => {
+                levels.set(props.id, index);
+            });
+
+        return levels;
+    }
+
+    /**
+     * Number of floors travelled between two nodes
+     */
+    getFloorsTravelled(nodeA, nodeB) {
+        if (nodeA.floorId === nodeB.floorId) return 0;
+
+        const levelA = this.floorLevels.get(nodeA.floorId);
+        const levelB = this.floorLevels.get(nodeB.floorId);
+        if (levelA == null || levelB == null) {
+            return 1; // Unknown elevation, assume adjacent floors
+        }
+
+        return Math.abs(levelA - levelB);
+    }
+
+    /**
+     * Edge cost for a vertical connector: entryCost + floors travelled * floorCostMultiplier
+     */
+    getConnectionCost(connection, nodeA, nodeB, defaultEntryCost) {
+        const entryCost = Number.isFinite(connection.entryCost) ? connection.entryCost : defaultEntryCost;
+        const multiplier = Number.isFinite(connection.floorCostMultiplier) ? connection.floorCostMultiplier : 1;
+        const floorsTravelled = this.getFloorsTravelled(nodeA, nodeB);
+
+        return {
+            cost: entryCost + floorsTravelled * multiplier,
+            floorsTravelled
+        };
     }
 
     /**
@@ -15,6 +64,8 @@ export class ConnectionHandler {
 
         let elevatorCount = 0;
         let stairCount = 0;
+        let escalatorCount = 0;
+        let rampCount = 0;
         let doorCount = 0;
 
         connections.forEach(conn => {
@@ -24,6 +75,12 @@ export class ConnectionHandler {
             } else if (conn.type === 'stairs') {
                 this.addStairConnection(conn);
                 stairCount++;
+            } else if (conn.type === 'escalator') {
+                this.addEscalatorConnection(conn);
+                escalatorCount++;
+            } else if (conn.type === 'ramp') {
+                this.addRampConnection(conn);
+                rampCount++;
             } else if (conn.type === 'door') {
                 this.addDoorConnection(conn);
                 doorCount++;
@@ -32,6 +89,8 @@ export class ConnectionHandler {
 
         console.log(`  Elevators: ${elevatorCount}`);
         console.log(`  Stairs: ${stairCount}`);
+        console.log(`  Escalators: ${escalatorCount}`);
+        console.log(`  Ramps: ${rampCount}`);
         console.log(`  Doors: ${doorCount}`);
     }
 
@@ -48,13 +107,16 @@ export class ConnectionHandler {
                 const nodeA = nodes[i];
                 const nodeB = nodes[j];
 
-                // Bidirectional edge
-                const cost = connection.entryCost || 3000; // Elevator cost
+                // Bidirectional edge, scaled by floors travelled
+                const { cost, floorsTravelled } = this.getConnectionCost(connection, nodeA, nodeB, 3000);
 
                 this.graph.addBidirectionalEdge(nodeA.id, nodeB.id, cost, {
                     type: 'elevator',
                     accessible: true, // Elevators are wheelchair accessible
-                    connectionId: connection.id
+                    connectionId: connection.id,
+                    floorsTravelled,
+                    verticalCost: cost,
+                    navFlags: this.getEdgeFlags(connection, nodeA, nodeB)
                 });
             }
         }
@@ -73,13 +135,70 @@ export class ConnectionHandler {
                 const nodeA = nodes[i];
                 const nodeB = nodes[j];
 
-                // Bidirectional edge
-                const cost = connection.entryCost || 1000; // Stair cost
+                // Bidirectional edge, scaled by floors travelled
+                const { cost, floorsTravelled } = this.getConnectionCost(connection, nodeA, nodeB, 1000);
 
                 this.graph.addBidirectionalEdge(nodeA.id, nodeB.id, cost, {
                     type: 'stairs',
                     accessible: false, // Stairs are NOT wheelchair accessible
-                    connectionId: connection.id
+                    connectionId: connection.id,
+                    floorsTravelled,
+                    verticalCost: cost,
+                    navFlags: this.getEdgeFlags(connection, nodeA, nodeB)
+                });
+            }
+        }
+    }
+
+    /**
+     * Add escalator connection (one-way, entrances -> exits)
+     */
+    addEscalatorConnection(connection) {
+        const entranceNodes = this.getNodesFromEndpoints(connection.entrances);
+        const exitNodes = this.getNodesFromEndpoints(connection.exits);
+
+        entranceNodes.forEach(entranceNode => {
+            exitNodes.forEach(exitNode => {
+                if (entranceNode.id === exitNode.id) return;
+
+                // Directed edge - escalators only run one way
+                const { cost, floorsTravelled } = this.getConnectionCost(connection, entranceNode, exitNode, 1500);
+
+                this.graph.addEdge(entranceNode.id, exitNode.id, cost, {
+                    type: 'escalator',
+                    accessible: false, // Escalators are NOT wheelchair accessible
+                    oneWay: true,
+                    connectionId: connection.id,
+                    floorsTravelled,
+                    verticalCost: cost,
+                    navFlags: this.getEdgeFlags(connection, entranceNode, exitNode)
+                });
+            });
+        });
+    }
+
+    /**
+     * Add ramp connection (connect all pairs, accessible)
+     */
+    addRampConnection(connection) {
+        const nodes = this.getNodesFromConnection(connection);
+        if (nodes.length < 2) return;
+
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                const nodeA = nodes[i];
+                const nodeB = nodes[j];
+
+                // Bidirectional edge, scaled by floors travelled
+                const { cost, floorsTravelled } = this.getConnectionCost(connection, nodeA, nodeB, 500);
+
+                this.graph.addBidirectionalEdge(nodeA.id, nodeB.id, cost, {
+                    type: 'ramp',
+                    accessible: true, // Ramps are wheelchair accessible
+                    connectionId: connection.id,
+                    floorsTravelled,
+                    verticalCost: cost,
+                    navFlags: this.getEdgeFlags(connection, nodeA, nodeB)
                 });
             }
         }
@@ -106,32 +225,63 @@ export class ConnectionHandler {
                     this.graph.addBidirectionalEdge(nodeA.id, nodeB.id, cost, {
                         type: 'door',
                         accessible: true,
-                        connectionId: connection.id
+                        connectionId: connection.id,
+                        navFlags: this.getEdgeFlags(connection, nodeA, nodeB)
                     });
                 }
             }
         }
     }
 
+    /**
+     * Decoded navigation flags for a connector edge (set only if both ends carry the flag)
+     */
+    getEdgeFlags(connection, nodeA, nodeB) {
+        if (!this.flagDecoder) return null;
+        return this.flagDecoder.intersect(
+            this.getEndpointFlags(connection, nodeA),
+            this.getEndpointFlags(connection, nodeB)
+        );
+    }
+
+    /**
+     * Decoded flags of every entrance/exit of a connection that maps to this node
+     */
+    getEndpointFlags(connection, node) {
+        const geometryIds = new Set(node.metadata?.geometryIds || []);
+        let flags = null;
+
+        [...(connection.entrances || []), ...(connection.exits || [])].forEach(endpoint => {
+            if (!geometryIds.has(endpoint?.geometryId)) return;
+            flags = this.flagDecoder.union(flags, this.flagDecoder.decode(endpoint.flags));
+        });
+
+        return flags;
+    }
+
     /**
      * Get graph nodes from connection data
      */
     getNodesFromConnection(connection) {
+        // Collect all geometry IDs from entrances and exits
+        return this.getNodesFromEndpoints([
+            ...(connection.entrances || []),
+            ...(connection.exits || [])
+        ]);
+    }
+
+    /**
+     * Get graph nodes for a list of entrance/exit endpoints
+     */
+    getNodesFromEndpoints(endpoints) {
         const nodes = [];
         const geometryIds = new Set();
 
-        // Collect all geometry IDs from entrances and exits
-        if (connection.entrances) {
-            connection.entrances.forEach(entrance => {
-                geometryIds.add(entrance.geometryId);
-            });
-        }
-
-        if (connection.exits) {
-            connection.exits.forEach(exit => {
-                geometryIds.add(exit.geometryId);
-            });
-        }
+        (endpoints || []).forEach(endpoint => {
+            if (endpoint?.geometryId) {
+                geometryIds.add(endpoint.geometryId);
+            }
+        });
 
         // Find corresponding nodes in graph
         geometryIds.forEach(geoId => {
@@ -166,6 +316,10 @@ export class ConnectionHandler {
                     node.metadata.isElevator = true;
                 } else if (conn.type === 'stairs') {
                     node.metadata.isStairs = true;
+                } else if (conn.type === 'escalator') {
+                    node.metadata.isEscalator = true;
+                } else if (conn.type === 'ramp') {
+                    node.metadata.isRamp = true;
                 } else if (conn.type === 'door') {
                     node.metadata.isDoor = true;
                 }
@@ -1,15 +1,21 @@
 /**
  * DirectionsUI - Interactive UI for pathfinding
- * Handles drop-pin start and location selection for routes
+ * Handles drop-pin start, intermediate stops and location selection for routes
  */
 import maplibregl from 'maplibre-gl';
+import { formatRouteSummary } from '../features/TravelTimeEstimator.js';
+import { DEFAULT_ROUTING_PROFILE } from '../features/RoutingProfiles.js';
+import { getConnectorIcon } from '../features/PathEnhancements.js';
 
 export class DirectionsUI {
-    constructor(map, pathfindingEngine, pathRenderer, floors, pathSmoother = null) {
+    constructor(map, pathfindingEngine, pathRenderer, floors, pathSmoother = null, options = {}) {
         this.map = map;
         this.pathfindingEngine = pathfindingEngine;
         this.pathRenderer = pathRenderer;
         this.pathSmoother = pathSmoother;
+        this.routeLink = options.routeLink || null;
+        // Opening hours (NavigationController): closed rooms are avoided, closed destinations flagged
+        this.availability = options.availability || null;
         const floorList = floors || [];
         this.floors = floorList;
         this.groundFloorId = floorList?.[0]?.properties?.id || null;
@@ -20,6 +26,17 @@ export class DirectionsUI {
         });
 
         this.selectedDestination = null;
+        this.stops = [];
+        this.awaitingStop = false;
+        this.optimizeStopOrder = false;
+        this.draggedStopIndex = null;
+        this.alternativeCount = 3;
+        // Alternatives are only computed when asked for; request key -> findAlternativeRoutes result
+        this.alternativesCache = new Map();
+        this.alternativesShown = false;
+        this.routeChoices = [];
+        this.selectedRouteIndex = 0;
+        this.routingProfile = DEFAULT_ROUTING_PROFILE;
         this.startPoint = null;
         this.startMarker = null;
         this.currentFloor = null;
@@ -31,6 +48,9 @@ export class DirectionsUI {
         this.statusEl = null;
         this.toField = null;
         this.fromField = null;
+        this.stopsList = null;
+        this.addStopButton = null;
+        this.routeCards = null;
     }
 
     initialize(currentFloor) {
@@ -76,20 +96,46 @@ export class DirectionsUI {
                 </div>
                 <div class="direction-helper" id="from-helper">Click the map to set a start point.</div>
             </div>
+            <div class="direction-group">
+                <div class="direction-label">Stops</div>
+                <ol class="direction-stops" id="direction-stops"></ol>
+                <div class="direction-stop-actions">
+                    <button id="add-stop-button" type="button">+ Add stop</button>
+                    <label class="direction-optimize">
+                        <input id="optimize-stops" type="checkbox"> Best order
+                    </label>
+                </div>
+            </div>
             <div class="direction-group">
                 <div class="direction-label">To</div>
                 <div class="direction-field" id="to-field">Select a destination</div>
             </div>
+            <div class="direction-group">
+                <div class="direction-label">Profile</div>
+                <div class="direction-field">
+                    <select id="routing-profile" aria-label="Routing profile">
+                        ${this.pathfindingEngine.getRoutingProfiles().list().map(({ name, label }) => `
+                            <option value="${name}"${name === this.routingProfile ? ' selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
             <div class="direction-actions">
                 <button class="primary" id="route-button" type="button">Route</button>
                 <button id="clear-button" type="button">Clear</button>
+                <button id="share-route-button" type="button">Share route</button>
             </div>
             <div class="direction-status" id="direction-status">Choose a destination to begin.</div>
+            <div class="direction-routes" id="direction-routes"></div>
         `;
 
         this.statusEl = this.panel.querySelector('#direction-status');
         this.toField = this.panel.querySelector('#to-field');
         this.fromField = this.panel.querySelector('#from-field');
+        this.stopsList = this.panel.querySelector('#direction-stops');
+        this.addStopButton = this.panel.querySelector('#add-stop-button');
+        this.routeCards = this.panel.querySelector('#direction-routes');
+        this.renderStops();
     }
 
     bindUI() {
@@ -119,6 +165,42 @@ export class DirectionsUI {
 
         clearBtn.addEventListener('click', () => {
             this.clearRoute();
+            this.notifyRouteChanged();
+        });
+
+        this.panel.querySelector('#share-route-button').addEventListener('click', () => {
+            this.shareRoute();
+        });
+
+        this.addStopButton.addEventListener('click', () => {
+            this.awaitingStop = !this.awaitingStop;
+            this.addStopButton.classList.toggle('is-active', this.awaitingStop);
+            this.updateStatus(this.awaitingStop
+                ? 'Select a location on the map to add it as a stop.'
+                : 'Choose a destination to begin.');
+        });
+
+        this.panel.querySelector('#optimize-stops').addEventListener('change', (e) => {
+            this.optimizeStopOrder = e.target.checked;
+            this.tryRoute();
+        });
+
+        this.panel.querySelector('#routing-profile').addEventListener('change', (e) => {
+            this.routingProfile = e.target.value;
+            this.tryRoute();
+        });
+
+        this.bindStopListEvents();
+
+        this.routeCards.addEventListener('click', (e) => {
+            if (e.target.closest('#show-alternatives')) {
+                this.showAlternatives();
+                return;
+            }
+            const card = e.target.closest('.direction-route-card');
+            if (card) {
+                this.selectRouteChoice(Number(card.dataset.index));
+            }
         });
 
         this.map.on('click', (e) => {
@@ -131,18 +213,36 @@ export class DirectionsUI {
     }
 
     setupLocationClickHandlers() {
+        // Picking a place only selects it (the detail card routes via location-directions-requested);
+        // while "Add stop" is armed the pick becomes the next stop
         window.addEventListener('location-clicked', (e) => {
+            if (!this.awaitingStop) return;
             const { name, coords, floorId } = e.detail;
-            this.setDestination({ name, coords, floorId });
-            this.tryRoute();
+            this.addStop({ name, coords, floorId });
         });
 
         window.addEventListener('location-deselected', () => {
             this.clearRoute();
+            this.notifyRouteChanged();
         });
     }
 
-    setDestination(destination) {
+    /**
+     * Recompute the route on screen (NavigationController calls this when closures change)
+     * @returns {boolean} false when there was no route to refresh
+     */
+    refreshRoute() {
+        if (!this.enabled || this.routeChoices.length === 0) return false;
+        // Drop the stale route first so a failed recompute doesn't leave it drawn
+        this.pathRenderer.clearRoute();
+        this.alternativesCache.clear();
+        this.routeChoices = [];
+        this.renderRouteCards();
+        this.calculateAndShowRoute();
+        return true;
+    }
+
+    setDestination(destination, { flyTo = true } = {}) {
         this.selectedDestination = destination;
         if (!this.toField) return;
 
@@ -155,6 +255,7 @@ export class DirectionsUI {
         const floorLabel = this.getFloorName(destination.floorId);
         this.toField.textContent = `${destination.name} (${floorLabel})`;
         this.updateStatus('Drop a start pin or route from the map center.');
+        if (!flyTo) return;
 
         this.map.flyTo({
             center: destination.coords,
@@ -165,6 +266,108 @@ export class DirectionsUI {
         });
     }
 
+    addStop(stop) {
+        this.awaitingStop = false;
+        if (this.addStopButton) {
+            this.addStopButton.classList.remove('is-active');
+        }
+        this.stops.push(stop);
+        this.renderStops();
+        this.updateStatus(`Added ${stop.name} as stop ${this.stops.length}.`);
+        this.tryRoute();
+    }
+
+    removeStop(index) {
+        if (index < 0 || index >= this.stops.length) return;
+        this.stops.splice(index, 1);
+        this.renderStops();
+        this.tryRoute();
+    }
+
+    moveStop(fromIndex, toIndex) {
+        if (fromIndex === toIndex || fromIndex < 0 || fromIndex >= this.stops.length) return;
+        const [stop] = this.stops.splice(fromIndex, 1);
+        this.stops.splice(Math.min(toIndex, this.stops.length), 0, stop);
+        this.renderStops();
+        this.tryRoute();
+    }
+
+    renderStops() {
+        if (!this.stopsList) return;
+
+        if (this.stops.length === 0) {
+            this.stopsList.innerHTML = '<li class="direction-stop is-empty">No stops</li>';
+            return;
+        }
+
+        this.stopsList.innerHTML = '';
+        this.stops.forEach((stop, index) => {
+            const item = document.createElement('li');
+            item.className = 'direction-stop';
+            item.draggable = true;
+            item.dataset.index = String(index);
+
+            const handle = document.createElement('span');
+            handle.className = 'direction-stop-handle';
+            handle.textContent = '⋮⋮';
+
+            const label = document.createElement('span');
+            label.className = 'direction-stop-name';
+            label.textContent = `${index + 1}. ${stop.name} (${this.getFloorName(stop.floorId)})`;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'direction-stop-remove';
+            remove.dataset.index = String(index);
+            remove.setAttribute('aria-label', `Remove ${stop.name}`);
+            remove.innerHTML = '&times;';
+
+            item.append(handle, label, remove);
+            this.stopsList.appendChild(item);
+        });
+    }
+
+    bindStopListEvents() {
+        // Delegated on the list so re-rendering the items keeps the handlers
+        this.stopsList.addEventListener('click', (e) => {
+            const remove = e.target.closest('.direction-stop-remove');
+            if (remove) {
+                this.removeStop(Number(remove.dataset.index));
+            }
+        });
+
+        this.stopsList.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.direction-stop');
+            if (!item || item.classList.contains('is-empty')) return;
+            this.draggedStopIndex = Number(item.dataset.index);
+            item.classList.add('is-dragging');
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        this.stopsList.addEventListener('dragover', (e) => {
+            if (this.draggedStopIndex === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+
+        this.stopsList.addEventListener('drop', (e) => {
+            if (this.draggedStopIndex === null) return;
+            e.preventDefault();
+            const item = e.target.closest('.direction-stop');
+            const toIndex = item && !item.classList.contains('is-empty')
+                ? Number(item.dataset.index)
+                : this.stops.length - 1;
+            const fromIndex = this.draggedStopIndex;
+            this.draggedStopIndex = null;
+            this.moveStop(fromIndex, toIndex);
+        });
+
+        this.stopsList.addEventListener('dragend', (e) => {
+            this.draggedStopIndex = null;
+            e.target.closest('.direction-stop')?.classList.remove('is-dragging');
+        });
+    }
+
     setStartPoint(coords) {
         const floorId = this.getStartFloorId();
         let finalCoords = coords;
@@ -183,9 +386,25 @@ export class DirectionsUI {
             this.fromField.textContent = `Dropped Pin (${this.getFloorName(floorId)})`;
         }
         this.updateStatus(snapMessage);
+        this.placeStartMarker(finalCoords);
+    }
+
+    /**
+     * Start from a known place (e.g. "Directions from here" on a location card)
+     * @param {Object} start - { name, coords, floorId }
+     */
+    setStartLocation({ name, coords, floorId }) {
+        this.startPoint = { coords, floorId };
+        this.placeStartMarker(coords);
+        if (this.fromField) {
+            this.fromField.textContent = `${name || 'Dropped Pin'} (${this.getFloorName(floorId)})`;
+        }
+        this.updateStatus(this.selectedDestination ? 'Start point set.' : 'Start point set. Now pick a destination.');
+    }
 
+    placeStartMarker(coords) {
         if (this.startMarker) {
-            this.startMarker.setLngLat(finalCoords);
+            this.startMarker.setLngLat(coords);
             return;
         }
 
@@ -194,7 +413,7 @@ export class DirectionsUI {
         markerEl.innerHTML = '<span></span>';
 
         this.startMarker = new maplibregl.Marker({ element: markerEl, draggable: true })
-            .setLngLat(finalCoords)
+            .setLngLat(coords)
             .addTo(this.map);
 
         this.startMarker.on('dragend', () => {
@@ -265,12 +484,8 @@ export class DirectionsUI {
         if (!this.selectedDestination || !this.startPoint) return;
 
         try {
-            let route = this.pathfindingEngine.findRoute(
-                this.startPoint.coords,
-                this.selectedDestination.coords,
-                this.startPoint.floorId,
-                this.selectedDestination.floorId
-            );
+            this.pickNearestAnchor();
+            let route = this.findRouteFromStart();
 
             if (!route) {
                 const routeError = this.pathfindingEngine.getLastRouteError();
@@ -288,12 +503,7 @@ export class DirectionsUI {
                     if (this.fromField) {
                         this.fromField.textContent = `Nearest Entrance (${this.getFloorName(snapped.floorId)})`;
                     }
-                    route = this.pathfindingEngine.findRoute(
-                        this.startPoint.coords,
-                        this.selectedDestination.coords,
-                        this.startPoint.floorId,
-                        this.selectedDestination.floorId
-                    );
+                    route = this.findRouteFromStart();
                 }
             }
 
@@ -303,28 +513,199 @@ export class DirectionsUI {
                 return;
             }
 
-            const enrichedRoute = this.withRouteEndpoints(
-                route,
+            if (route.meta?.optimized) {
+                this.applyStopOrder(route);
+            }
+
+            this.alternativesShown = false;
+            this.setRouteChoices([route]);
+            this.notifyRouteChanged();
+        } catch (error) {
+            this.updateStatus(`Routing failed: ${error.message}`, true);
+        }
+    }
+
+    setRouteChoices(routes) {
+        this.routeChoices = routes.map(route => this.withRouteEndpoints(
+            route,
+            this.startPoint.coords,
+            this.selectedDestination.coords,
+            this.startPoint.floorId,
+            this.selectedDestination.floorId
+        ));
+        this.selectRouteChoice(0);
+    }
+
+    /**
+     * Other routes are offered for plain start -> destination trips, once per route
+     */
+    canShowAlternatives() {
+        return !this.alternativesShown && this.stops.length === 0 && this.routeChoices.length === 1 &&
+            Boolean(this.startPoint && this.selectedDestination);
+    }
+
+    /**
+     * Replace the single route with up to alternativeCount distinct ones (the first is the same route)
+     */
+    showAlternatives() {
+        if (!this.canShowAlternatives()) return;
+
+        const options = this.withOpeningHours({ count: this.alternativeCount, profile: this.routingProfile });
+        const key = JSON.stringify([this.startPoint, this.selectedDestination.coords, this.selectedDestination.floorId, options]);
+        let routes = this.alternativesCache.get(key);
+        if (!routes) {
+            try {
+                routes = this.pathfindingEngine.findAlternativeRoutes(
+                    this.startPoint.coords,
+                    this.selectedDestination.coords,
+                    this.startPoint.floorId,
+                    this.selectedDestination.floorId,
+                    options
+                );
+            } catch (error) {
+                this.updateStatus(`Routing failed: ${error.message}`, true);
+                return;
+            }
+            this.alternativesCache.set(key, routes);
+        }
+
+        this.alternativesShown = true;
+        if (routes.length < 2) {
+            this.renderRouteCards();
+            this.updateStatus('No other routes found.');
+            return;
+        }
+        this.setRouteChoices(routes);
+    }
+
+    selectRouteChoice(index) {
+        const enrichedRoute = this.routeChoices[index];
+        if (!enrichedRoute) return;
+        this.selectedRouteIndex = index;
+
+        this.pathRenderer.renderRoute(this.getRenderRoute(enrichedRoute), {
+            color: '#4f7cff',
+            width: 4,
+            animated: true
+        });
+        this.pathRenderer.renderAlternativeRoutes(
+            this.routeChoices
+                .filter((_, choiceIndex) => choiceIndex !== index)
+                .map(choice => this.getRenderRoute(choice))
+        );
+        this.renderRouteCards();
+
+        const warnings = enrichedRoute.warnings || [];
+        const warningText = warnings.length ? ` ${warnings.join(' ')}` : '';
+        const suffix = warnings.length ? `.${warningText}` : '';
+        const stopCount = this.stops.length;
+        const via = stopCount ? ` via ${stopCount} stop${stopCount === 1 ? '' : 's'}` : '';
+        this.updateStatus(`Route ready - ${formatRouteSummary(enrichedRoute)}${via}${suffix}`, warnings.length > 0);
+    }
+
+    renderRouteCards() {
+        if (!this.routeCards) return;
+
+        if (this.routeChoices.length < 2) {
+            this.routeCards.innerHTML = this.canShowAlternatives()
+                ? '<button class="direction-routes-more" id="show-alternatives" type="button">Other routes</button>'
+                : '';
+            return;
+        }
+
+        this.routeCards.innerHTML = '';
+        this.routeChoices.forEach((choice, index) => {
+            const card = document.createElement('button');
+            card.type = 'button';
+            card.className = 'direction-route-card';
+            card.classList.toggle('is-selected', index === this.selectedRouteIndex);
+            card.dataset.index = String(index);
+
+            const floorChanges = choice.floorChanges || 0;
+            const floorsText = floorChanges === 0
+                ? 'Same floor'
+                : `${floorChanges} floor change${floorChanges === 1 ? '' : 's'}`;
+            const connectors = (choice.connectorTypes || [])
+                .map(type => `${getConnectorIcon(type)} ${type}`)
+                .join(', ');
+
+            card.innerHTML = `
+                <span class="direction-route-title">Route ${index + 1}</span>
+                <span class="direction-route-distance">${formatRouteSummary(choice)}</span>
+                <span class="direction-route-meta">${floorsText}${connectors ? ` · ${connectors}` : ''}</span>
+            `;
+            this.routeCards.appendChild(card);
+        });
+    }
+
+    findRouteFromStart() {
+        if (this.stops.length === 0) {
+            return this.pathfindingEngine.findRoute(
                 this.startPoint.coords,
                 this.selectedDestination.coords,
                 this.startPoint.floorId,
-                this.selectedDestination.floorId
+                this.selectedDestination.floorId,
+                this.withOpeningHours({ profile: this.routingProfile })
             );
+        }
 
-            const renderRoute = this.getRenderRoute(enrichedRoute);
+        return this.pathfindingEngine.findMultiStopRoute(
+            [
+                { name: 'Start', coords: this.startPoint.coords, floorId: this.startPoint.floorId },
+                ...this.stops,
+                this.selectedDestination
+            ],
+            this.withOpeningHours({ optimizeOrder: this.optimizeStopOrder, profile: this.routingProfile })
+        );
+    }
 
-            this.pathRenderer.renderRoute(renderRoute, {
-                color: '#4f7cff',
-                width: 4,
-                animated: true
-            });
+    /**
+     * A destination spanning several rooms (anchors) is reached at whichever is cheapest from
+     * the start, on any floor
+     */
+    pickNearestAnchor() {
+        const destination = this.selectedDestination;
+        if (!destination || !this.startPoint) return;
+
+        const anchor = this.pathfindingEngine.findNearestAnchor(
+            this.stops[this.stops.length - 1] || this.startPoint,
+            destination.anchors,
+            this.withOpeningHours({ profile: this.routingProfile })
+        );
+        if (!anchor || anchor.geometryId === destination.locationId) return;
+
+        this.selectedDestination = {
+            ...destination,
+            coords: anchor.coords,
+            floorId: anchor.floorId,
+            locationId: anchor.geometryId
+        };
+        if (this.toField) {
+            this.toField.textContent = `${destination.name} (${this.getFloorName(anchor.floorId)})`;
+        }
+    }
 
-            const warnings = enrichedRoute.warnings || [];
-            const warningText = warnings.length ? ` ${warnings.join(' ')}` : '';
-            const suffix = warnings.length ? `.${warningText}` : '';
-            this.updateStatus(`Route ready - ${enrichedRoute.distance.toFixed(1)}m${suffix}`, warnings.length > 0);
-        } catch (error) {
-            this.updateStatus(`Routing failed: ${error.message}`, true);
+    withOpeningHours(options) {
+        return this.availability ? this.availability.getOpeningHoursRouteOptions(options) : options;
+    }
+
+    getClosedOnArrivalWarning(route) {
+        const destination = this.selectedDestination;
+        if (!this.availability || !destination?.locationId) return null;
+
+        const arrival = this.availability.getArrivalStatus(destination.locationId, route);
+        if (arrival?.open !== false) return null;
+        const time = arrival.arrivalTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `${destination.name || 'Destination'} is closed when you arrive (${time}).`;
+    }
+
+    applyStopOrder(route) {
+        // route.order indexes [start, ...stops, destination]; keep the list in visiting order
+        const reordered = route.order.slice(1, -1).map(index => this.stops[index - 1]);
+        const changed = reordered.some((stop, index) => stop !== this.stops[index]);
+        if (changed) {
+            this.stops = reordered;
+            this.renderStops();
         }
     }
 
@@ -356,6 +737,9 @@ export class DirectionsUI {
             }
         }
 
+        const closedWarning = this.getClosedOnArrivalWarning(route);
+        if (closedWarning) warnings.push(closedWarning);
+
         if (floors.length) {
             if (addedStart) floors.unshift(startFloorId);
             if (addedEnd) floors.push(endFloorId);
@@ -405,6 +789,81 @@ export class DirectionsUI {
         this.statusEl.classList.toggle('is-error', isError);
     }
 
+    /**
+     * Start, destination, profile, floor and camera for RouteLink
+     */
+    getRouteState() {
+        const center = this.map.getCenter();
+        const hasRoute = this.routeChoices.length > 0 && this.startPoint && this.selectedDestination;
+
+        return {
+            from: hasRoute ? this.startPoint : null,
+            to: hasRoute ? this.selectedDestination : null,
+            profile: this.routingProfile,
+            floorId: this.currentFloor,
+            camera: {
+                center: [center.lng, center.lat],
+                zoom: this.map.getZoom(),
+                bearing: this.map.getBearing(),
+                pitch: this.map.getPitch()
+            }
+        };
+    }
+
+    /**
+     * Tell listeners (URL history) that the user picked a new route or cleared it
+     */
+    notifyRouteChanged() {
+        window.dispatchEvent(new CustomEvent('directions-route-changed', {
+            detail: { state: this.getRouteState() }
+        }));
+    }
+
+    async shareRoute() {
+        if (!this.routeLink || this.routeChoices.length === 0) {
+            this.updateStatus('Find a route to share first.');
+            return;
+        }
+
+        const url = this.routeLink.toUrl(this.getRouteState());
+        try {
+            await navigator.clipboard.writeText(url);
+            this.updateStatus('Route link copied.');
+        } catch (error) {
+            // Clipboard needs a secure context and permission; show the link instead
+            this.updateStatus(`Copy this link: ${url}`);
+        }
+    }
+
+    /**
+     * Show a route computed elsewhere (e.g. NavigationController for a shared link)
+     * without moving the camera or adding a history entry
+     * @param {Object} route - findRoute result
+     * @param {Object} endpoints - { from, to, profile } with resolved coords
+     */
+    showRoute(route, { from, to, profile }) {
+        if (profile && profile !== this.routingProfile) {
+            this.routingProfile = profile;
+            const select = this.panel?.querySelector('#routing-profile');
+            if (select) select.value = profile;
+        }
+
+        this.stops = [];
+        this.renderStops();
+        this.setStartLocation(from);
+        this.setDestination({
+            name: to.name || 'Dropped Pin',
+            coords: to.coords,
+            floorId: to.floorId,
+            locationId: to.locationId || null,
+            anchors: to.anchors || null
+        }, { flyTo: false });
+
+        this.alternativesShown = false;
+        this.routeChoices = [this.withRouteEndpoints(route, from.coords, to.coords, from.floorId, to.floorId)];
+        this.selectRouteChoice(0);
+    }
+
     clearRoute() {
         this.pathRenderer.clearRoute();
         if (this.startMarker) {
@@ -413,6 +872,12 @@ export class DirectionsUI {
         }
         this.startPoint = null;
         this.selectedDestination = null;
+        this.stops = [];
+        this.awaitingStop = false;
+        this.addStopButton?.classList.remove('is-active');
+        this.renderStops();
+        this.routeChoices = [];
+        this.renderRouteCards();
 
         if (this.toField) {
             this.toField.textContent = 'Select a destination';
@@ -0,0 +1,199 @@
+/**
+ * IsochroneRenderer - Shades walkable areas by walking time from a point
+ * Every node inside the longest band (and its direct neighbours) owns its Voronoi cell on its
+ * floor; cells are merged per time band and clipped to the walkable areas. Features carry floorId, so the regular
+ * floor filter shows one floor at a time.
+ */
+import * as turf from '@turf/turf';
+import { TravelTimeEstimator, DEFAULT_MOBILITY_PROFILE } from '../features/TravelTimeEstimator.js';
+
+const SOURCE_ID = 'isochrone-source';
+const LAYER_ID = 'isochrone-layer';
+
+export const DEFAULT_ISOCHRONE_BANDS = [
+    { minutes: 1, color: '#22c55e' },
+    { minutes: 2, color: '#eab308' },
+    { minutes: 5, color: '#f97316' }
+];
+
+export class IsochroneRenderer {
+    constructor(map, layerManager, travelTime = new TravelTimeEstimator()) {
+        this.map = map;
+        this.layerManager = layerManager;
+        this.travelTime = travelTime;
+        this.features = [];
+    }
+
+    /**
+     * maxSeconds for computeDistanceField: the longest band
+     * @param {Array<Object>} bands - [{ minutes }]
+     */
+    getMaxSeconds(bands = DEFAULT_ISOCHRONE_BANDS) {
+        return Math.max(...bands.map(band => band.minutes)) * 60;
+    }
+
+    /**
+     * @param {Object} field - PathfindingEngine.computeDistanceField result
+     * @param {Graph} graph
+     * @param {Object} walkableAreas - FeatureCollection of walkable polygons (properties.floorId)
+     * @param {Object} options - bands [{ minutes, color }], mobilityProfile (walking times), opacity
+     * @returns {Array<Object>} Rendered features
+     */
+    render(field, graph, walkableAreas, options = {}) {
+        const {
+            bands = DEFAULT_ISOCHRONE_BANDS,
+            mobilityProfile = DEFAULT_MOBILITY_PROFILE,
+            opacity = 0.45
+        } = options;
+
+        const sortedBands = [...bands].sort((a, b) => a.minutes - b.minutes);
+        this.features = this.buildFeatures(field, graph, walkableAreas, sortedBands, mobilityProfile);
+        const data = { type: 'FeatureCollection', features: this.features };
+
+        const colorExpression = ['match', ['get', 'band']];
+        sortedBands.forEach((band, index) => colorExpression.push(index, band.color));
+        colorExpression.push('#94a3b8');
+
+        if (this.map.getSource(SOURCE_ID)) {
+            this.map.getSource(SOURCE_ID).setData(data);
+            this.map.setPaintProperty(LAYER_ID, 'fill-color', colorExpression);
+            this.map.setPaintProperty(LAYER_ID, 'fill-opacity', opacity);
+        } else {
+            this.map.addSource(SOURCE_ID, { type: 'geojson', data });
+            this.map.addLayer({
+                id: LAYER_ID,
+                type: 'fill',
+                source: SOURCE_ID,
+                minzoom: this.layerManager?.MIN_ZOOM_INDOOR ?? 0,
+                paint: {
+                    'fill-color': colorExpression,
+                    'fill-opacity': opacity
+                }
+            }, this.map.getLayer('route-line-layer-shadow') ? 'route-line-layer-shadow' : undefined);
+        }
+
+        // Follow the selected floor like the other indoor layers
+        if (this.layerManager?.mvfLayerIds) {
+            this.layerManager.mvfLayerIds.add(LAYER_ID);
+            const floorId = this.layerManager.currentFloorId;
+            if (floorId && !this.layerManager.isStackedView?.()) {
+                this.map.setFilter(LAYER_ID, ['==', ['get', 'floorId'], floorId]);
+            }
+        }
+
+        console.log(`⏱️ Isochrones: ${this.features.length} areas in ${sortedBands.map(band => `${band.minutes} min`).join(' / ')} bands`);
+        return this.features;
+    }
+
+    clear() {
+        if (this.map.getLayer(LAYER_ID)) this.map.removeLayer(LAYER_ID);
+        if (this.map.getSource(SOURCE_ID)) this.map.removeSource(SOURCE_ID);
+        this.layerManager?.mvfLayerIds?.delete(LAYER_ID);
+        this.features = [];
+    }
+
+    isVisible() {
+        return Boolean(this.map.getLayer(LAYER_ID));
+    }
+
+    buildFeatures(field, graph, walkableAreas, bands, mobilityProfile) {
+        const features = [];
+        const areasByFloor = new Map();
+        (walkableAreas?.features || []).forEach(area => {
+            const type = area.geometry?.type;
+            if (type !== 'Polygon' && type !== 'MultiPolygon') return;
+            const floorId = area.properties?.floorId;
+            if (!areasByFloor.has(floorId)) areasByFloor.set(floorId, []);
+            areasByFloor.get(floorId).push({ feature: area, bbox: turf.bbox(area) });
+        });
+
+        // Seconds per node inside the longest band; the rest of the graph is never polygonized
+        const maxSeconds = bands[bands.length - 1].minutes * 60;
+        const secondsByNode = new Map();
+        field.nodes.forEach((entry, nodeId) => {
+            const seconds = this.travelTime.estimateSeconds(entry, mobilityProfile);
+            if (seconds <= maxSeconds) secondsByNode.set(nodeId, seconds);
+        });
+
+        const sitesByFloor = new Map();
+        const addSite = (node, seconds) => {
+            if (!node || !areasByFloor.has(node.floorId)) return;
+            if (!sitesByFloor.has(node.floorId)) sitesByFloor.set(node.floorId, new Map());
+
+            const sites = sitesByFloor.get(node.floorId);
+            const key = `${node.coords[0]},${node.coords[1]}`;
+            const existing = sites.get(key);
+            if (!existing || (seconds !== null && (existing.seconds === null || seconds < existing.seconds))) {
+                sites.set(key, { node, seconds });
+            }
+        };
+
+        // Neighbours outside the bands still get cells so the edge cells don't spill past them
+        secondsByNode.forEach((seconds, nodeId) => {
+            addSite(graph.getNode(nodeId), seconds);
+            graph.getEdges(nodeId).forEach(edge => {
+                if (!secondsByNode.has(edge.target)) addSite(graph.getNode(edge.target), null);
+            });
+        });
+
+        sitesByFloor.forEach((sites, floorId) => {
+            const areas = areasByFloor.get(floorId);
+            const list = Array.from(sites.values());
+            if (list.length === 0 || !list.some(site => site.seconds !== null)) return;
+
+            const [minX, minY, maxX, maxY] = turf.bbox(turf.featureCollection(areas.map(area => area.feature)));
+            const pad = 0.0005;
+            const cells = turf.voronoi(
+                turf.featureCollection(list.map(site => turf.point(site.node.coords))),
+                { bbox: [minX - pad, minY - pad, maxX + pad, maxY + pad] }
+            );
+
+            // Merge cells per band first; clipping a few band shapes is far cheaper than every cell
+            const cellsByBand = bands.map(() => []);
+            cells.features.forEach((cell, index) => {
+                const { seconds } = list[index];
+                if (!cell || seconds === null) return;
+
+                const band = bands.findIndex(item => seconds <= item.minutes * 60);
+                if (band !== -1) cellsByBand[band].push(cell);
+            });
+
+            cellsByBand.forEach((bandCells, band) => {
+                if (bandCells.length === 0) return;
+
+                let merged = null;
+                try {
+                    merged = bandCells.length > 1 ? turf.union(turf.featureCollection(bandCells)) : bandCells[0];
+                } catch (e) {
+                    merged = null;
+                }
+                if (!merged) return;
+
+                const [bandMinX, bandMinY, bandMaxX, bandMaxY] = turf.bbox(merged);
+                areas.forEach(({ feature, bbox }) => {
+                    if (bandMaxX < bbox[0] || bandMinX > bbox[2] || bandMaxY < bbox[1] || bandMinY > bbox[3]) return;
+
+                    let clipped = null;
+                    try {
+                        clipped = turf.intersect(turf.featureCollection([merged, feature]));
+                    } catch (e) {
+                        clipped = null;
+                    }
+                    if (!clipped) return;
+
+                    features.push({
+                        type: 'Feature',
+                        geometry: clipped.geometry,
+                        properties: {
+                            floorId,
+                            band,
+                            minutes: bands[band].minutes
+                        }
+                    });
+                });
+            });
+        });
+
+        return features;
+    }
+}
@@ -3,12 +3,15 @@
  * Renders path lines, waypoints, and direction indicators
  */
 import maplibregl from 'maplibre-gl';
+import * as turf from '@turf/turf';
+import { getConnectorIcon } from '../features/PathEnhancements.js';
 
 export class PathRenderer {
     constructor(map, layerManager) {
         this.map = map;
         this.layerManager = layerManager;
         this.currentRoute = null;
+        this.stackedFloorOffsets = null; // floorId -> meters, set while the stacked 3D view is on
     }
 
     /**
@@ -121,7 +124,7 @@ export class PathRenderer {
         }
 
         // Add distance markers along path
-        if (showDistanceMarkers && route.distance > 20) {
+        if (showDistanceMarkers && (route.walkingDistance ?? route.distance) > 20) {
             this.renderDistanceMarkers(route, startColor);
         }
 
@@ -135,6 +138,176 @@ export class PathRenderer {
 
         // Add start/end markers
         this.renderStartEndMarkers(route, color);
+
+        // Numbered markers for intermediate stops (multi-stop routes)
+        if (Array.isArray(route.stops) && route.stops.length > 2) {
+            this.renderStopMarkers(route, color);
+        }
+
+        if (this.stackedFloorOffsets) {
+            this.setStackedView(this.stackedFloorOffsets);
+        }
+    }
+
+    /**
+     * Switch the stacked multi-floor view on (floor offsets) or off (null)
+     * The flat route line stays on the ground, so it is swapped for the 3D route while stacked.
+     */
+    setStackedView(floorOffsets) {
+        this.stackedFloorOffsets = floorOffsets || null;
+        this.map.getContainer().classList.toggle('is-stacked-view', Boolean(this.stackedFloorOffsets));
+
+        ['route-line-layer', 'route-line-layer-animated', 'route-line-layer-glow', 'route-line-layer-shadow', 'route-alternatives-layer'].forEach(layerId => {
+            if (this.map.getLayer(layerId)) {
+                this.map.setLayoutProperty(layerId, 'visibility', this.stackedFloorOffsets ? 'none' : 'visible');
+            }
+        });
+
+        if (this.stackedFloorOffsets && this.currentRoute) {
+            this.renderRoute3D(this.currentRoute);
+        } else {
+            this.clearRoute3D();
+        }
+    }
+
+    /**
+     * Draw the route as a raised ribbon on each floor, joined by vertical columns
+     * where it takes stairs/elevators. Built from route.segments, which keep per-segment floors.
+     */
+    renderRoute3D(route, options = {}) {
+        const {
+            color = '#4f7cff',
+            connectorColor = '#7c5ce8',
+            widthMeters = 0.8,
+            thicknessMeters = 0.5
+        } = options;
+        this.clearRoute3D();
+
+        const offsets = this.stackedFloorOffsets;
+        const segments = route?.segments || [];
+        if (!offsets || segments.length === 0) return;
+
+        const offsetOf = (floorId) => offsets.get(floorId) ?? 0;
+        const features = [];
+        let run = null;
+
+        const flushRun = () => {
+            if (run && run.coords.length > 1) {
+                const base = offsetOf(run.floorId);
+                const ribbon = turf.buffer(turf.lineString(run.coords), widthMeters / 2, { units: 'meters' });
+                if (ribbon) {
+                    ribbon.properties = { color, base, height: base + thicknessMeters };
+                    features.push(ribbon);
+                }
+            }
+            run = null;
+        };
+
+        segments.forEach(segment => {
+            if (!segment.fromCoords || !segment.toCoords) return;
+
+            if (segment.floorChange || segment.fromFloor !== segment.toFloor) {
+                flushRun();
+                const from = offsetOf(segment.fromFloor);
+                const to = offsetOf(segment.toFloor);
+                const column = turf.buffer(turf.point(segment.fromCoords), widthMeters / 2, { units: 'meters', steps: 8 });
+                column.properties = {
+                    color: connectorColor,
+                    base: Math.min(from, to),
+                    height: Math.max(from, to) + thicknessMeters
+                };
+                features.push(column);
+
+                // The next floor's ribbon starts at the column so the line stays continuous
+                run = { floorId: segment.toFloor, coords: [segment.fromCoords, segment.toCoords] };
+                return;
+            }
+
+            if (!run || run.floorId !== segment.fromFloor) {
+                flushRun();
+                run = { floorId: segment.fromFloor, coords: [segment.fromCoords] };
+            }
+            run.coords.push(segment.toCoords);
+        });
+        flushRun();
+
+        this.map.addSource('route-3d-source', {
+            type: 'geojson',
+            data: { type: 'FeatureCollection', features }
+        });
+
+        this.map.addLayer({
+            id: 'route-3d-layer',
+            type: 'fill-extrusion',
+            source: 'route-3d-source',
+            paint: {
+                'fill-extrusion-color': ['get', 'color'],
+                'fill-extrusion-base': ['get', 'base'],
+                'fill-extrusion-height': ['get', 'height'],
+                'fill-extrusion-opacity': 0.95
+            }
+        });
+    }
+
+    clearRoute3D() {
+        if (this.map.getLayer('route-3d-layer')) {
+            this.map.removeLayer('route-3d-layer');
+        }
+        if (this.map.getSource('route-3d-source')) {
+            this.map.removeSource('route-3d-source');
+        }
+    }
+
+    /**
+     * Draw non-selected alternative routes underneath the active route in a muted style
+     * Call after renderRoute (which clears everything, alternatives included)
+     */
+    renderAlternativeRoutes(routes, options = {}) {
+        const { color = '#8a93a6', width = 4 } = options;
+        this.clearAlternativeRoutes();
+
+        const features = routes
+            .filter(route => route?.path?.length > 1)
+            .map((route, index) => ({
+                type: 'Feature',
+                properties: { rank: route.rank ?? index },
+                geometry: { type: 'LineString', coordinates: route.path }
+            }));
+
+        if (features.length === 0) return;
+
+        this.map.addSource('route-alternatives-source', {
+            type: 'geojson',
+            data: { type: 'FeatureCollection', features }
+        });
+
+        // Keep alternatives below the active route's layers
+        const beforeId = this.map.getLayer('route-line-layer-shadow') ? 'route-line-layer-shadow' : undefined;
+        this.map.addLayer({
+            id: 'route-alternatives-layer',
+            type: 'line',
+            source: 'route-alternatives-source',
+            layout: {
+                'line-cap': 'round',
+                'line-join': 'round',
+                visibility: this.stackedFloorOffsets ? 'none' : 'visible'
+            },
+            paint: {
+                'line-color': color,
+                'line-width': width,
+                'line-opacity': 0.45,
+                'line-dasharray': [2, 1.5]
+            }
+        }, beforeId);
+    }
+
+    clearAlternativeRoutes() {
+        if (this.map.getLayer('route-alternatives-layer')) {
+            this.map.removeLayer('route-alternatives-layer');
+        }
+        if (this.map.getSource('route-alternatives-source')) {
+            this.map.removeSource('route-alternatives-source');
+        }
     }
 
     /**
@@ -142,7 +315,7 @@ export class PathRenderer {
      */
     renderDistanceMarkers(route, color) {
         const path = route.path;
-        const totalDistance = route.distance;
+        const totalDistance = route.walkingDistance ?? route.distance;
 
         // Determine interval based on route length
         const interval = totalDistance > 100 ? 50 : 20; // meters
@@ -401,8 +574,9 @@ export class PathRenderer {
                 // Add marker at floor transition point
                 const marker = document.createElement('div');
                 marker.className = 'route-waypoint';
+                marker.title = segment.type || 'floor change';
                 marker.innerHTML = segment.fromFloor !== segment.toFloor
-                    ? '🔄'
+                    ? getConnectorIcon(segment.type)
                     : '•';
                 marker.style.cssText = `
                     width: 24px;
@@ -467,6 +641,38 @@ export class PathRenderer {
             .addTo(this.map);
     }
 
+    /**
+     * Render numbered markers at intermediate stops
+     */
+    renderStopMarkers(route, color) {
+        route.stops.slice(1, -1).forEach((stop, index) => {
+            if (!stop?.coords) return;
+
+            const marker = document.createElement('div');
+            marker.className = 'route-stop-marker';
+            marker.title = stop.name || `Stop ${index + 1}`;
+            marker.textContent = String(index + 1);
+            marker.style.cssText = `
+                width: 22px;
+                height: 22px;
+                background: #292929;
+                border: 2px solid ${color};
+                color: #fff;
+                border-radius: 50%;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-size: 12px;
+                font-weight: 600;
+                box-shadow: 0 0 8px ${color};
+            `;
+
+            new maplibregl.Marker(marker)
+                .setLngLat(stop.coords)
+                .addTo(this.map);
+        });
+    }
+
     injectStyles() {
         if (!document.getElementById('path-renderer-styles')) {
             const style = document.createElement('style');
@@ -508,8 +714,11 @@ export class PathRenderer {
             this.map.removeSource('route-line-source');
         }
 
+        this.clearAlternativeRoutes();
+        this.clearRoute3D();
+
         // Remove all route markers (including new turn indicators and distance markers)
-        document.querySelectorAll('.route-waypoint, .route-start-marker, .route-end-marker, .route-arrow-marker, .route-turn-indicator, .route-distance-marker')
+        document.querySelectorAll('.route-waypoint, .route-start-marker, .route-end-marker, .route-arrow-marker, .route-turn-indicator, .route-distance-marker, .route-stop-marker')
             .forEach(el => el.remove());
 
         this.currentRoute = null;
@@ -0,0 +1,62 @@
+/**
+ * GraphBuilderWorker - Dedicated worker entry for routing graph construction
+ * Runs CollisionDetector, EdgeBuilder and Graph construction off the main thread
+ * and posts the packed graph back; the main thread terminates it afterwards.
+ */
+import { PathfindingEngine } from '../PathfindingEngine.js';
+import { Graph } from '../core/Graph.js';
+
+const post = (message, transfer = []) => {
+    self.postMessage(message, transfer);
+};
+
+const build = async (payload) => {
+    const {
+        nodeFeatures,
+        geometry,
+        connections,
+        walkableData,
+        nonwalkableData,
+        kindsData,
+        entranceNodesData,
+        navigationFlags,
+        options = {}
+    } = payload;
+
+    const engine = new PathfindingEngine();
+    await engine.initialize(
+        nodeFeatures,
+        geometry,
+        connections,
+        walkableData,
+        nonwalkableData,
+        kindsData,
+        entranceNodesData,
+        navigationFlags,
+        {
+            ...options,
+            // No UI thread to keep responsive in here
+            edgeBuildYieldEvery: null,
+            edgeBuildYieldAfterMs: null,
+            onStatus: (message) => post({ type: 'status', message }),
+            onVisibilityEdgesBuilt: options.collectVisibilityEdges
+                ? (edges) => post({ type: 'visibility-edges', edges })
+                : null
+        }
+    );
+
+    const packed = engine.getGraph().toPacked();
+    post({ type: 'built', packed }, Graph.getPackedTransferables(packed));
+};
+
+self.onmessage = async (event) => {
+    const { type, payload } = event.data || {};
+
+    try {
+        if (type === 'build') {
+            await build(payload);
+        }
+    } catch (e) {
+        post({ type: 'error', message: e?.message || String(e) });
+    }
+};
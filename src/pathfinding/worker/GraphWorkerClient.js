@@ -0,0 +1,50 @@
+/**
+ * GraphWorkerClient - Main-thread side of the graph builder worker
+ * Wraps postMessage traffic in promises and forwards progress to onStatus.
+ */
+export class GraphWorkerClient {
+    constructor() {
+        this.worker = null;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Build the graph in the worker; resolves with the packed graph
+     */
+    build(payload, { onStatus = null, onVisibilityEdges = null } = {}) {
+        this.terminate();
+        this.worker = new Worker(new URL('./GraphBuilderWorker.js', import.meta.url), { type: 'module' });
+
+        return new Promise((resolve, reject) => {
+            this.worker.onmessage = (event) => {
+                const message = event.data || {};
+
+                if (message.type === 'status') {
+                    if (onStatus) onStatus(message.message);
+                } else if (message.type === 'visibility-edges') {
+                    if (onVisibilityEdges) onVisibilityEdges(message.edges);
+                } else if (message.type === 'built') {
+                    resolve(message.packed);
+                } else if (message.type === 'error') {
+                    reject(new Error(message.message));
+                }
+            };
+
+            this.worker.onerror = (event) => {
+                reject(new Error(event?.message || 'Graph worker failed'));
+            };
+
+            this.worker.postMessage({ type: 'build', payload });
+        });
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
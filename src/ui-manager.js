@@ -73,6 +73,8 @@ export class UIManager {
         checkZoom();
 
         const adjustView = () => {
+            // Kiosks keep the pitch and heading they were set up with
+            if (document.body.classList.contains('is-kiosk')) return;
             const zoom = this.map.getZoom();
             if (zoom < this.MIN_ZOOM_INDOOR) {
                 if (this.map.getPitch() > 15) {
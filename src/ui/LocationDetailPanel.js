@@ -0,0 +1,228 @@
+/**
+ * LocationDetailPanel - Card for the location picked on the map or in search
+ * Shows what locations.json knows about the place: categories, opening hours with an
+ * open-now flag, images, links and social accounts. Its "Directions from/to here" buttons
+ * dispatch location-directions-requested for script.js to hand to DirectionsUI.
+ */
+import { OpeningHours, DAYS_OF_WEEK } from '../navigation/OpeningHours.js';
+import { escapeHtml } from '../utils.js';
+
+// Only these open from the card; anything else in the data (javascript:, data:) is dropped
+const SAFE_URL_PATTERN = /^(https?:|mailto:|tel:)/i;
+
+const safeUrl = (url) => (typeof url === 'string' && SAFE_URL_PATTERN.test(url.trim()) ? url.trim() : null);
+
+export class LocationDetailPanel {
+    /**
+     * @param {Array<Object>} locations - locations.json entries (plus mvf-loader's synthetic ones)
+     * @param {Array<Object>} floors - Floor features, for floor names
+     * @param {Object} options - categories (location-categories.json)
+     */
+    constructor(locations = [], floors = [], { categories = [] } = {}) {
+        // geometryId -> location; real locations.json entries win over synthetic ones (no id)
+        this.locationsByGeometry = new Map();
+        (locations || []).forEach(location => {
+            (location.geometryAnchors || []).forEach(anchor => {
+                const existing = this.locationsByGeometry.get(anchor.geometryId);
+                if (!existing || (!existing.id && location.id)) {
+                    this.locationsByGeometry.set(anchor.geometryId, location);
+                }
+            });
+        });
+
+        this.categoryNames = new Map();
+        (categories || []).forEach(category => {
+            const name = category?.details?.name || category?.name;
+            if (category?.id && name) this.categoryNames.set(category.id, name);
+        });
+
+        this.floorLookup = new Map();
+        floors.forEach(floor => {
+            const name = floor.properties?.details?.name || `Level ${floor.properties?.elevation ?? ''}`.trim();
+            this.floorLookup.set(floor.properties.id, name);
+        });
+
+        this.panel = null;
+        this.selection = null;
+        this.images = [];
+        this.imageIndex = 0;
+    }
+
+    init() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'location-card is-hidden';
+        this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-label', 'Location details');
+        document.body.appendChild(this.panel);
+
+        this.panel.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (!action) return;
+
+            if (action === 'close') {
+                this.hide();
+            } else if (action === 'previous-image' || action === 'next-image') {
+                this.showImage(this.imageIndex + (action === 'next-image' ? 1 : -1));
+            } else if (action === 'directions-from' || action === 'directions-to') {
+                this.requestDirections(action === 'directions-from' ? 'from' : 'to');
+            }
+        });
+
+        window.addEventListener('location-deselected', () => this.hide());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hide();
+        });
+    }
+
+    /**
+     * @param {Object} detail - location-clicked detail { name, coords, floorId, locationId }
+     */
+    show(detail) {
+        if (!this.panel || !detail?.coords) return;
+
+        const location = this.findLocation(detail.locationId);
+        this.selection = { ...detail, name: location?.details?.name || detail.name };
+        this.render(location, this.selection);
+        this.panel.classList.remove('is-hidden');
+    }
+
+    hide() {
+        this.selection = null;
+        this.panel?.classList.add('is-hidden');
+    }
+
+    findLocation(geometryId) {
+        return geometryId ? this.locationsByGeometry.get(geometryId) || null : null;
+    }
+
+    render(location, selection) {
+        const details = location?.details || {};
+        const categories = this.getCategoryNames(location);
+        const openingHours = OpeningHours.forLocation(location);
+        const links = this.getLinks(location);
+        this.images = this.getImages(location);
+        this.imageIndex = 0;
+
+        // Every floor the location covers
+        const floorIds = new Set([selection.floorId, ...(location?.geometryAnchors || []).map(anchor => anchor.floorId)]);
+        const floorNames = Array.from(floorIds, floorId => this.floorLookup.get(floorId)).filter(Boolean).join(', ');
+        const subtitle = [floorNames, ...categories].filter(Boolean);
+
+        this.panel.innerHTML = `
+            <div class="location-card-header">
+                <div>
+                    <div class="location-card-title">${escapeHtml(selection.name || 'Selected location')}</div>
+                    ${subtitle.length ? `<div class="location-card-subtitle">${subtitle.map(escapeHtml).join(' · ')}</div>` : ''}
+                </div>
+                <button class="location-card-close" data-action="close" aria-label="Close details">&times;</button>
+            </div>
+            ${this.images.length ? `
+                <div class="location-card-carousel">
+                    <img class="location-card-image" alt="">
+                    ${this.images.length > 1 ? `
+                        <button class="location-card-nav is-previous" data-action="previous-image" aria-label="Previous image">&#8249;</button>
+                        <button class="location-card-nav is-next" data-action="next-image" aria-label="Next image">&#8250;</button>
+                        <div class="location-card-counter"></div>
+                    ` : ''}
+                </div>
+            ` : ''}
+            ${details.description ? `<div class="location-card-description">${escapeHtml(details.description)}</div>` : ''}
+            ${this.renderOpeningHours(openingHours)}
+            ${links.length ? `
+                <div class="location-card-links">
+                    ${links.map(link => `<a href="${escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(link.label)}</a>`).join('')}
+                </div>
+            ` : ''}
+            <div class="location-card-actions">
+                <button data-action="directions-from">Directions from here</button>
+                <button class="primary" data-action="directions-to">Directions to here</button>
+            </div>
+        `;
+
+        if (this.images.length) this.showImage(0);
+    }
+
+    renderOpeningHours(openingHours) {
+        if (openingHours.isEmpty()) return '';
+
+        const now = new Date();
+        const open = openingHours.isOpenAt(now);
+        const today = DAYS_OF_WEEK[now.getDay()];
+        const rows = openingHours.getWeek().map(({ day, hours }) => `
+            <div class="location-card-hours-row${day === today ? ' is-today' : ''}">
+                <span>${day}</span>
+                <span>${hours.length ? hours.join(', ') : 'Closed'}</span>
+            </div>
+        `).join('');
+
+        return `
+            <div class="location-card-hours">
+                <div class="location-card-open ${open ? 'is-open' : 'is-closed'}">${open ? 'Open now' : 'Closed now'}</div>
+                ${rows}
+            </div>
+        `;
+    }
+
+    showImage(index) {
+        if (!this.images.length) return;
+        this.imageIndex = (index + this.images.length) % this.images.length;
+
+        const image = this.images[this.imageIndex];
+        const img = this.panel.querySelector('.location-card-image');
+        img.src = image.url;
+        img.alt = image.alt;
+
+        const counter = this.panel.querySelector('.location-card-counter');
+        if (counter) counter.textContent = `${this.imageIndex + 1} / ${this.images.length}`;
+    }
+
+    requestDirections(direction) {
+        if (!this.selection) return;
+
+        const { name, coords, floorId, locationId, anchors } = this.selection;
+        window.dispatchEvent(new CustomEvent('location-directions-requested', {
+            detail: { direction, name, coords, floorId, locationId: locationId || null, anchors: anchors || null }
+        }));
+        this.hide();
+    }
+
+    getCategoryNames(location) {
+        const names = (location?.categories || [])
+            .map(category => (typeof category === 'string'
+                ? this.categoryNames.get(category)
+                : this.categoryNames.get(category?.id) || category?.details?.name || category?.name))
+            .filter(Boolean);
+        return Array.from(new Set(names));
+    }
+
+    /**
+     * images entries are { url, altText } or plain URLs
+     */
+    getImages(location) {
+        return (location?.images || [])
+            .map(image => ({
+                url: safeUrl(typeof image === 'string' ? image : image?.url || image?.original),
+                alt: (typeof image === 'object' && (image.altText || image.alt)) || location?.details?.name || ''
+            }))
+            .filter(image => image.url);
+    }
+
+    /**
+     * links ([{ url, label }]) followed by social, either [{ name, url }] or { facebook: url, ... }
+     */
+    getLinks(location) {
+        const social = Array.isArray(location?.social)
+            ? location.social
+            : Object.entries(location?.social || {}).map(([name, url]) => ({ name, url }));
+
+        return [...(location?.links || []), ...social]
+            .map(link => {
+                const url = safeUrl(typeof link === 'string' ? link : link?.url || link?.link);
+                if (!url) return null;
+                const label = (typeof link === 'object' && (link.label || link.name || link.type || link.platform)) ||
+                    url.replace(/^[a-z]+:(\/\/)?/i, '').replace(/\/$/, '');
+                return { url, label };
+            })
+            .filter(Boolean);
+    }
+}
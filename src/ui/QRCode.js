@@ -0,0 +1,426 @@
+/*
+ * Adapted from the QR Code generator library by Project Nayuki
+ *
+ * Copyright (c) Project Nayuki. (MIT License)
+ * https://www.nayuki.io/page/qr-code-generator-library
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ * - The above copyright notice and this permission notice shall be included in
+ *   all copies or substantial portions of the Software.
+ * - The Software is provided "as is", without warranty of any kind, express or
+ *   implied, including but not limited to the warranties of merchantability,
+ *   fitness for a particular purpose and noninfringement. In no event shall the
+ *   authors or copyright holders be liable for any claim, damages or other
+ *   liability, whether in an action of contract, tort or otherwise, arising from,
+ *   out of or in connection with the Software or the use or other dealings in the
+ *   Software.
+ */
+
+/**
+ * QRCode - Minimal QR code encoder (byte mode, versions 1-40) drawn to a canvas
+ * Kept local so kiosk screens work offline; follows ISO/IEC 18004 without the
+ * numeric/alphanumeric/kanji modes, which deep links never need.
+ */
+
+// Indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+const ERROR_CORRECTION_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// GF(2^8) multiplication modulo x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return result;
+};
+
+export class QRCode {
+    /**
+     * @param {string} text - Encoded as UTF-8
+     * @param {Object} options - errorCorrection: 'L' | 'M' | 'Q' | 'H' (default 'M')
+     */
+    constructor(text, { errorCorrection = 'M' } = {}) {
+        if (!ECC_CODEWORDS_PER_BLOCK[errorCorrection]) {
+            throw new Error(`Unknown QR error correction level: ${errorCorrection}`);
+        }
+
+        this.errorCorrection = errorCorrection;
+        const bytes = Array.from(new TextEncoder().encode(text));
+        this.version = this.pickVersion(bytes.length);
+        this.size = this.version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addErrorCorrection(this.encodeData(bytes)));
+        this.mask = this.applyBestMask();
+    }
+
+    static getRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignCount = Math.floor(version / 7) + 2;
+            result -= (25 * alignCount - 10) * alignCount - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    getDataCodewords(version = this.version) {
+        return Math.floor(QRCode.getRawDataModules(version) / 8)
+            - ECC_CODEWORDS_PER_BLOCK[this.errorCorrection][version] * ERROR_CORRECTION_BLOCKS[this.errorCorrection][version];
+    }
+
+    pickVersion(byteLength) {
+        for (let version = 1; version <= 40; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + byteLength * 8 <= this.getDataCodewords(version) * 8) {
+                return version;
+            }
+        }
+        throw new Error(`Text too long for a QR code (${byteLength} bytes)`);
+    }
+
+    isDark(x, y) {
+        return this.modules[y][x];
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    getAlignmentPositions() {
+        if (this.version === 1) return [];
+        const count = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = this.size - 7; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [this.size - 4, 3], [3, this.size - 4]].forEach(([x, y]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const xx = x + dx;
+                    const yy = y + dy;
+                    if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                        this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = this.getAlignmentPositions();
+        const last = positions.length - 1;
+        positions.forEach((y, i) => {
+            positions.forEach((x, j) => {
+                // Corners taken by finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas; real bits are drawn once the mask is known
+        this.drawFormatBits(0);
+        this.drawVersionBits();
+    }
+
+    drawFormatBits(mask) {
+        const data = (FORMAT_BITS[this.errorCorrection] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, getBit(bits, i));
+        this.setFunctionModule(8, 7, getBit(bits, 6));
+        this.setFunctionModule(8, 8, getBit(bits, 7));
+        this.setFunctionModule(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, getBit(bits, i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, getBit(bits, i));
+        this.setFunctionModule(8, this.size - 8, true);
+    }
+
+    drawVersionBits() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const a = this.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, getBit(bits, i));
+            this.setFunctionModule(b, a, getBit(bits, i));
+        }
+    }
+
+    /**
+     * Mode indicator, length, bytes, terminator and padding as data codewords
+     */
+    encodeData(bytes) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+        };
+
+        append(0b0100, 4);
+        append(bytes.length, this.version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacityBits = this.getDataCodewords() * 8;
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - (bits.length % 8)) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    /**
+     * Split into blocks, append Reed-Solomon codewords and interleave
+     */
+    addErrorCorrection(data) {
+        const blockCount = ERROR_CORRECTION_BLOCKS[this.errorCorrection][this.version];
+        const eccLength = ECC_CODEWORDS_PER_BLOCK[this.errorCorrection][this.version];
+        const rawCodewords = Math.floor(QRCode.getRawDataModules(this.version) / 8);
+        const shortBlockCount = blockCount - (rawCodewords % blockCount);
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const blockData = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+            offset += blockData.length;
+            const ecc = reedSolomonRemainder(blockData, divisor);
+            // Placeholder so short and long blocks line up while interleaving
+            if (i < shortBlockCount) blockData.push(0);
+            blocks.push(blockData.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Zig-zag the codewords through the non-function modules, two columns at a time
+     */
+    drawCodewords(codewords) {
+        let bitIndex = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && bitIndex < codewords.length * 8) {
+                        this.modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+                        bitIndex++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const condition = MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && condition(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Try all eight masks and keep the one with the lowest penalty
+     */
+    applyBestMask() {
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < MASKS.length; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.getPenaltyScore();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            // Masks are XOR, so applying again undoes it
+            this.applyMask(mask);
+        }
+
+        this.applyMask(bestMask);
+        this.drawFormatBits(bestMask);
+        return bestMask;
+    }
+
+    getPenaltyScore() {
+        const { size } = this;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(this.modules[i]);
+            lines.push(this.modules.map(row => row[i]));
+        }
+
+        let penalty = 0;
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+
+        lines.forEach(line => {
+            // Runs of five or more modules of one color
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                    continue;
+                }
+                if (runLength >= 5) penalty += runLength - 2;
+                runLength = 1;
+            }
+
+            // Patterns that look like finder patterns
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) {
+                    penalty += 40;
+                }
+            }
+        });
+
+        let darkCount = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (this.modules[y][x]) darkCount++;
+                if (x + 1 < size && y + 1 < size) {
+                    const color = this.modules[y][x];
+                    if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+
+    /**
+     * Draw onto a canvas, resizing it to fit
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options - scale (px per module), margin (quiet zone in modules), dark, light
+     */
+    drawToCanvas(canvas, { scale = 4, margin = 4, dark = '#000000', light = '#ffffff' } = {}) {
+        const dimension = (this.size + margin * 2) * scale;
+        canvas.width = dimension;
+        canvas.height = dimension;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = light;
+        context.fillRect(0, 0, dimension, dimension);
+        context.fillStyle = dark;
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+                }
+            }
+        }
+        return canvas;
+    }
+}
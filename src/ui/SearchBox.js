@@ -1,18 +1,68 @@
+import { SearchIndex } from './SearchIndex.js';
+import { formatRouteSummary } from '../pathfinding/features/TravelTimeEstimator.js';
+import { OpeningHours } from '../navigation/OpeningHours.js';
+import { escapeHtml } from '../utils.js';
+
+// Shown while the search field is empty; picking one asks for a route to the closest match
+const DEFAULT_QUICK_ACTIONS = [
+    { category: 'restroom', label: 'Nearest restroom' },
+    { category: 'elevator', label: 'Nearest elevator' },
+    { category: 'exit', label: 'Nearest exit' }
+];
+
+const SEARCH_MATCH_LABELS = {
+    translation: null,
+    externalId: 'ID',
+    category: 'Category',
+    keyword: 'Keyword',
+    description: null
+};
+
+// Added to the relevance score of results on the floor being viewed
+const CURRENT_FLOOR_BOOST = 0.15;
+const RESULT_LIMIT = 20;
+const NEAREST_CANDIDATE_LIMIT = 50;
+
+const SORT_MODES = [
+    { id: 'relevance', label: 'Best match' },
+    { id: 'nearest', label: 'Nearest' }
+];
+
+/**
+ * Escaped text with the given character ranges wrapped in <mark>
+ */
+const highlightRanges = (text, ranges = []) => {
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    let html = '';
+    let cursor = 0;
+    sorted.forEach(({ start, end }) => {
+        if (end <= cursor) return;
+        const from = Math.max(start, cursor);
+        html += escapeHtml(text.slice(cursor, from)) + `<mark>${escapeHtml(text.slice(from, end))}</mark>`;
+        cursor = end;
+    });
+    return html + escapeHtml(text.slice(cursor));
+};
+
 export class SearchBox {
-    constructor(map, layerManager, locations, floors = []) {
+    constructor(map, layerManager, locations, floors = [], options = {}) {
         this.map = map;
         this.layerManager = layerManager;
         this.locations = locations;
-        this.searchIndex = (locations || []).map(loc => ({
-            loc,
-            name: loc?.details?.name || '',
-            nameLower: (loc?.details?.name || '').toLowerCase()
-        }));
+        this.searchIndex = new SearchIndex(locations, { categories: options.categories });
         this.floorLookup = new Map();
         floors.forEach(floor => {
             const name = floor.properties?.details?.name || `Level ${floor.properties?.elevation ?? ''}`.trim();
             this.floorLookup.set(floor.properties.id, name);
         });
+        this.quickActions = options.quickActions || DEFAULT_QUICK_ACTIONS;
+        // Walking distances from the user's position (Map location -> { walkingDistance, duration }), or null
+        this.getDistances = options.getDistances || (() => null);
+        this.getCurrentFloorId = options.getCurrentFloorId || (() => null);
+        // Opening hours are checked at the planned departure
+        this.getDepartureTime = options.getDepartureTime || (() => new Date());
+        this.sortMode = 'relevance';
+        this.lastQuery = '';
         this.selectedResultIndex = -1;
         this.searchResults = [];
     }
@@ -70,10 +120,17 @@ export class SearchBox {
         this.clearBtn.addEventListener('click', () => {
             this.input.value = '';
             this.clearBtn.style.display = 'none';
-            this.resultsContainer.style.display = 'none';
+            this.renderQuickActions();
             this.input.focus();
         });
 
+        // Quick actions while the field is empty
+        this.input.addEventListener('focus', () => {
+            if (!this.input.value.trim()) {
+                this.renderQuickActions();
+            }
+        });
+
         // Keyboard Navigation
         this.input.addEventListener('keydown', (e) => {
             if (e.key === 'ArrowDown') {
@@ -83,8 +140,13 @@ export class SearchBox {
                 e.preventDefault();
                 this.navigateResults(-1);
             } else if (e.key === 'Enter') {
-                if (this.selectedResultIndex >= 0 && this.searchResults[this.selectedResultIndex]) {
-                    this.selectResult(this.searchResults[this.selectedResultIndex]);
+                const result = this.searchResults[this.selectedResultIndex];
+                if (this.selectedResultIndex >= 0 && result) {
+                    if (this.quickActions.includes(result)) {
+                        this.selectQuickAction(result);
+                    } else {
+                        this.selectResult(result);
+                    }
                     this.input.blur();
                 }
             }
@@ -100,51 +162,132 @@ export class SearchBox {
 
     handleSearch(query) {
         if (!query.trim()) {
-            this.resultsContainer.style.display = 'none';
+            if (document.activeElement === this.input) {
+                this.renderQuickActions();
+            } else {
+                this.resultsContainer.style.display = 'none';
+            }
             return;
         }
 
-        // Filter locations
-        const needle = query.trim();
-        this.searchResults = this.searchIndex
-            .filter(entry => entry.nameLower.includes(needle))
-            .slice(0, 10)
-            .map(entry => entry.loc); // Limit to 10 results
+        this.lastQuery = query;
+        const distances = this.getDistances();
+        const currentFloorId = this.getCurrentFloorId();
+        const nearest = this.sortMode === 'nearest' && distances;
 
-        this.renderResults();
+        // Ranked with a nudge for the floor being viewed; distance is undefined when
+        // there is no user location and null when the place can't be reached
+        const results = this.searchIndex.search(query, {
+            limit: nearest ? NEAREST_CANDIDATE_LIMIT : RESULT_LIMIT,
+            boost: currentFloorId
+                ? location => ((location.geometryAnchors || []).some(anchor => anchor.floorId === currentFloorId) ? CURRENT_FLOOR_BOOST : 0)
+                : null
+        });
+        results.forEach(result => {
+            result.distance = distances ? distances.get(result.location) || null : undefined;
+        });
+
+        // Grouped by category, or one list by walking distance (unreachable last);
+        // searchResults keeps display order for keyboard navigation
+        const groups = nearest
+            ? [{
+                group: 'Nearest first',
+                results: results
+                    .sort((a, b) => (a.distance?.walkingDistance ?? Infinity) - (b.distance?.walkingDistance ?? Infinity))
+                    .slice(0, RESULT_LIMIT)
+            }]
+            : this.searchIndex.groupResults(results);
+        this.searchResults = groups.flatMap(group => group.results.map(result => result.location));
+
+        this.renderResults(groups, Boolean(distances));
+    }
+
+    setSortMode(mode) {
+        if (this.sortMode === mode) return;
+        this.sortMode = mode;
+        this.handleSearch(this.lastQuery);
+        this.input.focus();
+    }
+
+    renderSortToggle() {
+        const toggle = document.createElement('div');
+        toggle.className = 'search-sort';
+        SORT_MODES.forEach(({ id, label }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.classList.toggle('active', this.sortMode === id);
+            button.setAttribute('aria-pressed', String(this.sortMode === id));
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setSortMode(id);
+            });
+            toggle.appendChild(button);
+        });
+        return toggle;
     }
 
-    renderResults() {
+    renderResults(groups = [], showDistances = false) {
         this.resultsContainer.innerHTML = '';
         this.selectedResultIndex = -1;
+        const departure = this.getDepartureTime();
+
+        if (showDistances && this.searchResults.length > 0) {
+            this.resultsContainer.appendChild(this.renderSortToggle());
+        }
 
         if (this.searchResults.length === 0) {
             this.resultsContainer.innerHTML = '<div class="no-results">No results found</div>';
         } else {
             const fragment = document.createDocumentFragment();
-            this.searchResults.forEach((loc, index) => {
-                const item = document.createElement('div');
-                item.className = 'search-result-item';
-                // Safe access to floor
-                let floorLabel = '';
-                const anchor = loc.geometryAnchors && loc.geometryAnchors.length > 0 ? loc.geometryAnchors[0] : null;
-                if (anchor) {
-                    floorLabel = this.getFloorLabel(anchor.floorId);
-                }
+            groups.forEach(({ group, results }) => {
+                const header = document.createElement('div');
+                header.className = 'search-result-group';
+                header.textContent = group;
+                fragment.appendChild(header);
+
+                results.forEach(result => {
+                    const loc = result.location;
+                    const item = document.createElement('div');
+                    item.className = 'search-result-item';
+                    if (result.distance === null) item.classList.add('is-unreachable');
+                    // Every floor the location covers
+                    const floorLabel = this.getFloorLabels(loc).join(', ');
 
-                item.innerHTML = `
-                    <div class="result-icon">
-                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="opacity:0.7"><path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path><circle cx="12" cy="10" r="3"></circle></svg>
-                    </div>
-                    <div class="result-info">
-                        <div class="result-name">${loc.details.name}</div>
-                        <div class="result-floor">${floorLabel}</div>
-                    </div>
-                `;
-                item.addEventListener('click', () => {
-                    this.selectResult(loc);
+                    // Say why it matched when it wasn't the name (category, translation, ID, ...)
+                    const { match } = result;
+                    const matchLabel = match ? match.label || SEARCH_MATCH_LABELS[match.kind] : null;
+                    const matchText = match
+                        ? `${matchLabel ? `${escapeHtml(matchLabel)}: ` : ''}${highlightRanges(match.text, match.ranges)}`
+                        : '';
+                    const closed = OpeningHours.forLocation(loc).isOpenAt(departure) === false;
+                    const details = [
+                        escapeHtml(floorLabel),
+                        closed ? '<span class="result-closed">Closed</span>' : '',
+                        matchText
+                    ].filter(Boolean).join(' · ');
+                    let distanceText = '';
+                    if (result.distance) {
+                        distanceText = escapeHtml(formatRouteSummary(result.distance));
+                    } else if (result.distance === null) {
+                        distanceText = 'Not reachable with this profile';
+                    }
+
+                    item.innerHTML = `
+                        <div class="result-icon">
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="opacity:0.7"><path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path><circle cx="12" cy="10" r="3"></circle></svg>
+                        </div>
+                        <div class="result-info">
+                            <div class="result-name">${highlightRanges(result.name, result.nameRanges)}</div>
+                            <div class="result-floor">${details}</div>
+                        </div>
+                        ${distanceText ? `<div class="result-distance">${distanceText}</div>` : ''}
+                    `;
+                    item.addEventListener('click', () => {
+                        this.selectResult(loc);
+                    });
+                    fragment.appendChild(item);
                 });
-                fragment.appendChild(item);
             });
             this.resultsContainer.appendChild(fragment);
         }
@@ -152,6 +295,52 @@ export class SearchBox {
         this.resultsContainer.style.display = 'block';
     }
 
+    renderQuickActions() {
+        this.resultsContainer.innerHTML = '';
+        this.selectedResultIndex = -1;
+        this.searchResults = this.quickActions;
+
+        if (this.quickActions.length === 0) {
+            this.resultsContainer.style.display = 'none';
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        this.quickActions.forEach(action => {
+            const item = document.createElement('div');
+            item.className = 'search-result-item search-quick-action';
+            item.innerHTML = `
+                <div class="result-icon">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="opacity:0.7"><polygon points="3 11 22 2 13 21 11 13 3 11"></polygon></svg>
+                </div>
+                <div class="result-info">
+                    <div class="result-name">${action.label}</div>
+                    <div class="result-floor">Closest by walking distance</div>
+                </div>
+            `;
+            item.addEventListener('click', () => {
+                this.selectQuickAction(action);
+            });
+            fragment.appendChild(item);
+        });
+        this.resultsContainer.appendChild(fragment);
+        this.resultsContainer.style.display = 'block';
+    }
+
+    selectQuickAction(action) {
+        this.input.value = '';
+        this.clearBtn.style.display = 'none';
+        this.resultsContainer.style.display = 'none';
+
+        // script.js resolves the closest match from the current start point
+        window.dispatchEvent(new CustomEvent('nearest-requested', {
+            detail: {
+                category: action.category,
+                label: action.label
+            }
+        }));
+    }
+
     navigateResults(direction) {
         const items = this.resultsContainer.querySelectorAll('.search-result-item');
         if (items.length === 0) return;
@@ -172,38 +361,22 @@ export class SearchBox {
         this.input.value = location.details.name;
         this.resultsContainer.style.display = 'none';
 
-        // Trigger map actions
-        const anchor = location.geometryAnchors[0];
+        // Show the anchor on the floor being viewed, if the location has one there
+        const anchors = location.geometryAnchors || [];
+        const currentFloorId = this.getCurrentFloorId();
+        const anchor = anchors.find(candidate => candidate.floorId === currentFloorId) || anchors[0];
         if (!anchor) return;
 
-        // Fly to location
-        const coords = anchor.centroid || [0, 0]; // Fallback, though extractors should ensure this
-        // If data structure differs, we might need a lookup utility (similar to base-layers.js addLabels)
-        // Re-using logic:
-
-        // Find Feature ID to sync selection
         const propsId = anchor.geometryId;
         const floorId = anchor.floorId;
 
+        // Coordinates (and the location's other anchors) come from the labels' location map
+        const locData = this.layerManager.locationMap?.get(propsId);
+        const finalCoords = locData?.coords || anchor.centroid || [0, 0];
+
         // Update Floor
         window.dispatchEvent(new CustomEvent('floor-changed', { detail: { floorId: floorId } }));
 
-        // Simulate click for Directions UI setup
-        // But first, we need actual coords if they aren't in 'anchor' directly
-        // Assuming location object matches what we passed to UI Manager
-        // For accurate centroid, we might rely on the labels layer map if accessible.
-        // Let's assume passed locations have valid anchor coords or we trigger selection via ID
-
-        // Better: Dispatch 'location-clicked' which UI Manager listens to
-        // But we need coordinate data.
-
-        // Let's try to get coords from layerManager's locationMap if available
-        let finalCoords = coords;
-        if (this.layerManager.locationMap && this.layerManager.locationMap.has(propsId)) {
-            const locData = this.layerManager.locationMap.get(propsId);
-            finalCoords = locData.coords;
-        }
-
         // Fly
         this.map.flyTo({
             center: finalCoords,
@@ -212,17 +385,26 @@ export class SearchBox {
             essential: true
         });
 
-        // Trigger selection
+        // Trigger selection; directions go to whichever anchor is closest
         window.dispatchEvent(new CustomEvent('location-clicked', {
             detail: {
                 name: location.details.name,
                 coords: finalCoords,
                 floorId: floorId,
-                locationId: propsId
+                locationId: propsId,
+                anchors: locData?.anchors || null
             }
         }));
     }
 
+    /**
+     * Names of every floor a location covers, in the order of its anchors
+     */
+    getFloorLabels(location) {
+        const floorIds = Array.from(new Set((location.geometryAnchors || []).map(anchor => anchor.floorId).filter(Boolean)));
+        return floorIds.map(floorId => this.getFloorLabel(floorId));
+    }
+
     getFloorLabel(floorId) {
         // Simple formatter, can be enhanced with map data lookup
         if (this.floorLookup.has(floorId)) {
@@ -0,0 +1,253 @@
+/**
+ * SearchIndex - Tokenized, typo-tolerant location search
+ * Indexes names, translated names, external IDs, categories (location-categories.json),
+ * keywords and descriptions. Each query word has to match some field, exactly, as a
+ * prefix or within a small edit distance; matches in names count most.
+ */
+
+// Relative weight of a match per field
+const FIELD_WEIGHTS = {
+    name: 1,
+    translation: 0.9,
+    externalId: 0.9,
+    category: 0.7,
+    keyword: 0.6,
+    description: 0.3
+};
+
+const MATCH_SCORES = {
+    exact: 1,
+    prefix: 0.85,
+    fuzzy: 0.7,
+    fuzzyPrefix: 0.55
+};
+
+const DEFAULT_GROUP = 'Places';
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lowercase without accents, so "Café" matches "cafe"
+ */
+const normalize = (text) => String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+const tokenize = (text) => Array.from(String(text ?? '').matchAll(WORD_PATTERN), match => ({
+    norm: normalize(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+}));
+
+// Words shorter than 4 letters (and numbers like room 1000 vs 1001) must be spelled right
+const maxEdits = (word) => (/^\d+$/.test(word) || word.length < 4 ? 0 : word.length < 7 ? 1 : 2);
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps), stopping early past limit
+ */
+const editDistance = (a, b, limit) => {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > limit) return limit + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+export class SearchIndex {
+    /**
+     * @param {Array<Object>} locations - locations.json entries (plus mvf-loader's synthetic ones)
+     * @param {Object} options - categories (location-categories.json)
+     */
+    constructor(locations = [], { categories = [] } = {}) {
+        this.categories = new Map();
+        (categories || []).forEach(category => {
+            if (category?.id) this.categories.set(category.id, category);
+        });
+        this.documents = (locations || []).map(location => this.buildDocument(location));
+    }
+
+    buildDocument(location) {
+        const details = location?.details || {};
+        const fields = [];
+        const add = (kind, text, label = null) => {
+            if (typeof text !== 'string' || !text.trim()) return;
+            fields.push({ kind, text, label, tokens: tokenize(text) });
+        };
+
+        add('name', details.name || '');
+        this.getTranslations(location).forEach(({ language, name }) => add('translation', name, language));
+        add('externalId', details.externalId || location?.externalId);
+        add('externalId', details.shortName);
+
+        const categoryNames = this.getCategoryNames(location);
+        categoryNames.forEach(name => add('category', name));
+        this.getKeywords(location).forEach(keyword => add('keyword', keyword));
+        add('description', details.description);
+
+        return {
+            location,
+            name: details.name || '',
+            nameNorm: normalize(details.name || ''),
+            group: categoryNames[0] || DEFAULT_GROUP,
+            fields
+        };
+    }
+
+    /**
+     * Translated names from details.translations / location.translations, either
+     * { fr: { name } | "name" } or [{ language, name }]
+     */
+    getTranslations(location) {
+        const result = [];
+        [location?.details?.translations, location?.translations].forEach(source => {
+            if (Array.isArray(source)) {
+                source.forEach(entry => {
+                    const name = entry?.name || entry?.details?.name;
+                    if (name) result.push({ language: entry.language || entry.lang || entry.locale || null, name });
+                });
+            } else if (source && typeof source === 'object') {
+                Object.entries(source).forEach(([language, value]) => {
+                    const name = typeof value === 'string' ? value : value?.name || value?.details?.name;
+                    if (name) result.push({ language, name });
+                });
+            }
+        });
+        return result;
+    }
+
+    getLocationCategories(location) {
+        return [...(location?.categories || []), ...(location?.locationCategories || [])]
+            .map(category => (typeof category === 'string' ? this.categories.get(category) || { name: category } : this.categories.get(category?.id) || category))
+            .filter(Boolean);
+    }
+
+    getCategoryNames(location) {
+        const names = this.getLocationCategories(location)
+            .map(category => category.details?.name || category.name)
+            .filter(Boolean);
+        return Array.from(new Set(names));
+    }
+
+    getKeywords(location) {
+        const keywords = [
+            ...(location?.details?.keywords || location?.keywords || []),
+            ...this.getLocationCategories(location).flatMap(category => category.details?.keywords || category.keywords || [])
+        ];
+        return keywords.map(keyword => (typeof keyword === 'string' ? keyword : keyword?.name)).filter(Boolean);
+    }
+
+    /**
+     * Best match of one query word against one indexed word
+     */
+    matchWord(word, token, isLastWord) {
+        if (token === word) return { score: MATCH_SCORES.exact, length: token.length };
+        if (token.startsWith(word)) return { score: MATCH_SCORES.prefix, length: word.length };
+
+        const limit = maxEdits(word);
+        if (limit === 0) return null;
+
+        const distance = editDistance(word, token, limit);
+        if (distance <= limit) {
+            return { score: MATCH_SCORES.fuzzy - 0.1 * (distance - 1), length: token.length };
+        }
+
+        // The word being typed may be a misspelt start of a longer one
+        if (isLastWord && token.length > word.length) {
+            const prefixDistance = editDistance(word, token.slice(0, word.length), limit);
+            if (prefixDistance <= limit) return { score: MATCH_SCORES.fuzzyPrefix, length: word.length };
+        }
+        return null;
+    }
+
+    scoreDocument(document, words) {
+        let score = 0;
+        const highlights = new Map(); // field -> [{ start, end }]
+
+        for (let w = 0; w < words.length; w++) {
+            let best = null;
+            document.fields.forEach(field => {
+                field.tokens.forEach(token => {
+                    const match = this.matchWord(words[w], token.norm, w === words.length - 1);
+                    if (!match) return;
+                    const weighted = match.score * FIELD_WEIGHTS[field.kind];
+                    if (!best || weighted > best.score) {
+                        best = { score: weighted, field, start: token.start, end: Math.min(token.end, token.start + match.length) };
+                    }
+                });
+            });
+
+            if (!best) return null;
+            score += best.score;
+            if (!highlights.has(best.field)) highlights.set(best.field, []);
+            highlights.get(best.field).push({ start: best.start, end: best.end });
+        }
+
+        const phrase = words.join(' ');
+        if (document.nameNorm === phrase) score += 1;
+        else if (document.nameNorm.startsWith(phrase)) score += 0.5;
+
+        return { score: score / words.length, highlights };
+    }
+
+    /**
+     * @param {string} query
+     * @param {Object} options - limit (default 20), boost (location => extra score)
+     * @returns {Array<Object>} { location, score, group, name, nameRanges, match } best first;
+     *   match is { kind, label, text, ranges } when the best hit wasn't in the name
+     */
+    search(query, { limit = 20, boost = null } = {}) {
+        const words = tokenize(query).map(token => token.norm);
+        if (words.length === 0) return [];
+
+        const results = [];
+        this.documents.forEach(document => {
+            const scored = this.scoreDocument(document, words);
+            if (!scored) return;
+
+            const nameField = document.fields.find(field => field.kind === 'name');
+            const otherFields = Array.from(scored.highlights.keys()).filter(field => field.kind !== 'name');
+            const match = otherFields[0]
+                ? { kind: otherFields[0].kind, label: otherFields[0].label, text: otherFields[0].text, ranges: scored.highlights.get(otherFields[0]) }
+                : null;
+
+            results.push({
+                location: document.location,
+                score: scored.score + (boost ? boost(document.location) : 0),
+                group: document.group,
+                name: document.name,
+                nameRanges: scored.highlights.get(nameField) || [],
+                match
+            });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || a.name.length - b.name.length || a.name.localeCompare(b.name))
+            .slice(0, limit);
+    }
+
+    /**
+     * Group ranked results by category; groups are ordered by their best result
+     * @returns {Array<Object>} { group, results }
+     */
+    groupResults(results) {
+        const groups = new Map();
+        results.forEach(result => {
+            if (!groups.has(result.group)) groups.set(result.group, []);
+            groups.get(result.group).push(result);
+        });
+        return Array.from(groups, ([group, items]) => ({ group, results: items }));
+    }
+}
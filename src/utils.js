@@ -26,3 +26,14 @@ export function getCentroid(geometry) {
     }
     return null;
 }
+
+// Helper: Escape text for use in innerHTML and attribute values
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSrc, closeSrc } = require('./support/load-src');
+const { ORIGIN, SPACING } = require('./support/grid-graph');
+const { createGridEngine } = require('./support/grid-engine');
+
+let modules;
+let AmenityIndex;
+let EvacuationPlanner;
+
+before(async () => {
+  modules = {
+    ...(await loadSrc('/src/pathfinding/PathfindingEngine.js')),
+    ...(await loadSrc('/src/pathfinding/core/Graph.js')),
+    ...(await loadSrc('/src/pathfinding/core/AStar.js'))
+  };
+  ({ AmenityIndex } = await loadSrc('/src/navigation/AmenityIndex.js'));
+  ({ EvacuationPlanner } = await loadSrc('/src/navigation/EvacuationPlanner.js'));
+});
+
+after(closeSrc);
+
+const WEST_EDGE = ORIGIN[0] - SPACING;
+const SOUTH_EDGE = ORIGIN[1] - SPACING;
+const NORTH_EDGE = ORIGIN[1] + 8 * SPACING;
+
+// Exterior wall along the west edge of both floors, with an entrance node in it on each floor
+const createEngine = () => {
+  const engine = createGridEngine(modules);
+  ['f1', 'f2'].forEach(floorId => {
+    engine.geometryIndex.set(`wall-${floorId}`, {
+      type: 'Feature',
+      properties: { floorId },
+      geometry: { type: 'LineString', coordinates: [[WEST_EDGE, SOUTH_EDGE], [WEST_EDGE, NORTH_EDGE]] }
+    });
+    engine.graph.addNode(`entrance-${floorId}`, [WEST_EDGE, ORIGIN[1]], floorId, { type: 'entrance' });
+  });
+  engine.geometryIndex.set('front-door', {
+    type: 'Feature',
+    properties: { floorId: 'f1' },
+    geometry: { type: 'Point', coordinates: [ORIGIN[0] + 7 * SPACING, SOUTH_EDGE] }
+  });
+  return engine;
+};
+
+const styles = {
+  ExteriorWalls: {
+    geometryAnchors: [
+      { geometryId: 'wall-f1', floorId: 'f1' },
+      { geometryId: 'wall-f2', floorId: 'f2' }
+    ]
+  }
+};
+
+const annotations = [
+  { id: 'front', geometryId: 'front-door', floorId: 'f1', symbolKey: 'primary-entrance' }
+];
+
+test('exits come from the entrance annotations when the venue has them', () => {
+  const engine = createEngine();
+  const amenities = new AmenityIndex(engine, { styles, annotations });
+
+  const exits = amenities.getTargets('exit');
+  assert.deepEqual(exits.map(exit => exit.id), ['front']);
+  assert.equal(exits[0].kind, 'primary');
+  assert.equal(exits[0].source, 'annotation');
+
+  // Evacuation reads the same exits
+  const planner = new EvacuationPlanner(engine, { annotations, amenities });
+  assert.deepEqual(planner.getExits().map(exit => exit.id), exits.map(exit => exit.id));
+});
+
+test('entrances in the exterior walls are exits only without annotations', () => {
+  const amenities = new AmenityIndex(createEngine(), { styles });
+
+  const exits = amenities.getTargets('exit');
+  assert.deepEqual(exits.map(exit => exit.id).sort(), ['entrance-f1', 'entrance-f2']);
+  assert.ok(exits.every(exit => exit.source === 'graph'));
+});
@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSrc, closeSrc } = require('./support/load-src');
+const { buildGridGraph, samplePairs } = require('./support/grid-graph');
+
+let AStar;
+let Graph;
+let RoutingProfiles;
+
+before(async () => {
+  ({ AStar } = await loadSrc('/src/pathfinding/core/AStar.js'));
+  ({ Graph } = await loadSrc('/src/pathfinding/core/Graph.js'));
+  ({ RoutingProfiles } = await loadSrc('/src/pathfinding/features/RoutingProfiles.js'));
+});
+
+after(closeSrc);
+
+// Dijkstra costs are exact, so A* must match them for every pair
+const assertOptimal = (options) => {
+  const graph = buildGridGraph(Graph);
+  const aStar = new AStar(graph);
+  const fields = new Map();
+
+  samplePairs(graph).forEach(([startId, endId]) => {
+    if (!fields.has(startId)) fields.set(startId, aStar.computeDistanceField([{ nodeId: startId }], options));
+    const expected = fields.get(startId).get(endId)?.cost;
+    const path = aStar.findPath(startId, endId, options);
+
+    if (expected === undefined) {
+      assert.equal(path, null, `${startId} -> ${endId} should be unreachable`);
+      return;
+    }
+    assert.ok(path, `${startId} -> ${endId} should be found`);
+    assert.ok(Math.abs(path.distance - expected) < 1e-6, `${startId} -> ${endId}: ${path.distance} vs ${expected}`);
+  });
+};
+
+test('findPath matches the distance field without a profile', () => {
+  assertOptimal({});
+});
+
+test('findPath stays optimal when a profile discounts stairs', () => {
+  assertOptimal(new RoutingProfiles().resolve({ profile: 'evacuation' }));
+});
+
+test('findPath stays optimal when a profile discounts ramps', () => {
+  assertOptimal(new RoutingProfiles().resolve({ profile: 'stroller' }));
+});
+
+test('findPath stays optimal when a profile only adds costs', () => {
+  assertOptimal(new RoutingProfiles().resolve({ profile: 'luggage' }));
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSrc, closeSrc } = require('./support/load-src');
+const { nodeId } = require('./support/grid-graph');
+const { createGridEngine, quietly } = require('./support/grid-engine');
+
+let modules;
+
+before(async () => {
+  modules = {
+    ...(await loadSrc('/src/pathfinding/PathfindingEngine.js')),
+    ...(await loadSrc('/src/pathfinding/core/Graph.js')),
+    ...(await loadSrc('/src/pathfinding/core/AStar.js'))
+  };
+});
+
+after(closeSrc);
+
+const roomOf = (engine, id) => engine.getNodeRoomIds(engine.graph.getNode(id))[0] || null;
+
+const route = (engine, from, to, options = {}) => {
+  const start = engine.graph.getNode(from);
+  const end = engine.graph.getNode(to);
+  return quietly(() => engine.findRoute(start.coords, end.coords, start.floorId, end.floorId, { useCache: false, ...options }));
+};
+
+// Row 3 runs straight through room-a (columns 2-3) and room-b (columns 4-5)
+const WEST = nodeId('f1', 0, 3);
+const EAST = nodeId('f1', 7, 3);
+
+// Only way to the east end: through room-b into column 6 at row 3 (the rest of columns 6-7 and the
+// upper floor are walled off)
+const onlyThroughRoomB = (node) => node.floorId === 'f1' &&
+  (node.id === nodeId('f1', 6, 3) || node.id === EAST || !/:(6|7):/.test(node.id));
+
+test('closed rooms are walked around in every traversal mode', () => {
+  const engine = createGridEngine(modules);
+  assert.ok(route(engine, WEST, EAST).nodeIds.some(id => roomOf(engine, id)), 'the open route cuts through the rooms');
+
+  ['public', 'all'].forEach(roomTraversalMode => {
+    const detour = route(engine, WEST, EAST, { roomTraversalMode, closedRoomIds: ['room-a', 'room-b'] });
+    assert.ok(detour, roomTraversalMode);
+    assert.deepEqual(detour.nodeIds.filter(id => roomOf(engine, id)), [], roomTraversalMode);
+  });
+});
+
+test('a route may start or end in a closed room', () => {
+  const engine = createGridEngine(modules);
+  const closedRoomIds = ['room-a', 'room-b'];
+
+  const leaving = route(engine, nodeId('f1', 3, 3), EAST, { closedRoomIds });
+  assert.ok(leaving);
+  assert.deepEqual(new Set(leaving.nodeIds.map(id => roomOf(engine, id)).filter(Boolean)), new Set(['room-a']));
+
+  const arriving = route(engine, WEST, nodeId('f1', 4, 3), { closedRoomIds });
+  assert.ok(arriving);
+  assert.deepEqual(new Set(arriving.nodeIds.map(id => roomOf(engine, id)).filter(Boolean)), new Set(['room-b']));
+});
+
+test('no route when the only way is through a closed room, even after relaxing room rules', () => {
+  const engine = createGridEngine(modules);
+  const options = { nodeFilter: onlyThroughRoomB };
+  assert.ok(route(engine, WEST, EAST, options).nodeIds.includes(nodeId('f1', 5, 3)));
+
+  // Keeping to room-a fails first, then the relaxed retry may use any room but the closed one
+  [{}, { allowedRoomIds: ['room-a'] }, { roomTraversalMode: 'all' }].forEach(extra => {
+    assert.equal(route(engine, WEST, EAST, { ...options, ...extra, closedRoomIds: ['room-b'] }), null);
+    assert.equal(engine.getLastRouteError().code, 'closed');
+  });
+});
+
+test('distance fields skip closed rooms too', () => {
+  const engine = createGridEngine(modules);
+  const start = engine.graph.getNode(WEST);
+  const field = quietly(() => engine.computeDistanceField(start.coords, 'f1', { closedRoomIds: ['room-a'] }));
+
+  assert.ok(!field.nodes.has(nodeId('f1', 2, 3)));
+  assert.ok(field.nodes.has(nodeId('f1', 4, 3)));
+});
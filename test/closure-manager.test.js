@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSrc, closeSrc } = require('./support/load-src');
+const { buildGridGraph, nodeId, ORIGIN, SPACING } = require('./support/grid-graph');
+
+let AStar;
+let ClosureManager;
+let Graph;
+
+before(async () => {
+  ({ AStar } = await loadSrc('/src/pathfinding/core/AStar.js'));
+  ({ ClosureManager } = await loadSrc('/src/pathfinding/features/ClosureManager.js'));
+  ({ Graph } = await loadSrc('/src/pathfinding/core/Graph.js'));
+});
+
+after(closeSrc);
+
+// Polygon around grid cells [fromColumn, toColumn] x [fromRow, toRow]
+const cellPolygon = ([fromColumn, toColumn], [fromRow, toRow]) => {
+  const west = ORIGIN[0] + (fromColumn - 0.5) * SPACING;
+  const east = ORIGIN[0] + (toColumn + 0.5) * SPACING;
+  const south = ORIGIN[1] + (fromRow - 0.5) * SPACING;
+  const north = ORIGIN[1] + (toRow + 0.5) * SPACING;
+  return {
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  };
+};
+
+// Same closure rules as PathfindingEngine.buildRouteFilters
+const closureFilters = (closures, exemption) => ({
+  nodeFilter: (node) => !closures.isNodeClosed(node.id) || Boolean(exemption?.nodeIds.has(node.id)),
+  edgeFilter: (edge) => !closures.isEdgeClosed(edge) || Boolean(exemption?.edges.has(edge))
+});
+
+const setup = (spec) => {
+  const graph = buildGridGraph(Graph);
+  const closures = new ClosureManager();
+  closures.setGraph(graph);
+  closures.add(spec);
+  return { graph, closures, aStar: new AStar(graph) };
+};
+
+test('no exemption when the start is open', () => {
+  const { closures } = setup({ geometryIds: ['room-a'] });
+  assert.equal(closures.getExitExemption([nodeId('f1', 0, 0)]), null);
+});
+
+test('a start inside closed rooms can walk out of them', () => {
+  const { closures, aStar } = setup({ geometryIds: ['room-a', 'room-b'] });
+  const start = nodeId('f1', 3, 3);
+  const end = nodeId('f1', 7, 7);
+  assert.equal(closures.isNodeClosed(start), true);
+
+  const exemption = closures.getExitExemption([start]);
+  assert.equal(exemption.nodeIds.size, 12);
+  assert.ok(exemption.nodeIds.has(nodeId('f1', 5, 4)));
+
+  const silence = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(aStar.findPath(start, end, closureFilters(closures, null)), null);
+  } finally {
+    console.warn = silence;
+  }
+
+  const path = aStar.findPath(start, end, closureFilters(closures, exemption));
+  assert.ok(path);
+  // Closed nodes only at the start, on the way out
+  const inside = path.nodeIds.filter(id => closures.isNodeClosed(id));
+  assert.deepEqual(inside, path.nodeIds.slice(0, inside.length));
+});
+
+test('edges crossing a closed polygon are exempt only when leaving it', () => {
+  const { closures, aStar } = setup({ polygon: cellPolygon([4, 5], [2, 4]), floorId: 'f1' });
+  const start = nodeId('f1', 5, 3);
+  const exemption = closures.getExitExemption([start]);
+
+  assert.ok(exemption.edges.size > 0);
+
+  const field = aStar.computeDistanceField([{ nodeId: start }], closureFilters(closures, exemption));
+  assert.ok(field.has(nodeId('f1', 0, 0)));
+  assert.ok(field.has(nodeId('f2', 5, 3)));
+
+  // Starting outside, the closed area stays out of reach
+  const outside = aStar.computeDistanceField([{ nodeId: nodeId('f1', 0, 0) }], closureFilters(closures, null));
+  assert.equal(outside.has(start), false);
+});
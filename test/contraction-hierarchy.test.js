@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSrc, closeSrc } = require('./support/load-src');
+const { buildGridGraph, samplePairs, nodeId } = require('./support/grid-graph');
+
+let AStar;
+let ContractionHierarchy;
+let Graph;
+let RoutingProfiles;
+
+before(async () => {
+  ({ AStar } = await loadSrc('/src/pathfinding/core/AStar.js'));
+  ({ ContractionHierarchy } = await loadSrc('/src/pathfinding/core/ContractionHierarchy.js'));
+  ({ Graph } = await loadSrc('/src/pathfinding/core/Graph.js'));
+  ({ RoutingProfiles } = await loadSrc('/src/pathfinding/features/RoutingProfiles.js'));
+});
+
+after(closeSrc);
+
+const buildHierarchy = (graph, profile) => {
+  const hierarchy = new ContractionHierarchy(graph, profile);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return hierarchy.build();
+  } finally {
+    console.log = log;
+  }
+};
+
+// profile is baked into the hierarchy; options are what the same search passes to A*
+const assertSameAsAStar = (profile, options = profile) => {
+  const graph = buildGridGraph(Graph);
+  const hierarchy = buildHierarchy(graph, profile);
+  const aStar = new AStar(graph);
+  const warn = console.warn;
+  console.warn = () => {};
+
+  try {
+    samplePairs(graph, 5).forEach(([startId, endId]) => {
+      const expected = aStar.findPath(startId, endId, options);
+      const actual = hierarchy.findPath(startId, endId);
+      const label = `${startId} -> ${endId}`;
+
+      if (!expected) {
+        assert.equal(actual, null, `${label} should be unreachable`);
+        return;
+      }
+      assert.ok(actual, `${label} should be found`);
+      assert.ok(Math.abs(actual.distance - expected.distance) < 1e-6, `${label}: ${actual.distance} vs ${expected.distance}`);
+      assert.equal(actual.nodeIds[0], startId);
+      assert.equal(actual.nodeIds[actual.nodeIds.length - 1], endId);
+    });
+  } finally {
+    console.warn = warn;
+  }
+};
+
+test('hierarchy matches A* on the plain graph', () => {
+  assertSameAsAStar({});
+});
+
+test('hierarchy matches A* with accessible edges only', () => {
+  assertSameAsAStar({ accessibleOnly: true, avoidStairs: true, avoidEscalators: true });
+});
+
+test('hierarchy matches A* with a profile\'s excluded edge types and edge costs', () => {
+  const options = new RoutingProfiles().resolve({ profile: 'evacuation' });
+  assertSameAsAStar(options);
+});
+
+test('hierarchy matches A* with a node filter and baked-in rooms', () => {
+  const blocked = new Set([nodeId('f1', 1, 1), nodeId('f2', 3, 3)]);
+  const nodeFilter = (node) => !blocked.has(node.id);
+  assertSameAsAStar(
+    { nodeFilter, allowedRoomIds: ['room-b'] },
+    { nodeFilter, disallowOtherRooms: true, allowedRoomIds: ['room-b'] }
+  );
+});
+
+test('supports only queries that match what was baked in', () => {
+  const graph = buildGridGraph(Graph);
+  const hierarchy = buildHierarchy(graph, { accessibleOnly: true, allowedRoomIds: ['room-a'], key: 'wheelchair' });
+
+  assert.equal(hierarchy.supports({ disallowOtherRooms: true, allowedRoomIds: ['room-a'] }, 'wheelchair'), true);
+  assert.equal(hierarchy.supports({ disallowOtherRooms: true, allowedRoomIds: ['room-a'] }, 'visitor'), false);
+  assert.equal(hierarchy.supports({ disallowOtherRooms: true, allowedRoomIds: ['room-a', 'room-b'] }, 'wheelchair'), false);
+  assert.equal(hierarchy.supports({ disallowOtherRooms: false }, 'wheelchair'), false);
+  assert.equal(hierarchy.supports({
+    disallowOtherRooms: true,
+    allowedRoomIds: ['room-a'],
+    edgeCostMultiplier: () => 2
+  }, 'wheelchair'), false);
+
+  const plain = buildHierarchy(graph, {});
+  assert.equal(plain.supports({}), true);
+  assert.equal(plain.supports({ accessibleOnly: true }), false);
+  assert.equal(plain.supports({ disallowOtherRooms: true, allowedRoomIds: ['room-a'] }), false);
+  assert.equal(new ContractionHierarchy(graph, {}).supports({}), false);
+});
@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSrc, closeSrc } = require('./support/load-src');
+const { nodeId, ORIGIN, SPACING } = require('./support/grid-graph');
+const { createGridEngine, quietly } = require('./support/grid-engine');
+
+let modules;
+let IsochroneRenderer;
+
+before(async () => {
+  modules = {
+    ...(await loadSrc('/src/pathfinding/PathfindingEngine.js')),
+    ...(await loadSrc('/src/pathfinding/core/Graph.js')),
+    ...(await loadSrc('/src/pathfinding/core/AStar.js'))
+  };
+  ({ IsochroneRenderer } = await loadSrc('/src/pathfinding/visualization/IsochroneRenderer.js'));
+});
+
+after(closeSrc);
+
+// Connector costs as ConnectionHandler builds them (entry cost + floors x multiplier), far above their seconds
+const createEngine = () => {
+  const engine = createGridEngine(modules);
+  engine.graph.edges.forEach(edges => edges.forEach(edge => {
+    if (edge.verticalCost) edge.weight = edge.type === 'elevator' ? 3001 : 2000;
+  }));
+  return engine;
+};
+
+const floorArea = (floorId) => {
+  const west = ORIGIN[0] - SPACING;
+  const south = ORIGIN[1] - SPACING;
+  const east = ORIGIN[0] + 8 * SPACING;
+  const north = ORIGIN[1] + 8 * SPACING;
+  return {
+    type: 'Feature',
+    properties: { floorId },
+    geometry: { type: 'Polygon', coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]] }
+  };
+};
+
+test('the flood stops at the longest band by travel time and crosses floors', () => {
+  const engine = createEngine();
+  const renderer = new IsochroneRenderer({}, null, engine.travelTime);
+  const bands = [{ minutes: 0.5, color: '#22c55e' }, { minutes: 1, color: '#eab308' }];
+  const start = engine.graph.getNode(nodeId('f1', 0, 0));
+
+  const field = quietly(() => engine.computeDistanceField(start.coords, 'f1', { maxSeconds: renderer.getMaxSeconds(bands) }));
+  const upstairs = field.nodes.get(nodeId('f2', 0, 0));
+  assert.ok(upstairs, 'the stairs next to the start lead upstairs');
+  assert.equal(upstairs.floorsTravelled, 1);
+  assert.ok(Array.from(field.nodes.values()).every(entry => engine.travelTime.estimateSeconds(entry) <= 60));
+  assert.ok(!field.nodes.has(nodeId('f1', 7, 7)), 'the far corner is over a minute away');
+
+  const features = renderer.buildFeatures(field, engine.graph, { features: [floorArea('f1'), floorArea('f2')] }, bands);
+  const secondFloor = features.filter(feature => feature.properties.floorId === 'f2');
+  assert.ok(secondFloor.length > 0, 'the second floor gets a band');
+});
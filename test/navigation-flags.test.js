@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSrc, closeSrc } = require('./support/load-src');
+const { nodeId } = require('./support/grid-graph');
+const { createGridEngine, quietly } = require('./support/grid-engine');
+
+let modules;
+let NavigationFlagDecoder;
+
+before(async () => {
+  modules = {
+    ...(await loadSrc('/src/pathfinding/PathfindingEngine.js')),
+    ...(await loadSrc('/src/pathfinding/core/Graph.js')),
+    ...(await loadSrc('/src/pathfinding/core/AStar.js'))
+  };
+  ({ NavigationFlagDecoder } = await loadSrc('/src/pathfinding/features/NavigationFlags.js'));
+});
+
+after(closeSrc);
+
+// Shaped like navigationFlags.json: accessible and public in the first integer, staff in the second
+const FLAGS = {
+  accessible: { index: 0, bit: 0 },
+  public: { index: 0, bit: 2 },
+  staff: { index: 1, bit: 0 }
+};
+
+test('decode reads each named bit from its integer', () => {
+  const decoder = new NavigationFlagDecoder(FLAGS);
+
+  assert.deepEqual(decoder.getFlagNames(), ['accessible', 'public', 'staff']);
+  assert.deepEqual(decoder.decode([5, 1]), { accessible: true, public: true, staff: true });
+  assert.deepEqual(decoder.decode(4), { accessible: false, public: true, staff: false });
+  assert.deepEqual(decoder.decode([0]), { accessible: false, public: false, staff: false });
+  assert.equal(decoder.decode([]), null);
+  assert.equal(decoder.decode(null), null);
+  assert.equal(new NavigationFlagDecoder(null).decode([5]), null);
+});
+
+test('union sets a flag set on either side; intersect only one set on both', () => {
+  const decoder = new NavigationFlagDecoder(FLAGS);
+  const a = decoder.decode([1]);
+  const b = decoder.decode([4]);
+
+  assert.deepEqual(decoder.union(a, b), { accessible: true, public: true, staff: false });
+  assert.deepEqual(decoder.intersect(a, b), { accessible: false, public: false, staff: false });
+  assert.deepEqual(decoder.intersect(decoder.decode([5]), b), { accessible: false, public: true, staff: false });
+
+  // A side without data doesn't constrain
+  assert.equal(decoder.union(null, a), a);
+  assert.equal(decoder.intersect(a, null), a);
+  assert.equal(decoder.intersect(null, null), null);
+});
+
+test('matches checks required and avoided flags; missing data passes', () => {
+  const decoder = new NavigationFlagDecoder(FLAGS);
+  const staffOnly = decoder.decode([1, 1]);
+  const constraints = NavigationFlagDecoder.normalizeConstraints({ requireFlags: ['accessible'], avoidFlags: ['staff'] });
+
+  assert.equal(decoder.matches(staffOnly, constraints), false);
+  assert.equal(decoder.matches(decoder.decode([1, 0]), constraints), true);
+  assert.equal(decoder.matches(decoder.decode([4, 0]), constraints), false);
+  assert.equal(decoder.matches(null, constraints), true);
+  assert.equal(decoder.matches(staffOnly, null), true);
+});
+
+test('normalizeConstraints folds publicOnly into requireFlags', () => {
+  assert.equal(NavigationFlagDecoder.normalizeConstraints({}), null);
+  assert.deepEqual(
+    NavigationFlagDecoder.normalizeConstraints({ publicOnly: true, requireFlags: ['accessible', 'public'], avoidFlags: ['staff'] }),
+    { requireFlags: ['accessible', 'public'], avoidFlags: ['staff'] }
+  );
+});
+
+// Column 3 of the ground floor is staff-only except its top row
+const createFlaggedEngine = () => {
+  const engine = createGridEngine(modules);
+  engine.flagDecoder = new NavigationFlagDecoder(FLAGS);
+  engine.graph.nodes.forEach(node => {
+    node.metadata.navFlags = null;
+  });
+  for (let row = 0; row < 8; row++) {
+    engine.graph.getNode(nodeId('f1', 3, row)).metadata.navFlags = engine.flagDecoder.decode(row === 7 ? [5, 0] : [1, 1]);
+  }
+  return engine;
+};
+
+const route = (engine, options) => {
+  const start = engine.graph.getNode(nodeId('f1', 0, 1));
+  const end = engine.graph.getNode(nodeId('f1', 7, 1));
+  return quietly(() => engine.findRoute(start.coords, end.coords, 'f1', 'f1', { useCache: false, ...options }));
+};
+
+const flagsOnRoute = (engine, found) =>
+  found.nodeIds.map(id => engine.graph.getNode(id).metadata.navFlags).filter(Boolean);
+
+test('findRoute honours requireFlags, avoidFlags and publicOnly', () => {
+  const engine = createFlaggedEngine();
+  assert.ok(flagsOnRoute(engine, route(engine, {})).some(flags => flags.staff), 'the shortest way is staff-only');
+
+  [{ publicOnly: true }, { requireFlags: ['public'] }, { avoidFlags: ['staff'] }].forEach(options => {
+    const found = route(engine, options);
+    assert.ok(found, JSON.stringify(options));
+    assert.ok(flagsOnRoute(engine, found).every(flags => flags.public && !flags.staff), JSON.stringify(options));
+  });
+
+  // Every node in column 3 is accessible, so that doesn't change anything
+  assert.deepEqual(route(engine, { requireFlags: ['accessible'] }).nodeIds, route(engine, {}).nodeIds);
+});
+
+test('doors without a public bit are locked when the venue defines one', () => {
+  const door = (geometryId, flags) => ({ type: 'door', entrances: [{ geometryId, floorId: 'f1', flags }] });
+  const addDoors = (navigationFlags) => {
+    const engine = createGridEngine(modules);
+    engine.flagDecoder = new NavigationFlagDecoder(navigationFlags);
+    ['empty', 'zero', 'private', 'public'].forEach((geometryId, index) => {
+      engine.geometryIndex.set(geometryId, {
+        type: 'Feature',
+        properties: { id: geometryId, floorId: 'f1' },
+        geometry: { type: 'Point', coordinates: [-79.4 + index * 0.0001, 43.6595] }
+      });
+    });
+    engine.addDoorNodes([door('empty', []), door('zero', 0), door('private', [1]), door('public', [4])]);
+    return Object.fromEntries(engine.doorNodes.map(node => [node.metadata.geometryIds[0], node.metadata.isLocked]));
+  };
+
+  assert.deepEqual(addDoors(FLAGS), { empty: true, zero: true, private: true, public: false });
+  assert.deepEqual(addDoors({ accessible: { bit: 0 } }), { empty: false, zero: false, private: false, public: false });
+});
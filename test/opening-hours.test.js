@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSrc, closeSrc } = require('./support/load-src');
+
+let OpeningHours;
+
+before(async () => {
+  ({ OpeningHours } = await loadSrc('/src/navigation/OpeningHours.js'));
+});
+
+after(closeSrc);
+
+// 2024-06-03 is a Monday; times are local like the browser's
+const at = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2024, 5, 3 + day, hours, minutes);
+};
+const MONDAY = 0;
+const SATURDAY = 5;
+const SUNDAY = 6;
+
+const weekdays = { dayOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'], opens: '10:00', closes: '18:00' };
+
+test('isOpenAt follows the weekly hours', () => {
+  const hours = new OpeningHours([weekdays]);
+
+  assert.equal(hours.isOpenAt(at(MONDAY, '09:59')), false);
+  assert.equal(hours.isOpenAt(at(MONDAY, '10:00')), true);
+  assert.equal(hours.isOpenAt(at(MONDAY, '17:59')), true);
+  assert.equal(hours.isOpenAt(at(MONDAY, '18:00')), false);
+  assert.equal(hours.isOpenAt(at(SATURDAY, '12:00')), false);
+});
+
+test('isOpenAt is unknown without hours', () => {
+  assert.equal(new OpeningHours().isOpenAt(at(MONDAY, '12:00')), null);
+  assert.equal(OpeningHours.forLocation({}).isEmpty(), true);
+});
+
+test('hours closing after midnight carry into the next day', () => {
+  const hours = new OpeningHours([{ dayOfWeek: 'https://schema.org/Saturday', opens: '20:00', closes: '02:00' }]);
+
+  assert.equal(hours.isOpenAt(at(SATURDAY, '19:59')), false);
+  assert.equal(hours.isOpenAt(at(SATURDAY, '23:30')), true);
+  assert.equal(hours.isOpenAt(at(SUNDAY, '01:59')), true);
+  assert.equal(hours.isOpenAt(at(SUNDAY, '02:00')), false);
+});
+
+test('00:00 to 23:59 is open all day and 00:00 to 00:00 is closed', () => {
+  const hours = new OpeningHours([
+    { dayOfWeek: 'Monday', opens: '00:00', closes: '23:59' },
+    { dayOfWeek: 'Tuesday', opens: '00:00', closes: '00:00' }
+  ]);
+
+  assert.equal(hours.isOpenAt(at(MONDAY, '23:59')), true);
+  assert.equal(hours.isOpenAt(at(MONDAY + 1, '12:00')), false);
+  assert.deepEqual(hours.getWeek().slice(0, 2), [
+    { day: 'Monday', hours: ['Open 24 hours'] },
+    { day: 'Tuesday', hours: [] }
+  ]);
+});
+
+test('dated entries replace the regular hours on their days', () => {
+  const hours = new OpeningHours([
+    weekdays,
+    { dayOfWeek: 'Monday', opens: '12:00', closes: '14:00', validFrom: '2024-06-03', validThrough: '2024-06-03' }
+  ]);
+
+  assert.equal(hours.isOpenAt(at(MONDAY, '11:00')), false);
+  assert.equal(hours.isOpenAt(at(MONDAY, '13:00')), true);
+  assert.equal(hours.isOpenAt(at(MONDAY + 7, '11:00')), true);
+  assert.deepEqual(hours.getWeek()[0], { day: 'Monday', hours: ['10:00–18:00'] });
+});
+
+test('unparseable entries are ignored', () => {
+  const hours = new OpeningHours([
+    { dayOfWeek: 'Funday', opens: '09:00', closes: '17:00' },
+    { dayOfWeek: 'Monday', opens: 'noon', closes: '17:00' },
+    null
+  ]);
+  assert.equal(hours.isEmpty(), true);
+});
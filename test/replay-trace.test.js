@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSrc, closeSrc } = require('./support/load-src');
+const { route, trace } = require('./fixtures/corridor-trace.json');
+
+let NavigationController;
+
+before(async () => {
+  ({ NavigationController } = await loadSrc('/src/navigation/NavigationController.js'));
+  // NavigationController reports through window events
+  globalThis.window = new EventTarget();
+});
+
+after(async () => {
+  delete globalThis.window;
+  await closeSrc();
+});
+
+// Tracking needs no map or graph: stub the map objects and hand it the recorded route
+const createController = () => {
+  const controller = new NavigationController({}, {});
+  controller.currentRoute = route;
+  controller.lastRouteRequest = { multiStop: false, options: {} };
+  controller.renderRoute = () => {};
+  return controller;
+};
+
+const recordEvents = (types) => {
+  const events = [];
+  const listeners = types.map(type => [type, (event) => events.push({ type, detail: event.detail })]);
+  listeners.forEach(([type, listener]) => window.addEventListener(type, listener));
+  return {
+    events,
+    stop: () => listeners.forEach(([type, listener]) => window.removeEventListener(type, listener))
+  };
+};
+
+const quietly = (fn) => {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+    console.error = error;
+  }
+};
+
+test('replayTrace flags the detour once and stops at the destination', () => {
+  const controller = createController();
+  const recorder = recordEvents(['off-route', 'navigation-arrived', 'navigation-rerouted']);
+  const states = quietly(() => controller.replayTrace(trace, { autoReroute: false }));
+  recorder.stop();
+
+  // Six fixes along the corridor, then 16 s in the side room: off route from the second fix in there
+  // and reported once it has lasted 5 s
+  const offRoute = states.findIndex(state => state.offRouteTriggered);
+  assert.equal(offRoute, 10);
+  assert.ok(states[offRoute].deviationMeters > 8);
+  assert.equal(states.filter(state => state.offRouteTriggered).length, 1);
+  assert.equal(states[offRoute + 3].offRoute, false);
+
+  const arrived = states.findIndex(state => state.arrived);
+  assert.equal(arrived, states.length - 1);
+  assert.ok(arrived < trace.length - 1, 'tracking stops before the trace ends');
+  assert.ok(states[arrived].remainingDistance <= 4);
+  assert.equal(controller.tracking, false);
+
+  assert.deepEqual(recorder.events.map(event => event.type), ['off-route', 'navigation-arrived']);
+  assert.equal(recorder.events[0].detail, states[offRoute]);
+});
+
+test('replayTrace reroutes when going off route', () => {
+  const controller = createController();
+  let recomputed = 0;
+  controller.recomputeLastRoute = () => {
+    recomputed++;
+    return route;
+  };
+
+  const recorder = recordEvents(['off-route', 'navigation-rerouted', 'navigation-arrived']);
+  const states = quietly(() => controller.replayTrace(trace));
+  recorder.stop();
+
+  assert.equal(recomputed, 1);
+  assert.equal(states[10].rerouted, true);
+  assert.deepEqual(recorder.events.map(event => event.type), ['off-route', 'navigation-rerouted', 'navigation-arrived']);
+});
+
+test('replayTrace needs a route', () => {
+  const controller = createController();
+  controller.currentRoute = null;
+  assert.deepEqual(quietly(() => controller.replayTrace(trace)), []);
+});
+
+// A closure makes computeRoute return something else mid-walk
+const closeCorridor = (controller, replacement) => {
+  controller.initialized = true;
+  controller.destination = { coords: route.path[route.path.length - 1], floorId: 'f1' };
+  controller.isInsideWalkableArea = () => true;
+  controller.engine.findRoute = () => (replacement ? { ...replacement } : null);
+  controller.renderer.clearRoute = () => {};
+  quietly(() => controller.handleClosuresChanged());
+};
+
+test('the tracker follows a route recomputed for closures', () => {
+  const controller = createController();
+  quietly(() => controller.replayTrace(trace.slice(0, 6), { autoReroute: false }));
+
+  // Through the side room the trace walks into next
+  const sideRoom = trace[9].coords;
+  const detour = {
+    path: [trace[5].coords, sideRoom, [route.path[1][0], sideRoom[1]], route.path[2]],
+    floors: ['f1', 'f1', 'f1', 'f1']
+  };
+  closeCorridor(controller, detour);
+  assert.deepEqual(controller.currentRoute.path, detour.path);
+  assert.equal(controller.tracker.route, controller.currentRoute);
+
+  const recorder = recordEvents(['off-route']);
+  const states = quietly(() => controller.replayTrace(trace.slice(6, 12)));
+  recorder.stop();
+  assert.equal(states.some(state => state.offRoute), false);
+  assert.deepEqual(recorder.events, []);
+});
+
+test('tracking stops when closures leave no route', () => {
+  const controller = createController();
+  quietly(() => controller.replayTrace(trace.slice(0, 6), { autoReroute: false }));
+
+  closeCorridor(controller, null);
+  assert.equal(controller.currentRoute, null);
+  assert.equal(controller.tracking, false);
+  assert.equal(controller.updatePosition(trace[6].coords, 'f1', trace[6].timestamp), null);
+});
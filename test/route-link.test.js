@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSrc, closeSrc } = require('./support/load-src');
+
+let RouteLink;
+
+before(async () => {
+  ({ RouteLink } = await loadSrc('/src/navigation/RouteLink.js'));
+});
+
+after(closeSrc);
+
+// Just enough of window for RouteLink: location and history
+const createWindow = (href) => {
+  const target = {
+    location: new URL(href),
+    history: {
+      state: null,
+      entries: [],
+      pushState(state, title, url) {
+        this.entries.push(url);
+        target.location = new URL(url);
+      },
+      replaceState(state, title, url) {
+        this.entries[this.entries.length - 1] = url;
+        target.location = new URL(url);
+      }
+    }
+  };
+  return target;
+};
+
+const camera = { center: [-79.3801234567, 43.6401234567], zoom: 19.456, bearing: -17.04, pitch: 55 };
+
+test('endpoints encode as location ids or rounded pins and decode back', () => {
+  const link = new RouteLink(createWindow('https://example.com/'));
+
+  assert.equal(link.encodeEndpoint({ locationId: 'g_456', coords: [1, 2] }), 'loc:g_456');
+  assert.deepEqual(link.decodeEndpoint('loc:g_456'), { locationId: 'g_456' });
+
+  const pin = link.encodeEndpoint({ coords: [-79.3801234567, 43.6401234567], floorId: 'f_123' });
+  assert.equal(pin, '-79.3801235,43.6401235@f_123');
+  assert.deepEqual(link.decodeEndpoint(pin), { coords: [-79.3801235, 43.6401235], floorId: 'f_123' });
+  assert.deepEqual(link.decodeEndpoint('-79.38,43.64'), { coords: [-79.38, 43.64], floorId: null });
+
+  assert.equal(link.encodeEndpoint(null), null);
+  assert.equal(link.decodeEndpoint('loc:'), null);
+  assert.equal(link.decodeEndpoint('west,43.64@f_1'), null);
+  assert.equal(link.decodeEndpoint('-79.38@f_1'), null);
+});
+
+test('cameras round trip with rounding', () => {
+  const link = new RouteLink(createWindow('https://example.com/'));
+
+  const encoded = link.encodeCamera(camera);
+  assert.equal(encoded, '-79.3801235,43.6401235,19.46,-17,55');
+  assert.deepEqual(link.decodeCamera(encoded), { center: [-79.3801235, 43.6401235], zoom: 19.46, bearing: -17, pitch: 55 });
+  assert.deepEqual(link.decodeCamera('-79.38,43.64,19'), { center: [-79.38, 43.64], zoom: 19, bearing: 0, pitch: 0 });
+  assert.equal(link.decodeCamera('-79.38,43.64'), null);
+});
+
+test('toUrl replaces the route parameters and keeps the others', () => {
+  const link = new RouteLink(createWindow('https://example.com/?debug&from=old&kiosk=1&cam=0,0,1'));
+
+  const url = link.toUrl({
+    from: { coords: [-79.38, 43.64], floorId: 'f_1' },
+    to: { locationId: 'g_2' },
+    profile: 'wheelchair',
+    floorId: 'f_1',
+    camera
+  }, { omit: ['kiosk'] });
+  assert.equal(url, 'https://example.com/?debug&from=-79.38,43.64@f_1&to=loc:g_2&profile=wheelchair&floor=f_1&cam=-79.3801235,43.6401235,19.46,-17,55');
+
+  assert.deepEqual(link.parse(new URL(url).search), {
+    from: { coords: [-79.38, 43.64], floorId: 'f_1' },
+    to: { locationId: 'g_2' },
+    profile: 'wheelchair',
+    floorId: 'f_1',
+    camera: { center: [-79.3801235, 43.6401235], zoom: 19.46, bearing: -17, pitch: 55 }
+  });
+
+  // The profile only means something with a route
+  assert.equal(link.toUrl({ profile: 'wheelchair', floorId: 'f_1' }), 'https://example.com/?debug&kiosk=1&floor=f_1');
+  assert.equal(link.parse('?debug'), null);
+});
+
+test('push adds a history entry only when the URL changes; replace updates it in place', () => {
+  const target = createWindow('https://example.com/');
+  const link = new RouteLink(target);
+  const state = { from: { locationId: 'g_1' }, to: { locationId: 'g_2' }, profile: 'default' };
+
+  link.push(state);
+  link.push(state);
+  assert.deepEqual(target.history.entries, ['https://example.com/?from=loc:g_1&to=loc:g_2&profile=default']);
+
+  link.replace({ ...link.parse(), floorId: 'f_2' });
+  assert.deepEqual(target.history.entries, ['https://example.com/?from=loc:g_1&to=loc:g_2&profile=default&floor=f_2']);
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSrc, closeSrc } = require('./support/load-src');
+
+let RoutingProfiles;
+
+before(async () => {
+  ({ RoutingProfiles } = await loadSrc('/src/pathfinding/features/RoutingProfiles.js'));
+});
+
+after(closeSrc);
+
+test('resolve leaves options without a profile untouched', () => {
+  const options = { accessibleOnly: true };
+  assert.equal(new RoutingProfiles().resolve(options), options);
+});
+
+test('resolve expands a named profile and lets explicit options win', () => {
+  const resolved = new RoutingProfiles().resolve({ profile: 'wheelchair', roomTraversalMode: 'all' });
+
+  assert.equal(resolved.profile, undefined);
+  assert.equal(resolved.profileKey, 'wheelchair');
+  assert.equal(resolved.accessibleOnly, true);
+  assert.equal(resolved.avoidStairs, true);
+  assert.equal(resolved.roomTraversalMode, 'all');
+  assert.equal(resolved.label, undefined);
+});
+
+test('resolve is idempotent', () => {
+  const profiles = new RoutingProfiles();
+  const resolved = profiles.resolve({ profile: 'visitor' });
+  assert.equal(profiles.resolve(resolved), resolved);
+});
+
+test('resolve turns excludeEdgeTypes into an edge filter', () => {
+  const resolved = new RoutingProfiles().resolve({
+    profile: 'evacuation',
+    edgeFilter: (edge) => edge.type !== 'ramp'
+  });
+
+  assert.equal(resolved.edgeFilter({ type: 'elevator' }), false);
+  assert.equal(resolved.edgeFilter({ type: 'ramp' }), false);
+  assert.equal(resolved.edgeFilter({ type: 'stairs' }), true);
+});
+
+test('resolve turns edgeCosts into a multiplier and scales the heuristic for discounts', () => {
+  const resolved = new RoutingProfiles().resolve({
+    profile: 'evacuation',
+    edgeCostMultiplier: () => 2
+  });
+
+  assert.equal(resolved.edgeCostMultiplier('a', { type: 'stairs' }), 1);
+  assert.equal(resolved.edgeCostMultiplier('a', { type: 'escalator' }), 4);
+  assert.equal(resolved.edgeCostMultiplier('a', { type: 'walkable' }), 2);
+  assert.equal(resolved.heuristicScale, 0.5);
+
+  const luggage = new RoutingProfiles().resolve({ profile: 'luggage' });
+  assert.equal(luggage.heuristicScale, undefined);
+});
+
+test('resolve accepts inline definitions and keys them by their JSON', () => {
+  const profile = { avoidStairs: true, edgeCosts: { ramp: 0.25 } };
+  const resolved = new RoutingProfiles().resolve({ profile });
+
+  assert.equal(resolved.profileKey, JSON.stringify(profile));
+  assert.equal(resolved.avoidStairs, true);
+  assert.equal(resolved.heuristicScale, 0.25);
+});
+
+test('resolve drops unknown profiles', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const resolved = new RoutingProfiles().resolve({ profile: 'missing', avoidStairs: true });
+  assert.deepEqual(resolved, { avoidStairs: true });
+});
+
+test('register stores JSON copies and list reports labels', () => {
+  const profiles = new RoutingProfiles({});
+  const definition = { label: 'Night', edgeCosts: { elevator: 0.5 } };
+  profiles.register('night', definition);
+  definition.edgeCosts.elevator = 9;
+
+  assert.equal(profiles.get('night').edgeCosts.elevator, 0.5);
+  assert.deepEqual(profiles.list(), [{ name: 'night', label: 'Night' }]);
+  assert.deepEqual(profiles.toJSON(), { night: { label: 'Night', edgeCosts: { elevator: 0.5 } } });
+});
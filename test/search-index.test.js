@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSrc, closeSrc } = require('./support/load-src');
+
+let SearchIndex;
+
+before(async () => {
+  ({ SearchIndex } = await loadSrc('/src/ui/SearchIndex.js'));
+});
+
+after(closeSrc);
+
+const categories = [
+  { id: 'cat-food', details: { name: 'Food & Drink', keywords: ['restaurant'] } },
+  { id: 'cat-health', details: { name: 'Health' } }
+];
+
+const locations = [
+  { id: 'cafe', details: { name: 'Café Crème', description: 'Espresso bar next to the atrium' }, categories: ['cat-food'] },
+  { id: 'pharmacy', details: { name: 'Pharmacy', externalId: 'PH-220', keywords: ['drugstore'] }, categories: ['cat-health'] },
+  { id: 'room-1000', details: { name: 'Room 1000', translations: { fr: { name: 'Salle des conférences' } } } },
+  { id: 'room-1001', details: { name: 'Room 1001' } },
+  { id: 'food-court', details: { name: 'Food Court' }, categories: ['cat-food'] }
+];
+
+const index = () => new SearchIndex(locations, { categories });
+const ids = (results) => results.map(result => result.location.id);
+
+test('matches names without accents or case, and highlights the matched part', () => {
+  const [result] = index().search('cafe cr');
+
+  assert.equal(result.location.id, 'cafe');
+  assert.equal(result.group, 'Food & Drink');
+  assert.deepEqual(result.nameRanges, [{ start: 0, end: 4 }, { start: 5, end: 7 }]);
+  assert.equal(result.match, null);
+});
+
+test('tolerates typos in longer words but not in short words or numbers', () => {
+  assert.deepEqual(ids(index().search('pharmcy')), ['pharmacy']);
+  assert.deepEqual(ids(index().search('phramacy')), ['pharmacy'], 'adjacent letters swapped');
+  assert.deepEqual(ids(index().search('pharmca')), ['pharmacy'], 'misspelt start of the last word');
+
+  assert.deepEqual(ids(index().search('room 1000')), ['room-1000']);
+  assert.deepEqual(ids(index().search('room 1002')), []);
+});
+
+test('every query word has to match', () => {
+  assert.deepEqual(ids(index().search('room 1001 cafe')), []);
+});
+
+test('finds places through other fields and reports which one matched', () => {
+  const [byId] = index().search('ph-220');
+  assert.equal(byId.location.id, 'pharmacy');
+  assert.equal(byId.match.kind, 'externalId');
+
+  const [byKeyword] = index().search('drugstore');
+  assert.equal(byKeyword.location.id, 'pharmacy');
+  assert.deepEqual(byKeyword.match, { kind: 'keyword', label: null, text: 'drugstore', ranges: [{ start: 0, end: 9 }] });
+
+  const [byTranslation] = index().search('conference');
+  assert.equal(byTranslation.location.id, 'room-1000');
+  assert.equal(byTranslation.match.kind, 'translation');
+  assert.equal(byTranslation.match.label, 'fr');
+
+  // Category keywords apply to every place in the category
+  assert.deepEqual(ids(index().search('restaurant')).sort(), ['cafe', 'food-court']);
+});
+
+test('name matches outrank the same word in a category or description', () => {
+  assert.deepEqual(ids(index().search('food')), ['food-court', 'cafe']);
+  assert.deepEqual(ids(index().search('espresso')), ['cafe']);
+});
+
+test('boost reorders results and limit caps them', () => {
+  const boost = (location) => (location.id === 'room-1001' ? 1 : 0);
+  assert.deepEqual(ids(index().search('room', { boost })), ['room-1001', 'room-1000']);
+  assert.equal(index().search('room', { limit: 1 }).length, 1);
+  assert.deepEqual(index().search('  '), []);
+});
+
+test('groupResults keeps groups in the order of their best result', () => {
+  const search = index();
+  const groups = search.groupResults(search.search('c'));
+
+  assert.deepEqual(groups.map(group => [group.group, ids(group.results)]), [
+    ['Food & Drink', ['cafe', 'food-court']],
+    ['Places', ['room-1000']]
+  ]);
+});
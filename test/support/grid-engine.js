@@ -0,0 +1,31 @@
+// PathfindingEngine over the grid building, without MVF data: no geometry, rooms come from node metadata.
+const { buildGridGraph } = require('./grid-graph');
+
+/**
+ * @param {Object} modules - PathfindingEngine, Graph and AStar from src/
+ * @param {Object} options - buildGridGraph options
+ */
+const createGridEngine = ({ PathfindingEngine, Graph, AStar }, options = {}) => {
+  const engine = new PathfindingEngine();
+  const graph = buildGridGraph(Graph, options);
+  engine.graph = graph;
+  engine.aStar = new AStar(graph);
+  engine.closures.setGraph(graph);
+  engine.initialized = true;
+  return engine;
+};
+
+// The engine logs every route; keep test output readable
+const quietly = (fn) => {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+};
+
+module.exports = { createGridEngine, quietly };
@@ -0,0 +1,106 @@
+// Small two-floor building: a walkable grid per floor joined by stairs, an escalator, a ramp and an elevator,
+// with two rooms on the ground floor.
+const ORIGIN = [-79.4, 43.66];
+const SPACING = 0.0001; // degrees, roughly 8-11 m
+const METERS_PER_DEGREE = 111320;
+
+const FLOORS = ['f1', 'f2'];
+
+// [column, row, type, weight]
+const CONNECTORS = [
+  [0, 0, 'stairs', 24],
+  [5, 1, 'escalator', 18],
+  [2, 5, 'elevator', 30],
+  [6, 6, 'stairs', 24],
+  [7, 3, 'ramp', 20]
+];
+
+// Two rooms side by side in the middle of the ground floor
+const ROOMS = [
+  { id: 'room-a', floorId: 'f1', columns: [2, 3], rows: [2, 4] },
+  { id: 'room-b', floorId: 'f1', columns: [4, 5], rows: [2, 4] }
+];
+
+const nodeId = (floorId, column, row) => `${floorId}:${column}:${row}`;
+
+const getRoomMetadata = (floorId, column, row) => {
+  const room = ROOMS.find(candidate => candidate.floorId === floorId &&
+    column >= candidate.columns[0] && column <= candidate.columns[1] &&
+    row >= candidate.rows[0] && row <= candidate.rows[1]);
+  return room ? { roomIds: [room.id], roomId: room.id } : {};
+};
+
+const meters = (a, b) => {
+  const cosLat = Math.cos(((a[1] + b[1]) / 2) * Math.PI / 180);
+  const dx = (b[0] - a[0]) * METERS_PER_DEGREE * cosLat;
+  const dy = (b[1] - a[1]) * METERS_PER_DEGREE;
+  return Math.sqrt(dx * dx + dy * dy);
+};
+
+// Deterministic pseudo-random numbers so detours differ between runs of the same size
+const createRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+/**
+ * @param {Function} Graph - src/pathfinding/core/Graph.js
+ * @param {Object} options - size (nodes per side), seed
+ */
+const buildGridGraph = (Graph, { size = 8, seed = 7 } = {}) => {
+  const graph = new Graph();
+  const random = createRandom(seed);
+
+  FLOORS.forEach((floorId, floorIndex) => {
+    for (let column = 0; column < size; column++) {
+      for (let row = 0; row < size; row++) {
+        // Jitter so straight lines rarely match grid walks exactly
+        const coords = [
+          ORIGIN[0] + (column + (random() - 0.5) * 0.3) * SPACING,
+          ORIGIN[1] + (row + (random() - 0.5) * 0.3) * SPACING + floorIndex * 1e-7
+        ];
+        graph.addNode(nodeId(floorId, column, row), coords, floorId, getRoomMetadata(floorId, column, row));
+      }
+    }
+
+    for (let column = 0; column < size; column++) {
+      for (let row = 0; row < size; row++) {
+        const from = graph.getNode(nodeId(floorId, column, row));
+        [[1, 0], [0, 1]].forEach(([dc, dr]) => {
+          const to = graph.getNode(nodeId(floorId, column + dc, row + dr));
+          if (!to) return;
+          // Some corridors are longer than the straight line (furniture, doors)
+          const detour = random() < 0.3 ? 1 + random() : 1;
+          graph.addBidirectionalEdge(from.id, to.id, meters(from.coords, to.coords) * detour);
+        });
+      }
+    }
+  });
+
+  CONNECTORS.filter(([column, row]) => column < size && row < size).forEach(([column, row, type, weight]) => {
+    graph.addBidirectionalEdge(nodeId('f1', column, row), nodeId('f2', column, row), weight, {
+      type,
+      accessible: type === 'elevator' || type === 'ramp',
+      verticalCost: true
+    });
+  });
+
+  graph.buildSpatialIndexes();
+  return graph;
+};
+
+/**
+ * Every ordered pair of nodes, thinned out by step
+ */
+const samplePairs = (graph, step = 7) => {
+  const ids = Array.from(graph.nodes.keys());
+  const pairs = [];
+  for (let i = 0; i < ids.length; i += step) {
+    for (let j = (i * 3) % step; j < ids.length; j += step) {
+      if (ids[i] !== ids[j]) pairs.push([ids[i], ids[j]]);
+    }
+  }
+  return pairs;
+};
+
+module.exports = { buildGridGraph, samplePairs, nodeId, ORIGIN, SPACING };
@@ -0,0 +1,4 @@
+// src/ is browser ESM; load it through Vite's SSR loader like scripts/ do.
+const { loadSrc, closeSrc } = require('../../scripts/lib/headless-engine');
+
+module.exports = { loadSrc, closeSrc };